@@ -9,22 +9,278 @@ const METERS_PER_DEGREE = 111000; // Approximate meters per degree at equator
 // Zoom threshold: below this zoom level only search for international routes
 const INTERNATIONAL_ONLY_ZOOM = 8;
 
+// Mean Earth radius used for geodesic (haversine) distances
+const EARTH_RADIUS_METERS = 6371000;
+
+// Route relation member roles: branches are stitched separately from the main line,
+// ignored roles (stops, platforms, ...) are not route geometry at all
+const ROUTE_BRANCH_ROLES = ['alternative', 'excursion', 'approach', 'connection'];
+const ROUTE_IGNORED_ROLES = ['stop', 'platform', 'guidepost', 'information'];
+
 // GPS tracking constants
 const GPS_AUTO_STOP_MS = 10 * 60 * 1000; // 10 minutes
 const GPS_PRIMARY_COLOR = '#4a90d9';
 const GPS_MAX_BADGE_REF_LENGTH = 6;
 
+// Activity recording constants
+const RECORDING_SAVE_INTERVAL_MS = 10 * 1000; // How often the in-progress recording is persisted
+const RECORDING_MAX_ACCURACY_M = 50; // Fixes less accurate than this are kept but not used for stats
+const RECORDING_MIN_STEP_M = 5; // Movement below this is treated as GPS jitter
+const RECORDING_MOVING_SPEED_MPS = 0.5; // Slower than this counts as stopped
+const RECORDING_COLOR = '#8e44ad';
+
+// Route following (off-route alerts)
+const OFF_ROUTE_CONFIRM_FIXES = 2; // Consecutive off-route fixes before alerting, to ride out GPS jumps
+const OFF_ROUTE_RETURN_RATIO = 0.8; // Back on route once within this share of the alert distance
+const OFF_ROUTE_VIBRATION = [300, 150, 300];
+// Projections within this much of the nearest one are treated as ambiguous (loops, out-and-back)
+// and resolved by picking the one closest to the previous position along the route
+const ROUTE_PROJECTION_SLACK_M = 20;
+
+// GPX export constants
+const GPX_CREATOR = 'OpenOutdoors';
+const GPX_OSM_NAMESPACE = 'https://www.openstreetmap.org/';
+const GPX_APP_NAMESPACE = 'https://github.com/lemio/OpenOutdoors';
+
+// Elevation profile constants
+// Providers: 'terrarium' (Terrarium-encoded PNG tiles, url with {z}/{x}/{y})
+// and 'hgt' (raw SRTM .hgt files, url with {name} e.g. N51W001).
+// Override via localStorage key 'openoutdoors_elevation', e.g. to point at a local server.
+const ELEVATION_DEFAULT_CONFIG = {
+    provider: 'terrarium',
+    url: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png',
+    zoom: 12
+};
+const ELEVATION_MAX_SAMPLES = 300;
+const ELEVATION_MIN_SAMPLE_SPACING_M = 25;
+const ELEVATION_NOISE_THRESHOLD_M = 3; // Ignore smaller ups/downs when summing ascent/descent
+const ELEVATION_TILE_CACHE_SIZE = 32; // Decoded tiles kept in memory, a Terrarium tile is ~256 KB
+
+// Offline tile packs
+// TILE_CACHE_NAME must match the name used in service-worker.js
+const TILE_CACHE_NAME = 'openoutdoors-tiles-v1';
+const OSM_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const OSM_ATTRIBUTION = '© <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>';
+const OFFLINE_MAX_TILES = 2500; // Keep packs small, bulk downloads are against the OSM tile policy
+const OFFLINE_AVG_TILE_BYTES = 20 * 1024; // Used for the size estimate before downloading
+const OFFLINE_CONCURRENCY = 2;
+
+// Saved trail storage (IndexedDB); geometry is kept apart from metadata
+const TRAILS_DB_NAME = 'openoutdoors';
+const TRAILS_DB_VERSION = 2;
+const TRAIL_GEOMETRY_FIELDS = ['coordinates', 'wayGroups', 'routeLines', 'routeBranches', 'elevationProfile'];
+const LEGACY_TRAILS_KEY = 'openoutdoors_trails'; // localStorage key used before IndexedDB
+const ACTIVITIES_FALLBACK_KEY = 'openoutdoors_activities'; // localStorage key used when IndexedDB is unavailable
+
+// User settings (persisted in localStorage under 'openoutdoors_settings')
+const DEFAULT_SETTINGS = {
+    // Tried in order; timeout is per endpoint in milliseconds
+    overpassEndpoints: [
+        { url: 'https://overpass-api.de/api/interpreter', timeout: 30000 },
+        { url: 'https://overpass.kumi.systems/api/interpreter', timeout: 30000 }
+    ],
+    // How long search responses are reused for the same or a smaller area; 0 disables the cache
+    overpassCacheTtlMinutes: 30,
+    // Search the map view automatically after it is moved
+    autoSearch: false,
+    // Distance from the followed trail that triggers an off-route alert
+    offRouteDistanceMeters: 50,
+    // Trail line colours: 'state' (searched red, saved green), 'network', 'colour' (OSM colour tag)
+    // or 'waymark' (osmc:symbol waycolor)
+    trailColorMode: 'state',
+    // Map tile sources for the layer switcher. url is a Leaflet template; {apikey} is filled from
+    // apiKey and sources that need a key are left out until one is set. type: 'base' or 'overlay'.
+    // {route} is filled from routes[currentSport]; such overlays are hidden for sports without one.
+    tileSources: [
+        { id: 'osm', name: 'OpenStreetMap', type: 'base', url: OSM_TILE_URL, maxZoom: 19, attribution: OSM_ATTRIBUTION },
+        {
+            id: 'opentopomap',
+            name: 'Topographic (OpenTopoMap)',
+            type: 'base',
+            url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+            maxZoom: 17,
+            attribution: `${OSM_ATTRIBUTION}, SRTM | Style: © <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`
+        },
+        {
+            id: 'cyclosm',
+            name: 'Cycling (CyclOSM)',
+            type: 'base',
+            url: 'https://{s}.tile-cyclosm.openstreetmap.fr/cyclosm/{z}/{x}/{y}.png',
+            maxZoom: 20,
+            attribution: `<a href="https://www.cyclosm.org">CyclOSM</a> | ${OSM_ATTRIBUTION}`
+        },
+        {
+            id: 'opencyclemap',
+            name: 'OpenCycleMap (Thunderforest)',
+            type: 'base',
+            url: 'https://{s}.tile.thunderforest.com/cycle/{z}/{x}/{y}.png?apikey={apikey}',
+            apiKey: '',
+            maxZoom: 22,
+            attribution: `Maps © <a href="https://www.thunderforest.com">Thunderforest</a> | ${OSM_ATTRIBUTION}`
+        },
+        {
+            id: 'satellite',
+            name: 'Satellite (Esri)',
+            type: 'base',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+            maxZoom: 19,
+            attribution: 'Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community'
+        },
+        {
+            id: 'hillshade',
+            name: 'Hillshading',
+            type: 'overlay',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/Elevation/World_Hillshade/MapServer/tile/{z}/{y}/{x}',
+            maxZoom: 19,
+            opacity: 0.35,
+            attribution: 'Hillshade © Esri'
+        },
+        {
+            id: 'routes',
+            name: 'Waymarked routes',
+            type: 'overlay',
+            url: 'https://tile.waymarkedtrails.org/{route}/{z}/{x}/{y}.png',
+            routes: { walking: 'hiking', biking: 'cycling' },
+            maxZoom: 18,
+            opacity: 0.8,
+            attribution: 'Routes © <a href="https://waymarkedtrails.org">Waymarked Trails</a>'
+        }
+    ]
+};
+// Auto-search on map move: only the newly exposed parts of the view are queried
+const AUTO_SEARCH_DEBOUNCE_MS = 800;
+const AUTO_SEARCH_MIN_ZOOM = 9; // Wider views would pull in far too many routes
+const AUTO_SEARCH_MAX_PIECES = 4; // More uncovered pieces than this are fetched as one box
+const AUTO_SEARCH_KEEP_MARGIN = 1; // Trails further than this many view sizes away are evicted
+
+// Large result sets: trail layers outside the view are detached from the map, lines are
+// simplified per zoom level and camping POIs are clustered until zoomed in
+const CULL_PADDING = 0.25; // Share of the view size kept attached around it
+const SIMPLIFY_TOLERANCE_PX = 1.5;
+const SIMPLIFY_FULL_DETAIL_ZOOM = 16;
+const CLUSTER_CELL_PX = 60;
+const CLUSTER_MAX_ZOOM = 15; // Camping POIs are shown individually from this zoom on
+// Grid index for hit-testing: lines are split into chunks whose bounding boxes go into grid cells
+const SPATIAL_INDEX_CELL_DEG = 0.02;
+const SPATIAL_INDEX_CHUNK_POINTS = 32;
+// Trails count as sharing a section when they run over the same segments for at least this long
+const SHARED_SECTION_MIN_M = 100;
+const SHARED_WITH_MAX_NAMES = 3; // Further names are summarised as "+N" in the results list
+
+// Trip planner: clicks further than this from any loaded trail are rejected
+const PLANNER_SNAP_MAX_M = 300;
+
+// Stage planning: camping spots within this distance of the route can end a stage
+const STAGE_CORRIDOR_M = 1000;
+const STAGE_CORRIDOR_SIMPLIFY_M = 100; // Thinned corridor lines stay this close to the route
+const STAGE_CORRIDOR_MAX_POINTS = 300; // Longer corridors are queried in several requests
+const STAGE_SNAP_TOLERANCE = 0.25; // Share of the day distance a stage may be shortened or stretched to reach a camping spot
+const STAGE_OVERNIGHT_TYPES = ['camp_site', 'caravan_site', 'cabin', 'shelter'];
+
+// Clicking a route overlay away from loaded trails offers a search within this many pixels
+const ROUTE_OVERLAY_SEARCH_PX = 20;
+const ROUTE_OVERLAY_MIN_SEARCH_M = 100;
+
+// Layers shown for each sport until the user picks others in the layer switcher
+const DEFAULT_SPORT_LAYERS = {
+    walking: { base: 'opentopomap', overlays: [] },
+    biking: { base: 'cyclosm', overlays: [] },
+    camping: { base: 'osm', overlays: [] }
+};
+// Overpass responses that mean "busy, try another server"
+const OVERPASS_RETRY_STATUSES = [429, 504];
+// Worldwide name searches ask the server for [timeout:60], so each endpoint gets at least this long
+const OVERPASS_NAME_SEARCH_MIN_TIMEOUT_MS = 65000;
+// In-memory Overpass response cache size (entries, each one search response)
+const OVERPASS_CACHE_MAX_ENTRIES = 20;
+
+// Result filters (persisted in the URL). Network tiers are the first letter of
+// iwn/nwn/rwn/lwn and icn/ncn/rcn/lcn; anything else is 'other'
+const NETWORK_TIERS = { i: 'international', n: 'national', r: 'regional', l: 'local' };
+const DEFAULT_FILTERS = {
+    networks: [],
+    sacScales: [],
+    surfaces: [],
+    roundtrip: '', // '', 'yes' or 'no'
+    operator: '', // Case-insensitive substring
+    minLengthKm: null,
+    maxLengthKm: null
+};
+
+// osmc:symbol waymark shields: waycolor:background[:foreground[:foreground2]][:text:textcolor]
+// Shapes are drawn in a 24x24 viewBox; {c} is replaced by the shape colour
+const OSMC_COLORS = {
+    black: '#000000',
+    blue: '#1f5fbf',
+    brown: '#8b5a2b',
+    gray: '#808080',
+    grey: '#808080',
+    green: '#2e8b3a',
+    orange: '#f28c18',
+    purple: '#8e44ad',
+    red: '#d62828',
+    white: '#ffffff',
+    yellow: '#f4d03f'
+};
+const OSMC_SHAPES = {
+    arch: '<path d="M5 21V12a7 7 0 0 1 14 0v9" fill="none" stroke="{c}" stroke-width="4"/>',
+    backslash: '<path d="M2 2L22 22" stroke="{c}" stroke-width="5"/>',
+    bar: '<rect x="0" y="8" width="24" height="8" fill="{c}"/>',
+    bowl: '<path d="M3 8a9 9 0 0 0 18 0z" fill="{c}"/>',
+    circle: '<circle cx="12" cy="12" r="7.5" fill="none" stroke="{c}" stroke-width="3"/>',
+    corner: '<path d="M0 0H15L0 15z" fill="{c}"/>',
+    cross: '<path d="M10 2h4v8h8v4h-8v8h-4v-8H2v-4h8z" fill="{c}"/>',
+    diamond: '<path d="M12 3L21 12L12 21L3 12z" fill="{c}"/>',
+    diamond_line: '<path d="M12 4L20 12L12 20L4 12z" fill="none" stroke="{c}" stroke-width="3"/>',
+    dot: '<circle cx="12" cy="12" r="6.5" fill="{c}"/>',
+    fork: '<path d="M12 22V12L4 3M12 12L20 3" fill="none" stroke="{c}" stroke-width="3.5"/>',
+    frame: '<rect x="2.5" y="2.5" width="19" height="19" fill="none" stroke="{c}" stroke-width="3"/>',
+    hexagon: '<path d="M7 3h10l5 9-5 9H7l-5-9z" fill="{c}"/>',
+    L: '<path d="M5 3h4v14h10v4H5z" fill="{c}"/>',
+    left: '<rect x="0" y="0" width="12" height="24" fill="{c}"/>',
+    lower: '<rect x="0" y="12" width="24" height="12" fill="{c}"/>',
+    pointer: '<path d="M4 4L20 12L4 20z" fill="{c}"/>',
+    rectangle: '<rect x="5" y="5" width="14" height="14" fill="{c}"/>',
+    rectangle_line: '<rect x="5.5" y="5.5" width="13" height="13" fill="none" stroke="{c}" stroke-width="3"/>',
+    right: '<rect x="12" y="0" width="12" height="24" fill="{c}"/>',
+    slash: '<path d="M2 22L22 2" stroke="{c}" stroke-width="5"/>',
+    stripe: '<rect x="8" y="0" width="8" height="24" fill="{c}"/>',
+    triangle: '<path d="M12 3L21 20H3z" fill="{c}"/>',
+    triangle_line: '<path d="M12 5L19 18.5H5z" fill="none" stroke="{c}" stroke-width="3"/>',
+    triangle_turned: '<path d="M3 4H21L12 21z" fill="{c}"/>',
+    turned_T: '<path d="M4 18h16v3H4zM10 3h4v15h-4z" fill="{c}"/>',
+    upper: '<rect x="0" y="0" width="24" height="12" fill="{c}"/>',
+    x: '<path d="M3 3L21 21M21 3L3 21" stroke="{c}" stroke-width="4"/>'
+};
+const OSMC_MAX_TEXT_LENGTH = 4;
+
+// Line colours per network tier, matching the network badges
+const NETWORK_TIER_COLORS = {
+    international: '#c0392b',
+    national: '#e67e22',
+    regional: '#2980b9',
+    local: '#27ae60',
+    other: '#7f8c8d'
+};
+// Line colour used instead of white, which disappears on the base map
+const LIGHT_LINE_SUBSTITUTE_COLOR = '#9e9e9e';
+
 // Sport configuration
 const SPORT_CONFIG = {
     walking: {
         icon: 'fa-person-hiking',
         label: 'Walking',
-        resultsLabel: 'Trails'
+        resultsLabel: 'Trails',
+        // Naismith's rule: 5 km/h plus one hour per 600 m of ascent
+        pace: { speedKmh: 5, ascentMetersPerHour: 600 },
+        stageKm: 20 // Default day distance for stage planning
     },
     biking: {
         icon: 'fa-person-biking',
         label: 'Biking',
-        resultsLabel: 'Routes'
+        resultsLabel: 'Routes',
+        pace: { speedKmh: 16 },
+        stageKm: 80
     },
     camping: {
         icon: 'fa-campground',
@@ -49,8 +305,20 @@ class TrailsApp {
     constructor() {
         this.map = null;
         this.userMarker = null;
+        this.mapLegend = null;
+
+        // Map layers: id -> { source, layer } for the tile sources in settings
+        this.tileLayers = new Map();
+        this.layerControl = null;
+        this.sportLayers = this.loadSportLayers(); // Per-sport { base, overlays } choice
+        this.applyingSportLayers = false; // Ignore layer events caused by applySportLayers
         this.trailLayers = new Map(); // Map trail ID to layer
-        this.savedTrails = this.loadSavedTrails();
+        this.savedTrails = []; // Loaded asynchronously from IndexedDB in init()
+        this.trailsDbPromise = null;
+        this.trailsDbUnavailable = false; // Fall back to localStorage when IndexedDB can't be opened
+        this.trailStoreQueue = Promise.resolve(); // Serializes writes to the trail store
+        this.persistedGeometryIds = new Set(); // Trails whose geometry is already stored
+        this.dirtyGeometryIds = new Set(); // Stored trails whose geometry changed since, e.g. a new elevation profile
         this.allTrails = []; // Combined list of all trails
         this.currentLocation = null;
         this.highlightedTrailIds = new Set(); // Changed to Set for multi-selection
@@ -59,10 +327,46 @@ class TrailsApp {
         this.trailsById = new Map(); // Quick lookup by ID
         this.savedTrailIds = new Set(); // Quick saved check
         this.parentGroupsByName = new Map(); // Merge parents by name
+        this.trailLengths = new WeakMap(); // Trail -> main path length in metres, see getTrailLength
+        this.spatialIndex = new Map(); // Grid cell key -> Set of line chunks, see addToSpatialIndex
+        this.spatialIndexEntries = new Map(); // Trail ID -> [{ entry, cells }] for removal
+        this.segmentOwners = new Map(); // Segment key -> Set of trail IDs running over it
+        this.sharedWithCache = new Map(); // Trail ID -> IDs of trails sharing a section with it
+        this.campingClusterLayer = null; // Cluster markers, rebuilt by updateCampingClusters
+
+        // User settings
+        this.settings = this.loadSettings();
+
+        // Overpass response cache: [{ key, sport, filterKey, area, data, fetchedAt }]
+        this.overpassCache = [];
+        this.cacheRefresh = null; // Repeats the last search without the cache
+
+        // Auto-search state: areas already searched ({ sport, filterKey, south, west, north, east })
+        this.autoSearchAreas = [];
+        this.autoSearchTimer = null;
+        this.autoSearchRunning = false;
+        this.autoSearchPending = false; // The map moved again while a search was running
 
         // Sport mode (walking / biking / camping)
         this.currentSport = 'walking';
 
+        // Name/ref search ignores the map bounds when enabled
+        this.searchWorldwide = false;
+
+        // Results list ordering: 'network', 'length-desc' or 'length-asc'
+        this.sortMode = 'network';
+
+        // Numbers the clip paths of inline waymark shields, whose ids must be unique in the page
+        this.osmcShieldCount = 0;
+
+        // Details panel: ignore late metadata for a panel that has since been reopened
+        this.detailsRequestId = 0;
+        this.detailsTrailId = null; // Trail last opened in the panel, kept loaded while it shows
+
+        // Result filters; visibleTrailIds is recomputed by updateTrailsUI
+        this.filters = { ...DEFAULT_FILTERS };
+        this.visibleTrailIds = null;
+
         // GPS tracking state
         this.gpsActive = false;
         this.gpsWatchId = null;
@@ -70,7 +374,54 @@ class TrailsApp {
         this.gpsTrailLayer = null;
         this.gpsAccuracyCircle = null;
         this.gpsTimeout = null;
+        this.recordingStartedGps = false; // Tracking is stopped with the recording when it started it
+
+        // Activity recording state
+        this.activities = []; // Finished recordings, newest first
+        this.recording = null; // Activity currently being recorded
+        this.recordingSaveTimer = null;
+        this.wakeLock = null;
+        this.activityLayer = null;
+
+        // Route following state
+        this.activeRouteId = null; // Saved trail checked against the live position
+        this.offRoute = false;
+        this.offRouteFixes = 0; // Consecutive fixes beyond the alert distance
+        this.routeMeasure = null; // { points, cumulative } of the followed trail, see buildRouteMeasure
+        this.routeAlong = null; // Distance along the followed trail at the last fix, in metres
+        this.routeTarget = 'end'; // 'end', 'start' or 'waypoint'
+        this.routeWaypoint = null; // { along, marker } when routeTarget is 'waypoint'
+        this._onRouteWaypointClick = (e) => this.setRouteWaypoint(e.latlng);
+        this.simulationTimer = null;
+
+        // Trip planner state: { graph, points: [{ snap, marker }] } while picking start and end
+        this.planner = null;
+        this._onPlannerClick = (e) => this.handlePlannerClick(e.latlng);
+
+        // Elevation profile state
+        this.elevationProviders = {
+            terrarium: (points, config) => this.fetchTerrariumElevations(points, config),
+            hgt: (points, config) => this.fetchHgtElevations(points, config)
+        };
+        this.elevationTileCache = new Map(); // url -> Promise of decoded tile data, least recently used first
+        this.elevationTrailId = null;
+        this.elevationRequestId = 0;
+        this.elevationHoverMarker = null;
+
+        // Offline tile pack download state
+        this.offlineAreas = this.loadOfflineAreas();
+        this.offlineTarget = null; // { name, bounds } of the area being prepared
+        this.offlineDownload = null; // { cancelled } while a download runs
         this._onVisibilityChange = () => {
+            // Recording or following a route keeps tracking in the background where the platform allows it
+            if (this.recording || this.activeRouteId) {
+                if (document.hidden) {
+                    if (this.recording) this.persistRecording();
+                } else {
+                    this.requestWakeLock();
+                }
+                return;
+            }
             if (document.hidden) this.stopGpsTracking();
         };
         
@@ -86,9 +437,14 @@ class TrailsApp {
 
         // Restore sport from URL (before loading shared trails)
         this.initSportFromUrl();
+        this.initFiltersFromUrl();
 
         // Load saved trails to allTrails and display them
+        this.savedTrails = await this.loadSavedTrails();
+        await this.loadActivities();
         this.allTrails = [...this.savedTrails];
+        // Trail buttons (follow, export, offline, details) and line colours look trails up by ID
+        this.updateTrailIndexes();
         if (this.savedTrails.length > 0) {
             this.displayTrailsOnMap(this.savedTrails);
         }
@@ -96,9 +452,15 @@ class TrailsApp {
         // Update UI
         this.updateTrailsUI();
 
+        // Continue a recording interrupted by a reload
+        this.resumeRecording();
+
         // Load shared trails from URL if present (async)
         await this.loadSharedTrails();
 
+        this.updateAutoSearchButton();
+        this.scheduleAutoSearch();
+
         // Register service worker for PWA
         this.registerServiceWorker();
     }
@@ -107,14 +469,17 @@ class TrailsApp {
         // Create map centered on a default location
         this.map = L.map('map').setView([51.505, -0.09], 10);
 
-        // Add OpenStreetMap tile layer
-        L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            maxZoom: 19,
-            attribution: '© <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
-        }).addTo(this.map);
+        // Base layers and overlays from settings, with a switcher; the choice is kept per sport
+        this.buildTileLayers();
+        this.map.on('baselayerchange overlayadd overlayremove', () => this.rememberSportLayers());
+        this.map.on('click', (e) => this.handleRouteOverlayClick(e));
 
         // Keep URL in sync whenever the map view changes
         this.map.on('moveend', () => this.updateUrl());
+        this.map.on('moveend', () => this.scheduleAutoSearch());
+
+        // Attach only the trail layers in view, simplified for the zoom level
+        this.map.on('moveend', () => this.syncTrailLayersToMap());
 
         // Create custom panes for proper trail rendering order
         // Z-index order: searched (400) < saved (410) < selected (420) < hit (450)
@@ -129,6 +494,240 @@ class TrailsApp {
         
         this.map.createPane('hitPane');
         this.map.getPane('hitPane').style.zIndex = 450;
+
+        // Legend for trail line colours, filled by updateMapLegend
+        this.mapLegend = L.control({ position: 'bottomright' });
+        this.mapLegend.onAdd = () => L.DomUtil.create('div', 'map-legend');
+        this.mapLegend.addTo(this.map);
+        this.updateMapLegend();
+    }
+
+    // ─── Map Layers ───────────────────────────────────────────────────────────
+
+    needsApiKey(source) {
+        return source.url.includes('{apikey}') && !source.apiKey;
+    }
+
+    // Fills {apikey}, {route} and {r}; returns null for sources that need a key that isn't set
+    // or have no route type for the sport
+    resolveTileTemplate(source, sport = this.currentSport) {
+        if (this.needsApiKey(source)) return null;
+        const route = source.routes && source.routes[sport];
+        if (source.url.includes('{route}') && !route) return null;
+        return source.url
+            .replace('{apikey}', encodeURIComponent(source.apiKey || ''))
+            .replace('{route}', route || '')
+            .replace('{r}', '');
+    }
+
+    // Sources with a {route} placeholder are kept with a null template for sports without a
+    // route type, so updateRouteOverlays can bring them back when the sport changes
+    getUsableTileSources() {
+        return this.settings.tileSources
+            .filter(source => !this.needsApiKey(source))
+            .map(source => ({ ...source, template: this.resolveTileTemplate(source) }));
+    }
+
+    buildTileLayers() {
+        if (this.layerControl) {
+            this.layerControl.remove();
+        }
+        this.tileLayers.forEach(({ layer }) => this.map.removeLayer(layer));
+        this.tileLayers.clear();
+
+        const baseLayers = {};
+        const overlays = {};
+        this.getUsableTileSources().forEach(source => {
+            const layer = L.tileLayer(source.template || '', {
+                maxZoom: source.maxZoom || 19,
+                attribution: source.attribution || '',
+                subdomains: source.subdomains || 'abc',
+                opacity: source.opacity ?? 1,
+                // CORS requests let the service worker check tile responses before caching them.
+                // Sources whose server sends no CORS headers set crossOrigin: false and aren't cached.
+                crossOrigin: source.crossOrigin ?? true
+            });
+            this.tileLayers.set(source.id, { source, layer });
+            if (!source.template) return;
+            if (source.type === 'overlay') {
+                overlays[source.name] = layer;
+            } else {
+                baseLayers[source.name] = layer;
+            }
+        });
+
+        this.layerControl = L.control.layers(baseLayers, overlays, { position: 'topleft' }).addTo(this.map);
+        this.applySportLayers();
+        this.sendTileSourcesToServiceWorker();
+    }
+
+    loadSportLayers() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('openoutdoors_layers') || '{}');
+            return { ...DEFAULT_SPORT_LAYERS, ...saved };
+        } catch (error) {
+            console.error('Error loading map layers:', error);
+            return { ...DEFAULT_SPORT_LAYERS };
+        }
+    }
+
+    applySportLayers() {
+        if (!this.map || this.tileLayers.size === 0) return;
+        const choice = this.sportLayers[this.currentSport] || DEFAULT_SPORT_LAYERS.walking;
+
+        // Unknown or unusable base layer ids fall back to the first base layer
+        const chosen = this.tileLayers.get(choice.base);
+        const base = chosen && chosen.source.type !== 'overlay' && chosen.source.template
+            ? chosen
+            : [...this.tileLayers.values()].find(({ source }) => source.type !== 'overlay' && source.template);
+        const overlays = choice.overlays || [];
+
+        this.applyingSportLayers = true;
+        this.tileLayers.forEach(({ source, layer }, id) => {
+            const show = source.type === 'overlay'
+                ? overlays.includes(id) && Boolean(source.template)
+                : base && base.source.id === id;
+            if (show && !this.map.hasLayer(layer)) {
+                layer.addTo(this.map);
+            } else if (!show && this.map.hasLayer(layer)) {
+                this.map.removeLayer(layer);
+            }
+        });
+        this.applyingSportLayers = false;
+    }
+
+    rememberSportLayers() {
+        if (this.applyingSportLayers) return;
+        const base = [...this.tileLayers.values()]
+            .find(({ source, layer }) => source.type !== 'overlay' && this.map.hasLayer(layer));
+        const overlays = [...this.tileLayers.values()]
+            .filter(({ source, layer }) => source.type === 'overlay' && this.map.hasLayer(layer))
+            .map(({ source }) => source.id);
+
+        this.sportLayers[this.currentSport] = { base: base ? base.source.id : null, overlays };
+        try {
+            localStorage.setItem('openoutdoors_layers', JSON.stringify(this.sportLayers));
+        } catch (error) {
+            console.error('Error saving map layers:', error);
+        }
+    }
+
+    isRouteOverlay(source) {
+        return source.url.includes('{route}');
+    }
+
+    // Points route overlays at the route type of the current sport (e.g. hiking or cycling),
+    // and takes them out of the layer switcher for sports without one
+    updateRouteOverlays() {
+        if (!this.layerControl) return;
+        this.tileLayers.forEach(({ source, layer }) => {
+            if (!this.isRouteOverlay(source)) return;
+            source.template = this.resolveTileTemplate(source);
+            this.layerControl.removeLayer(layer);
+            if (source.template) {
+                layer.setUrl(source.template);
+                this.layerControl.addOverlay(layer, source.name);
+            }
+        });
+    }
+
+    // Clicking a route overlay where no trail is loaded offers to search around that spot
+    handleRouteOverlayClick(e) {
+        const overlayShown = [...this.tileLayers.values()]
+            .some(({ source, layer }) => this.isRouteOverlay(source) && this.map.hasLayer(layer));
+        if (!overlayShown || this.planner || this.map.listens('click', this._onRouteWaypointClick)) return;
+        if (this.findTrailsAtPoint(e.latlng, ROUTE_OVERLAY_SEARCH_PX).length > 0) return;
+
+        const metersPerPixel = EARTH_CIRCUMFERENCE_METERS / (TILE_SIZE * Math.pow(2, this.map.getZoom()));
+        const radiusMeters = Math.max(ROUTE_OVERLAY_MIN_SEARCH_M, Math.round(ROUTE_OVERLAY_SEARCH_PX * metersPerPixel));
+        const { lat, lng } = e.latlng;
+
+        const popupDiv = document.createElement('div');
+        const text = document.createElement('small');
+        text.textContent = `No ${SPORT_CONFIG[this.currentSport].resultsLabel.toLowerCase()} loaded here.`;
+        popupDiv.appendChild(text);
+
+        const searchBtn = document.createElement('button');
+        searchBtn.className = 'popup-btn popup-btn-search';
+        searchBtn.style.marginTop = '8px';
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-search';
+        searchBtn.appendChild(icon);
+        searchBtn.appendChild(document.createTextNode(' Search here'));
+        searchBtn.addEventListener('click', () => {
+            this.map.closePopup();
+            this.searchAround(lat, lng, radiusMeters);
+        });
+        popupDiv.appendChild(document.createElement('br'));
+        popupDiv.appendChild(searchBtn);
+
+        L.popup().setLatLng(e.latlng).setContent(popupDiv).openOn(this.map);
+    }
+
+    getActiveBaseSource() {
+        const active = [...this.tileLayers.values()]
+            .find(({ source, layer }) => source.type !== 'overlay' && this.map.hasLayer(layer));
+        return active ? active.source : null;
+    }
+
+    // Tiles are cached under one URL per tile, whichever {s} subdomain Leaflet picked
+    getCanonicalTileTemplate(source) {
+        const subdomains = source.subdomains || 'abc';
+        return source.template.replace('{s}', subdomains[0]);
+    }
+
+    // The service worker caches tiles per source and can't read settings itself
+    sendTileSourcesToServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        // Route overlays are sent once per route type, so switching sport keeps their caches
+        const sources = this.getUsableTileSources().flatMap(source => {
+            if (!this.isRouteOverlay(source)) return [source];
+            return [...new Set(Object.values(source.routes || {}))].map(route => ({
+                ...source,
+                id: `${source.id}-${route}`,
+                template: source.url.replace('{route}', route).replace('{r}', '')
+            }));
+        }).map(source => ({
+            id: source.id,
+            template: source.template,
+            canonical: this.getCanonicalTileTemplate(source)
+        }));
+        navigator.serviceWorker.ready
+            .then(registration => {
+                if (registration.active) {
+                    registration.active.postMessage({ type: 'tile-sources', sources });
+                }
+            })
+            .catch(error => console.warn('Could not send tile sources to service worker:', error));
+    }
+
+    // JSON array of { id, name, type, url, attribution, maxZoom, apiKey, subdomains, opacity, routes }
+    parseTileSources(text) {
+        const sources = JSON.parse(text);
+        if (!Array.isArray(sources)) throw new Error('expected a JSON array');
+        const ids = new Set();
+        sources.forEach(source => {
+            if (!source || typeof source.id !== 'string' || !/^[a-z0-9-]+$/.test(source.id)) {
+                throw new Error('each source needs an id of lowercase letters, digits and dashes');
+            }
+            if (ids.has(source.id)) throw new Error(`duplicate id ${source.id}`);
+            ids.add(source.id);
+            if (typeof source.url !== 'string' || !['{z}', '{x}', '{y}'].every(p => source.url.includes(p))) {
+                throw new Error(`${source.id}: url must contain {z}, {x} and {y}`);
+            }
+            if (source.url.includes('{route}') && (typeof source.routes !== 'object' || !source.routes)) {
+                throw new Error(`${source.id}: url has {route}, so routes must map sports to route types`);
+            }
+            if (source.type && source.type !== 'base' && source.type !== 'overlay') {
+                throw new Error(`${source.id}: type must be "base" or "overlay"`);
+            }
+            source.name = source.name || source.id;
+            source.type = source.type || 'base';
+        });
+        if (!sources.some(source => source.type === 'base')) {
+            throw new Error('at least one base layer is needed');
+        }
+        return sources;
     }
 
     setupEventListeners() {
@@ -137,11 +736,101 @@ class TrailsApp {
             this.searchTrails();
         });
 
+        // Name/ref search: Enter runs the search
+        document.getElementById('searchText').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.searchTrails();
+            }
+        });
+
+        document.getElementById('autoSearchBtn').addEventListener('click', () => {
+            this.toggleAutoSearch();
+        });
+
+        document.getElementById('planBtn').addEventListener('click', () => {
+            this.togglePlanner();
+        });
+
+        // Worldwide toggle: search by name without limiting to the current view
+        const worldwideBtn = document.getElementById('worldwideBtn');
+        worldwideBtn.addEventListener('click', () => {
+            this.searchWorldwide = !this.searchWorldwide;
+            worldwideBtn.classList.toggle('active', this.searchWorldwide);
+            worldwideBtn.setAttribute('aria-pressed', String(this.searchWorldwide));
+        });
+
         // My Location button (toggles continuous GPS tracking)
         document.getElementById('locationBtn').addEventListener('click', () => {
             this.toggleGpsTracking();
         });
 
+        // Import button opens the hidden file picker
+        const importInput = document.getElementById('importFileInput');
+        document.getElementById('importBtn').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', () => {
+            this.importTrailFiles(importInput.files);
+            importInput.value = ''; // Allow re-importing the same file
+        });
+
+        // Drag-and-drop import onto the map
+        const mapEl = document.getElementById('map');
+        mapEl.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            mapEl.classList.add('drag-over');
+        });
+        mapEl.addEventListener('dragleave', () => {
+            mapEl.classList.remove('drag-over');
+        });
+        mapEl.addEventListener('drop', (e) => {
+            e.preventDefault();
+            mapEl.classList.remove('drag-over');
+            if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+                this.importTrailFiles(e.dataTransfer.files);
+            }
+        });
+
+        // Trail details panel
+        document.getElementById('detailsCloseBtn').addEventListener('click', () => {
+            document.getElementById('detailsPanel').classList.add('hidden');
+        });
+
+        // Result filters
+        document.getElementById('filterBtn').addEventListener('click', () => {
+            this.toggleFilterPanel();
+        });
+        const filterPanel = document.getElementById('filterPanel');
+        filterPanel.addEventListener('change', () => this.readFiltersFromPanel());
+        document.getElementById('filterOperator').addEventListener('input', () => this.readFiltersFromPanel());
+        document.getElementById('filterClearBtn').addEventListener('click', () => {
+            this.clearFilters();
+        });
+
+        // Activity recording
+        document.getElementById('recordBtn').addEventListener('click', () => {
+            this.toggleRecording();
+        });
+        document.getElementById('activitiesBtn').addEventListener('click', () => {
+            this.openActivitiesPanel();
+        });
+        document.getElementById('activitiesCloseBtn').addEventListener('click', () => {
+            document.getElementById('activitiesPanel').classList.add('hidden');
+        });
+        window.addEventListener('pagehide', () => {
+            if (this.recording) this.persistRecording();
+        });
+
+        // Route banner: destination for remaining distance and ETA
+        document.getElementById('routeTarget').addEventListener('change', (e) => {
+            this.setRouteTarget(e.target.value);
+        });
+
+        // Route banner: stop following the active trail
+        document.getElementById('routeBannerCloseBtn').addEventListener('click', () => {
+            this.stopFollowingTrail();
+        });
+
         // Nearby trails button (hidden but kept for backward compat)
         document.getElementById('nearbyBtn').addEventListener('click', () => {
             this.findNearbyTrails();
@@ -157,6 +846,23 @@ class TrailsApp {
             this.saveSelectedTrails();
         });
 
+        // GPX export buttons
+        document.getElementById('exportSelectionBtn').addEventListener('click', () => {
+            this.exportSelectedGpx();
+        });
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportSavedGpx();
+        });
+
+        // Sort order for the results list
+        const sortSelect = document.getElementById('sortSelect');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => {
+                this.sortMode = sortSelect.value;
+                this.updateTrailsUI();
+            });
+        }
+
         // Clear button
         document.getElementById('clearBtn').addEventListener('click', () => {
             this.clearSavedTrails();
@@ -178,6 +884,51 @@ class TrailsApp {
             });
         }
 
+        // Elevation panel: keep map from panning/zooming while interacting with the chart
+        const elevationPanel = document.getElementById('elevationPanel');
+        if (elevationPanel) {
+            L.DomEvent.disableClickPropagation(elevationPanel);
+            L.DomEvent.disableScrollPropagation(elevationPanel);
+            document.getElementById('elevationCloseBtn').addEventListener('click', () => {
+                this.hideElevationProfile();
+            });
+        }
+
+        // Offline maps panel
+        document.getElementById('offlineBtn').addEventListener('click', () => {
+            this.openOfflinePanel();
+        });
+        document.getElementById('offlineCloseBtn').addEventListener('click', () => {
+            this.closeOfflinePanel();
+        });
+        document.getElementById('offlineMinZoom').addEventListener('input', () => this.updateOfflineEstimate());
+        document.getElementById('offlineMaxZoom').addEventListener('input', () => this.updateOfflineEstimate());
+        document.getElementById('offlineDownloadBtn').addEventListener('click', () => {
+            this.downloadOfflineArea();
+        });
+        document.getElementById('offlineCancelBtn').addEventListener('click', () => {
+            this.cancelOfflineDownload();
+        });
+
+        // Refresh cached search results
+        document.getElementById('cacheRefreshBtn').addEventListener('click', () => {
+            if (this.cacheRefresh) this.cacheRefresh();
+        });
+
+        // Settings panel
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            this.openSettingsPanel();
+        });
+        document.getElementById('settingsCloseBtn').addEventListener('click', () => {
+            document.getElementById('settingsPanel').classList.add('hidden');
+        });
+        document.getElementById('settingsSaveBtn').addEventListener('click', () => {
+            this.saveSettingsFromPanel();
+        });
+        document.getElementById('settingsResetBtn').addEventListener('click', () => {
+            this.resetSettings();
+        });
+
         // Sport selector buttons
         document.querySelectorAll('.sport-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -198,6 +949,7 @@ class TrailsApp {
 
     setSport(sport, clearResults = true, skipUrl = false) {
         if (!SPORT_CONFIG[sport]) return;
+        this.cancelPlanner();
         this.currentSport = sport;
 
         // Update active button
@@ -214,19 +966,20 @@ class TrailsApp {
         // Update results header label
         this.updateResultsHeader();
 
+        // Switch to the map layers last used for this sport
+        this.updateRouteOverlays();
+        this.applySportLayers();
+
         // Clear search results (not saved trails) when switching sport
         if (clearResults) {
             const newTrails = this.allTrails.filter(t => !this.savedTrailIds.has(t.id));
-            newTrails.forEach(t => {
-                const layer = this.trailLayers.get(t.id);
-                if (layer) {
-                    this.map.removeLayer(layer);
-                    this.trailLayers.delete(t.id);
-                }
-            });
+            newTrails.forEach(t => this.removeTrailLayer(t.id));
             this.allTrails = [...this.savedTrails];
+            this.autoSearchAreas = [];
             this.updateTrailIndexes();
             this.updateTrailsUI();
+            this.showCacheNotice(null);
+            this.scheduleAutoSearch();
         }
         // skipUrl=true is used during initialization (initSportFromUrl) to avoid
         // overwriting URL parameters (refs, bbox) before loadSharedTrails() reads them.
@@ -243,10 +996,147 @@ class TrailsApp {
         }
     }
 
+    // ─── Settings ─────────────────────────────────────────────────────────────
+
+    // Only settings that differ from DEFAULT_SETTINGS are stored, so defaults added or changed
+    // later still reach existing users. Tile sources are stored per id, see mergeTileSources.
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('openoutdoors_settings') || '{}');
+            const { tileSources = [], hiddenTileSources = [], ...overrides } = saved;
+            return {
+                ...DEFAULT_SETTINGS,
+                ...overrides,
+                tileSources: this.mergeTileSources(tileSources, hiddenTileSources)
+            };
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    // Default tile sources except those the user removed, with the user's edits swapped in
+    // by id, followed by the user's own sources
+    mergeTileSources(stored, hiddenIds) {
+        const storedById = new Map(stored.map(source => [source.id, source]));
+        const defaultIds = new Set(DEFAULT_SETTINGS.tileSources.map(source => source.id));
+        return [
+            ...DEFAULT_SETTINGS.tileSources
+                .filter(source => !hiddenIds.includes(source.id))
+                .map(source => storedById.get(source.id) || source),
+            ...stored.filter(source => !defaultIds.has(source.id))
+        ];
+    }
+
+    getSettingsOverrides() {
+        const isDefault = (value, defaultValue) => JSON.stringify(value) === JSON.stringify(defaultValue);
+        const overrides = {};
+        Object.entries(this.settings).forEach(([key, value]) => {
+            if (key !== 'tileSources' && !isDefault(value, DEFAULT_SETTINGS[key])) overrides[key] = value;
+        });
+
+        const defaultsById = new Map(DEFAULT_SETTINGS.tileSources.map(source => [source.id, source]));
+        const currentIds = new Set(this.settings.tileSources.map(source => source.id));
+        const tileSources = this.settings.tileSources.filter(source => !isDefault(source, defaultsById.get(source.id)));
+        const hiddenTileSources = [...defaultsById.keys()].filter(id => !currentIds.has(id));
+        if (tileSources.length > 0) overrides.tileSources = tileSources;
+        if (hiddenTileSources.length > 0) overrides.hiddenTileSources = hiddenTileSources;
+        return overrides;
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem('openoutdoors_settings', JSON.stringify(this.getSettingsOverrides()));
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.showToast('Error saving settings');
+        }
+    }
+
+    openSettingsPanel() {
+        document.getElementById('overpassEndpoints').value = this.settings.overpassEndpoints
+            .map(endpoint => `${endpoint.url} ${Math.round(endpoint.timeout / 1000)}`)
+            .join('\n');
+        document.getElementById('overpassCacheTtl').value = this.settings.overpassCacheTtlMinutes;
+        document.getElementById('offRouteDistance').value = this.settings.offRouteDistanceMeters;
+        document.getElementById('trailColorMode').value = this.settings.trailColorMode;
+        document.getElementById('tileSources').value = JSON.stringify(this.settings.tileSources, null, 2);
+        document.getElementById('settingsPanel').classList.remove('hidden');
+    }
+
+    // Each line: "<url> [timeout in seconds]"
+    parseOverpassEndpoints(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line)
+            .map(line => {
+                const [url, timeoutText] = line.split(/\s+/);
+                new URL(url); // Throws on invalid URLs
+                const seconds = timeoutText ? parseFloat(timeoutText) : 30;
+                if (isNaN(seconds) || seconds <= 0) {
+                    throw new Error(`Invalid timeout for ${url}`);
+                }
+                return { url, timeout: seconds * 1000 };
+            });
+    }
+
+    saveSettingsFromPanel() {
+        let overpassEndpoints;
+        try {
+            overpassEndpoints = this.parseOverpassEndpoints(document.getElementById('overpassEndpoints').value);
+        } catch (error) {
+            this.showToast(`Invalid Overpass endpoint: ${error.message}`);
+            return;
+        }
+
+        const cacheTtl = parseFloat(document.getElementById('overpassCacheTtl').value);
+        if (isNaN(cacheTtl) || cacheTtl < 0) {
+            this.showToast('Cache duration must be 0 or more minutes');
+            return;
+        }
+
+        let tileSources;
+        try {
+            tileSources = this.parseTileSources(document.getElementById('tileSources').value);
+        } catch (error) {
+            this.showToast(`Invalid map layers: ${error.message}`);
+            return;
+        }
+
+        const offRouteDistance = parseFloat(document.getElementById('offRouteDistance').value);
+        if (isNaN(offRouteDistance) || offRouteDistance <= 0) {
+            this.showToast('Off-route distance must be more than 0 metres');
+            return;
+        }
+
+        this.settings.overpassEndpoints = overpassEndpoints.length > 0
+            ? overpassEndpoints
+            : DEFAULT_SETTINGS.overpassEndpoints;
+        this.settings.overpassCacheTtlMinutes = cacheTtl;
+        this.settings.offRouteDistanceMeters = offRouteDistance;
+        this.settings.trailColorMode = document.getElementById('trailColorMode').value;
+        this.settings.tileSources = tileSources;
+        this.saveSettings();
+        this.restyleAllTrails();
+        this.buildTileLayers();
+        document.getElementById('settingsPanel').classList.add('hidden');
+        this.showToast('Settings saved');
+    }
+
+    resetSettings() {
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.saveSettings();
+        this.restyleAllTrails();
+        this.buildTileLayers();
+        this.openSettingsPanel();
+        this.showToast('Settings reset to defaults');
+    }
+
     // ─── Overpass Queries ─────────────────────────────────────────────────────
 
-    buildOverpassQuery(bbox) {
+    buildOverpassQuery(bbox, text = '') {
         const { south, west, north, east } = bbox;
+        const textFilter = this.buildTextFilter(text);
         const zoom = this.map.getZoom();
         const internationalOnly = zoom < INTERNATIONAL_ONLY_ZOOM;
         const box = `${south},${west},${north},${east}`;
@@ -256,7 +1146,7 @@ class TrailsApp {
                 return `
                     [out:json][timeout:25];
                     (
-                        relation["route"="bicycle"]["network"="icn"](${box});
+                        relation["route"="bicycle"]["network"="icn"]${textFilter}(${box});
                     );
                     out body;
                     >;
@@ -266,11 +1156,11 @@ class TrailsApp {
             return `
                 [out:json][timeout:25];
                 (
-                    relation["route"="bicycle"](${box});
-                    relation["route"="mtb"](${box});
-                    relation["network"="icn"](${box});
-                    relation["network"="ncn"](${box});
-                    relation["network"="rcn"](${box});
+                    relation["route"="bicycle"]${textFilter}(${box});
+                    relation["route"="mtb"]${textFilter}(${box});
+                    relation["network"="icn"]${textFilter}(${box});
+                    relation["network"="ncn"]${textFilter}(${box});
+                    relation["network"="rcn"]${textFilter}(${box});
                 );
                 out body;
                 >;
@@ -283,16 +1173,16 @@ class TrailsApp {
             return `
                 [out:json][timeout:25];
                 (
-                    node["tourism"="camp_site"](${box});
-                    node["tourism"="caravan_site"](${box});
-                    node["tourism"="cabin"](${box});
-                    node["tourism"="picnic_site"](${box});
-                    node["amenity"="drinking_water"](${box});
-                    node["amenity"="toilets"]["access"!="private"](${box});
-                    node["amenity"="shower"](${box});
-                    node["amenity"="shelter"](${box});
-                    way["tourism"="camp_site"](${box});
-                    way["tourism"="caravan_site"](${box});
+                    node["tourism"="camp_site"]${textFilter}(${box});
+                    node["tourism"="caravan_site"]${textFilter}(${box});
+                    node["tourism"="cabin"]${textFilter}(${box});
+                    node["tourism"="picnic_site"]${textFilter}(${box});
+                    node["amenity"="drinking_water"]${textFilter}(${box});
+                    node["amenity"="toilets"]["access"!="private"]${textFilter}(${box});
+                    node["amenity"="shower"]${textFilter}(${box});
+                    node["amenity"="shelter"]${textFilter}(${box});
+                    way["tourism"="camp_site"]${textFilter}(${box});
+                    way["tourism"="caravan_site"]${textFilter}(${box});
                 );
                 out body center;
                 >;
@@ -305,7 +1195,7 @@ class TrailsApp {
             return `
                 [out:json][timeout:25];
                 (
-                    relation["network"="iwn"](${box});
+                    relation["network"="iwn"]${textFilter}(${box});
                 );
                 out body;
                 >;
@@ -315,11 +1205,11 @@ class TrailsApp {
         return `
             [out:json][timeout:25];
             (
-                relation["route"="hiking"](${box});
-                relation["route"="foot"](${box});
-                relation["network"="rwn"](${box});
-                relation["network"="nwn"](${box});
-                relation["network"="iwn"](${box});
+                relation["route"="hiking"]${textFilter}(${box});
+                relation["route"="foot"]${textFilter}(${box});
+                relation["network"="rwn"]${textFilter}(${box});
+                relation["network"="nwn"]${textFilter}(${box});
+                relation["network"="iwn"]${textFilter}(${box});
             );
             out body;
             >;
@@ -327,18 +1217,19 @@ class TrailsApp {
         `;
     }
 
-    buildNearbyOverpassQuery(lat, lon, radiusMeters) {
+    buildNearbyOverpassQuery(lat, lon, radiusMeters, text = '') {
         const around = `around:${radiusMeters},${lat},${lon}`;
+        const textFilter = this.buildTextFilter(text);
 
         if (this.currentSport === 'biking') {
             return `
                 [out:json][timeout:25];
                 (
-                    relation["route"="bicycle"](${around});
-                    relation["route"="mtb"](${around});
-                    relation["network"="icn"](${around});
-                    relation["network"="ncn"](${around});
-                    relation["network"="rcn"](${around});
+                    relation["route"="bicycle"]${textFilter}(${around});
+                    relation["route"="mtb"]${textFilter}(${around});
+                    relation["network"="icn"]${textFilter}(${around});
+                    relation["network"="ncn"]${textFilter}(${around});
+                    relation["network"="rcn"]${textFilter}(${around});
                 );
                 out body;
                 >;
@@ -350,14 +1241,14 @@ class TrailsApp {
             return `
                 [out:json][timeout:25];
                 (
-                    node["tourism"="camp_site"](${around});
-                    node["tourism"="caravan_site"](${around});
-                    node["tourism"="cabin"](${around});
-                    node["tourism"="picnic_site"](${around});
-                    node["amenity"="drinking_water"](${around});
-                    node["amenity"="toilets"]["access"!="private"](${around});
-                    node["amenity"="shower"](${around});
-                    node["amenity"="shelter"](${around});
+                    node["tourism"="camp_site"]${textFilter}(${around});
+                    node["tourism"="caravan_site"]${textFilter}(${around});
+                    node["tourism"="cabin"]${textFilter}(${around});
+                    node["tourism"="picnic_site"]${textFilter}(${around});
+                    node["amenity"="drinking_water"]${textFilter}(${around});
+                    node["amenity"="toilets"]["access"!="private"]${textFilter}(${around});
+                    node["amenity"="shower"]${textFilter}(${around});
+                    node["amenity"="shelter"]${textFilter}(${around});
                 );
                 out body;
             `;
@@ -367,11 +1258,84 @@ class TrailsApp {
         return `
             [out:json][timeout:25];
             (
-                relation["route"="hiking"](${around});
-                relation["route"="foot"](${around});
-                relation["network"="rwn"](${around});
-                relation["network"="nwn"](${around});
-                relation["network"="iwn"](${around});
+                relation["route"="hiking"]${textFilter}(${around});
+                relation["route"="foot"]${textFilter}(${around});
+                relation["network"="rwn"]${textFilter}(${around});
+                relation["network"="nwn"]${textFilter}(${around});
+                relation["network"="iwn"]${textFilter}(${around});
+            );
+            out body;
+            >;
+            out skel qt;
+        `;
+    }
+
+    // Overnight camping spots within STAGE_CORRIDOR_M of any of the lines
+    buildCampingCorridorQuery(lines) {
+        const statements = lines.map(points => {
+            const line = points.map(([lat, lon]) => `${lat.toFixed(5)},${lon.toFixed(5)}`).join(',');
+            const around = `around:${STAGE_CORRIDOR_M},${line}`;
+            return `
+                node["tourism"~"^(camp_site|caravan_site|cabin)$"](${around});
+                node["amenity"="shelter"](${around});
+                way["tourism"~"^(camp_site|caravan_site)$"](${around});`;
+        }).join('');
+        return `
+            [out:json][timeout:25];
+            (${statements}
+            );
+            out body center;
+        `;
+    }
+
+    // Case-insensitive match on name or ref. The text is matched literally, with any
+    // whitespace optional so "GR 5" also finds "GR5". Returns '' when there is no text.
+    buildTextFilter(text) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) return '';
+        const pattern = trimmed
+            .split(/\s+/)
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('\\s*');
+        // Escape for the Overpass string literal
+        const quoted = pattern.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        return `[~"^(name|ref)$"~"${quoted}",i]`;
+    }
+
+    // Worldwide search by name/ref, not limited to the current view
+    buildNameSearchQuery(text) {
+        const textFilter = this.buildTextFilter(text);
+
+        if (this.currentSport === 'biking') {
+            return `
+                [out:json][timeout:60];
+                (
+                    relation["route"~"^(bicycle|mtb)$"]${textFilter};
+                );
+                out body;
+                >;
+                out skel qt;
+            `;
+        }
+
+        if (this.currentSport === 'camping') {
+            return `
+                [out:json][timeout:60];
+                (
+                    node["tourism"~"^(camp_site|caravan_site|cabin)$"]${textFilter};
+                    way["tourism"~"^(camp_site|caravan_site)$"]${textFilter};
+                );
+                out body center;
+                >;
+                out skel qt;
+            `;
+        }
+
+        // Walking (default)
+        return `
+            [out:json][timeout:60];
+            (
+                relation["route"~"^(hiking|foot)$"]${textFilter};
             );
             out body;
             >;
@@ -423,6 +1387,11 @@ class TrailsApp {
 
     toggleGpsTracking() {
         if (this.gpsActive) {
+            if (this.recording) {
+                this.showToast('Stop the recording first');
+                return;
+            }
+            this.stopFollowingTrail();
             this.stopGpsTracking();
         } else {
             this.startGpsTracking();
@@ -441,8 +1410,10 @@ class TrailsApp {
         const locationBtn = document.getElementById('locationBtn');
         if (locationBtn) locationBtn.classList.add('active');
 
-        // Auto-stop after 10 minutes
-        this.gpsTimeout = setTimeout(() => this.stopGpsTracking(), GPS_AUTO_STOP_MS);
+        // Auto-stop after 10 minutes (not while recording or following a route)
+        if (!this.recording && !this.activeRouteId) {
+            this.armGpsAutoStop();
+        }
 
         // Stop when tab/window becomes hidden
         document.addEventListener('visibilitychange', this._onVisibilityChange);
@@ -451,12 +1422,21 @@ class TrailsApp {
             (position) => this.onGpsUpdate(position),
             (error) => {
                 this.showToast('Unable to retrieve your location: ' + error.message);
+                // A timeout is transient; keep a recording alive and wait for the next fix
+                if (this.recording && error.code === error.TIMEOUT) return;
+                this.stopRecording();
+                this.stopFollowingTrail();
                 this.stopGpsTracking();
             },
             { enableHighAccuracy: true, maximumAge: 5000, timeout: 15000 }
         );
     }
 
+    armGpsAutoStop() {
+        clearTimeout(this.gpsTimeout);
+        this.gpsTimeout = setTimeout(() => this.stopGpsTracking(), GPS_AUTO_STOP_MS);
+    }
+
     stopGpsTracking() {
         this.gpsActive = false;
 
@@ -482,6 +1462,17 @@ class TrailsApp {
         const accuracy = position.coords.accuracy; // metres
         this.currentLocation = { lat, lon };
 
+        if (this.recording) {
+            this.recording.points.push({
+                lat,
+                lon,
+                time: position.timestamp,
+                accuracy,
+                altitude: position.coords.altitude, // null when the device doesn't report it
+                altitudeAccuracy: position.coords.altitudeAccuracy
+            });
+        }
+
         // ── Accuracy circle ──────────────────────────────────────────────────
         if (this.gpsAccuracyCircle) {
             this.gpsAccuracyCircle.setLatLng([lat, lon]);
@@ -529,1774 +1520,5846 @@ class TrailsApp {
                 interactive: false
             }).addTo(this.map);
         }
-    }
 
-    async searchTrails() {
-        this.showLoading(true);
-        
-        try {
-            // Get map bounds for search
-            const bounds = this.map.getBounds();
-            const bbox = {
-                south: bounds.getSouth(),
-                west: bounds.getWest(),
-                north: bounds.getNorth(),
-                east: bounds.getEast()
-            };
+        if (this.activeRouteId) {
+            this.checkOffRoute(L.latLng(lat, lon), accuracy);
+            this.updateRouteProgress(lat, lon);
+        }
+    }
 
-            const overpassQuery = this.buildOverpassQuery(bbox);
+    // ─── Activity Recording ───────────────────────────────────────────────────
 
-            // Add timeout to fetch request
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000);
+    toggleRecording() {
+        if (this.recording) {
+            this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
 
-            const response = await fetch('https://overpass-api.de/api/interpreter', {
-                method: 'POST',
-                body: overpassQuery,
-                signal: controller.signal
-            });
+    startRecording(activity = null) {
+        if (!navigator.geolocation) {
+            this.showToast('Geolocation is not supported by your browser');
+            return;
+        }
 
-            clearTimeout(timeoutId);
+        const now = Date.now();
+        this.recording = activity || {
+            id: `activity-${now.toString(36)}`,
+            name: `${SPORT_CONFIG[this.currentSport]?.label || 'Activity'} ${new Date(now).toLocaleString()}`,
+            sport: this.currentSport,
+            startedAt: now,
+            endedAt: null,
+            status: 'recording',
+            points: []
+        };
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+        if (this.gpsActive) {
+            // Recording overrides the auto-stop of plain location tracking
+            clearTimeout(this.gpsTimeout);
+            this.gpsTimeout = null;
+            this.recordingStartedGps = false;
+        } else {
+            this.startGpsTracking();
+            this.recordingStartedGps = true;
+        }
+        this.gpsTrailPoints = this.recording.points.map(p => [p.lat, p.lon]);
 
-            const data = await response.json();
-            this.processSearchResults(data);
-        } catch (error) {
-            console.error('Search error:', error);
-            if (error.name === 'AbortError') {
-                this.showToast('Search timed out. Please try a smaller area.');
-            } else {
-                this.showToast('Error searching. Please try again.');
+        this.recordingSaveTimer = setInterval(() => this.persistRecording(), RECORDING_SAVE_INTERVAL_MS);
+        this.requestWakeLock();
+        this.persistRecording();
+        this.updateRecordButton();
+        this.showToast(activity ? 'Recording resumed' : 'Recording started');
+    }
+
+    async stopRecording() {
+        const activity = this.recording;
+        if (!activity) return;
+
+        this.recording = null;
+        clearInterval(this.recordingSaveTimer);
+        this.recordingSaveTimer = null;
+        if (!this.activeRouteId) {
+            this.releaseWakeLock();
+            // Leave tracking as it was before the recording, with its auto-stop again
+            if (this.recordingStartedGps) {
+                this.stopGpsTracking();
+            } else if (this.gpsActive) {
+                this.armGpsAutoStop();
             }
-        } finally {
-            this.showLoading(false);
         }
+        this.recordingStartedGps = false;
+        this.updateRecordButton();
+
+        activity.status = 'done';
+        activity.endedAt = Date.now();
+        this.activities.unshift(activity);
+        await this.persistActivity(activity);
+
+        const stats = this.getActivityStats(activity);
+        this.showToast(`Recorded ${this.formatDistance(stats.distance)} in ${this.formatDuration(stats.duration)}`);
     }
 
-    async findNearbyTrails() {
-        if (!this.currentLocation) {
-            this.showToast('Please enable location first');
-            return;
+    resumeRecording() {
+        const interrupted = this.activities.find(a => a.status === 'recording');
+        if (!interrupted) return;
+        this.activities = this.activities.filter(a => a !== interrupted);
+        this.startRecording(interrupted);
+    }
+
+    persistRecording() {
+        if (this.recording) {
+            this.persistActivity(this.recording);
         }
+    }
 
-        this.showLoading(true);
+    updateRecordButton() {
+        const recordBtn = document.getElementById('recordBtn');
+        if (!recordBtn) return;
+        recordBtn.classList.toggle('recording', !!this.recording);
+        recordBtn.title = this.recording ? 'Stop recording' : 'Record activity';
+    }
 
+    // Keeps the screen on while recording, since most browsers pause geolocation once it locks
+    async requestWakeLock() {
+        if (!('wakeLock' in navigator) || this.wakeLock) return;
         try {
-            const radius = document.getElementById('searchRadius').value;
-            const radiusMeters = radius * 1000;
-            const { lat, lon } = this.currentLocation;
+            this.wakeLock = await navigator.wakeLock.request('screen');
+            this.wakeLock.addEventListener('release', () => {
+                this.wakeLock = null;
+            });
+        } catch (error) {
+            console.warn('Wake lock unavailable:', error);
+        }
+    }
 
-            const overpassQuery = this.buildNearbyOverpassQuery(lat, lon, radiusMeters);
+    releaseWakeLock() {
+        if (this.wakeLock) {
+            this.wakeLock.release();
+            this.wakeLock = null;
+        }
+    }
 
-            // Add timeout to fetch request
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000);
+    // Distance and moving time ignore inaccurate fixes and sub-RECORDING_MIN_STEP_M jitter
+    getActivityStats(activity) {
+        const points = activity.points.filter(p => p.accuracy == null || p.accuracy <= RECORDING_MAX_ACCURACY_M);
+        const end = activity.endedAt || Date.now();
+        const duration = end - activity.startedAt;
+
+        let distance = 0;
+        let movingTime = 0;
+        let anchor = points[0];
+        for (let i = 1; i < points.length; i++) {
+            const point = points[i];
+            const step = this.haversineDistance(anchor.lat, anchor.lon, point.lat, point.lon);
+            if (step < RECORDING_MIN_STEP_M) continue;
+
+            const seconds = (point.time - anchor.time) / 1000;
+            distance += step;
+            if (seconds > 0 && step / seconds >= RECORDING_MOVING_SPEED_MPS) {
+                movingTime += seconds * 1000;
+            }
+            anchor = point;
+        }
 
-            const response = await fetch('https://overpass-api.de/api/interpreter', {
-                method: 'POST',
-                body: overpassQuery,
-                signal: controller.signal
-            });
+        return {
+            duration,
+            distance,
+            movingTime,
+            movingSpeed: movingTime > 0 ? distance / (movingTime / 1000) : 0 // m/s
+        };
+    }
 
-            clearTimeout(timeoutId);
+    formatDuration(ms) {
+        const totalMinutes = Math.round(ms / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    async activityStoreRequest(mode, operation) {
+        const db = await this.openTrailsDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('activities', mode);
+            const request = operation(tx.objectStore('activities'));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
 
-            const data = await response.json();
-            this.processSearchResults(data);
-        } catch (error) {
-            console.error('Nearby search error:', error);
-            if (error.name === 'AbortError') {
-                this.showToast('Search timed out. Please try a smaller radius.');
-            } else {
-                this.showToast('Error finding nearby results. Please try again.');
+    async loadActivities() {
+        if (this.trailsDbUnavailable) {
+            try {
+                const activities = JSON.parse(localStorage.getItem(ACTIVITIES_FALLBACK_KEY) || '[]');
+                this.activities = activities.sort((a, b) => b.startedAt - a.startedAt);
+            } catch (error) {
+                console.error('Error loading activities:', error);
             }
-        } finally {
-            this.showLoading(false);
+            return;
+        }
+        try {
+            const activities = await this.activityStoreRequest('readonly', store => store.getAll());
+            this.activities = activities.sort((a, b) => b.startedAt - a.startedAt);
+        } catch (error) {
+            console.error('Error loading activities:', error);
         }
     }
 
-    processSearchResults(data) {
-        // Clear previous layers
-        this.clearTrailLayers();
+    async persistActivity(activity) {
+        if (this.trailsDbUnavailable) {
+            this.writeActivitiesToLocalStorage();
+            return;
+        }
+        try {
+            await this.activityStoreRequest('readwrite', store => store.put(activity));
+        } catch (error) {
+            this.handleTrailStorageError(error);
+        }
+    }
 
-        const ways = {};
-        const nodes = {};
-        const relations = [];
+    // Fallback store: all activities, including one still being recorded, under one key
+    writeActivitiesToLocalStorage() {
+        const activities = this.recording ? [this.recording, ...this.activities] : this.activities;
+        try {
+            localStorage.setItem(ACTIVITIES_FALLBACK_KEY, JSON.stringify(activities));
+        } catch (error) {
+            this.handleTrailStorageError(error);
+        }
+    }
 
-        // First pass: collect all nodes
-        data.elements.forEach(element => {
-            if (element.type === 'node') {
-                nodes[element.id] = element;
+    async deleteActivity(activityId) {
+        this.activities = this.activities.filter(a => a.id !== activityId);
+        if (this.trailsDbUnavailable) {
+            this.writeActivitiesToLocalStorage();
+        } else {
+            try {
+                await this.activityStoreRequest('readwrite', store => store.delete(activityId));
+            } catch (error) {
+                console.error('Error deleting activity:', error);
             }
-        });
+        }
+        this.renderActivities();
+    }
 
-        // Second pass: collect ways
-        data.elements.forEach(element => {
-            if (element.type === 'way' && element.nodes) {
-                const coords = element.nodes
-                    .map(nodeId => nodes[nodeId])
-                    .filter(node => node && node.lat && node.lon)
-                    .map(node => [node.lat, node.lon]);
+    showActivityOnMap(activity) {
+        if (this.activityLayer) {
+            this.map.removeLayer(this.activityLayer);
+        }
+        const latLngs = activity.points.map(p => [p.lat, p.lon]);
+        if (latLngs.length === 0) return;
+
+        this.activityLayer = L.polyline(latLngs, {
+            color: RECORDING_COLOR,
+            weight: 4,
+            opacity: 0.8,
+            interactive: false
+        }).addTo(this.map);
+        this.map.fitBounds(this.activityLayer.getBounds().pad(0.2));
+        document.getElementById('activitiesPanel').classList.add('hidden');
+    }
 
-                if (coords.length > 0) {
-                    ways[element.id] = {
-                        id: element.id,
-                        type: 'way',
-                        tags: element.tags || {},
-                        coordinates: coords
-                    };
-                }
-            }
-        });
+    openActivitiesPanel() {
+        this.renderActivities();
+        document.getElementById('activitiesPanel').classList.remove('hidden');
+    }
 
-        if (this.currentSport === 'camping') {
-            // Camping mode: process nodes and ways as POI markers
-            data.elements.forEach(element => {
-                if ((element.type === 'node' || element.type === 'way') && element.tags) {
-                    const campingType = this.getCampingPoiType(element.tags);
-                    if (!campingType) return;
+    renderActivities() {
+        const list = document.getElementById('activitiesList');
+        if (!list) return;
+        list.innerHTML = '';
 
-                    // For ways, use the center point (provided by "out body center")
-                    let lat = element.lat;
-                    let lon = element.lon;
-                    if (element.type === 'way') {
-                        if (element.center) {
-                            lat = element.center.lat;
-                            lon = element.center.lon;
-                        } else if (ways[element.id] && ways[element.id].coordinates.length > 0) {
-                            // Compute centroid from coords
-                            const coords = ways[element.id].coordinates;
-                            lat = coords.reduce((s, c) => s + c[0], 0) / coords.length;
-                            lon = coords.reduce((s, c) => s + c[1], 0) / coords.length;
-                        } else {
-                            return; // Can't determine position
-                        }
-                    }
-                    if (!lat || !lon) return;
+        if (this.activities.length === 0) {
+            list.innerHTML = '<div class="empty-state">No recorded activities yet. Use the record button to start one.</div>';
+            return;
+        }
 
-                    const poi = {
-                        id: element.id,
-                        type: 'node',
-                        osmType: element.type,
-                        lat,
-                        lon,
-                        name: element.tags.name || CAMPING_POI_TYPES[campingType]?.label || campingType,
-                        description: this.getCampingDescription(element.tags),
-                        tags: element.tags,
-                        coordinates: [[lat, lon]],
-                        wayGroups: [],
-                        distance: null,
-                        campingType
-                    };
-                    relations.push(poi);
+        this.activities.forEach(activity => {
+            const stats = this.getActivityStats(activity);
+            const item = document.createElement('div');
+            item.className = 'activity-item';
+
+            const info = document.createElement('div');
+            info.className = 'activity-info';
+            const name = document.createElement('strong');
+            name.textContent = activity.name;
+            info.appendChild(name);
+            const details = document.createElement('small');
+            details.textContent = `${this.formatDuration(stats.duration)} • ${this.formatDistance(stats.distance)} • ` +
+                `${(stats.movingSpeed * 3.6).toFixed(1)} km/h moving`;
+            info.appendChild(details);
+            info.addEventListener('click', () => this.showActivityOnMap(activity));
+
+            const actions = document.createElement('div');
+            actions.className = 'trails-actions';
+
+            const exportBtn = document.createElement('button');
+            exportBtn.className = 'icon-btn-small';
+            exportBtn.title = 'Export as GPX';
+            exportBtn.setAttribute('aria-label', 'Export as GPX');
+            exportBtn.innerHTML = '<i class="fas fa-download"></i>';
+            exportBtn.addEventListener('click', () => this.exportActivityGpx(activity));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'icon-btn-small';
+            deleteBtn.title = 'Delete activity';
+            deleteBtn.setAttribute('aria-label', 'Delete activity');
+            deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+            deleteBtn.addEventListener('click', () => {
+                if (confirm(`Delete "${activity.name}"?`)) {
+                    this.deleteActivity(activity.id);
                 }
             });
-        } else {
-            // Walking / Biking: process relations (routes)
-            data.elements.forEach(element => {
-                if (element.type === 'relation') {
-                    const trail = {
-                        id: element.id,
-                        type: 'relation',
-                        osmType: 'relation',
-                        name: element.tags?.name || element.tags?.ref || `Trail ${element.id}`,
-                        description: this.getTrailDescription(element.tags),
-                        tags: element.tags || {},
-                        members: element.members || [],
-                        coordinates: [],
-                        wayGroups: [], // Array of coordinate arrays, one per way
-                        distance: element.tags?.distance || null,
-                        isSuperRoute: element.tags?.type === 'superroute',
-                        isNetwork: element.tags?.type === 'network'
-                    };
 
-                    // Collect coordinates from member ways - keep them separated by way
-                    if (element.members) {
-                        element.members.forEach(member => {
-                            if (member.type === 'way' && ways[member.ref]) {
-                                const wayCoords = ways[member.ref].coordinates;
-                                trail.wayGroups.push(wayCoords);
-                                trail.coordinates.push(...wayCoords); // Keep flat list for bounds calculation
-                            }
-                        });
-                    }
+            actions.appendChild(exportBtn);
+            actions.appendChild(deleteBtn);
+            item.appendChild(info);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
 
-                    if (trail.coordinates.length > 0) {
-                        relations.push(trail);
-                    }
-                }
-            });
-        }
+    // ─── Route Following ──────────────────────────────────────────────────────
 
-        // Update allTrails with new search results, preserving saved trails
-        const newTrails = relations.filter(trail => 
-            !this.savedTrails.some(saved => saved.id === trail.id)
-        );
-        
-        // Keep saved trails and add new search results
-        this.allTrails = [...this.savedTrails, ...newTrails];
-        
-        // Update indexes for fast lookup
-        this.updateTrailIndexes();
+    followTrail(trailId) {
+        const trail = this.trailsById.get(trailId);
+        if (!trail || this.getRouteLines(trail).length === 0) return;
+
+        this.activeRouteId = trailId;
+        this.offRoute = false;
+        this.offRouteFixes = 0;
+        this.routeMeasure = this.buildRouteMeasure(trail);
+        this.routeAlong = null;
+        document.getElementById('routeProgress').textContent = '';
+        this.setRouteTarget('end');
+        this.focusTrail(trailId);
+
+        if (!this.gpsActive) {
+            this.startGpsTracking();
+        } else if (this.gpsTimeout !== null) {
+            clearTimeout(this.gpsTimeout);
+            this.gpsTimeout = null;
+        }
+        this.requestWakeLock();
 
-        // Display trails on map
-        this.displayTrailsOnMap(this.allTrails);
+        this.showRouteBanner(`Following ${trail.name}`, 'on-route');
         this.updateTrailsUI();
 
-        const label = SPORT_CONFIG[this.currentSport]?.resultsLabel || 'results';
-        if (newTrails.length === 0 && this.savedTrails.length === 0) {
-            this.showToast(`No ${label.toLowerCase()} found. Try adjusting the search area.`);
-        } else {
-            this.showToast(`Found ${newTrails.length} new ${label.toLowerCase()}!`);
-        }
-        
-        // Automatically fetch and organize parent relations for new trails (not for camping)
-        if (newTrails.length > 0 && this.currentSport !== 'camping') {
-            this.organizeTrailHierarchy(newTrails);
+        // Load the elevation profile in the background so walking ETAs can include the climb
+        if (this.getPaceSport(trail) === 'walking') {
+            this.getElevationProfile(trail)
+                .then(() => {
+                    if (this.routeAlong !== null) this.renderRouteProgress();
+                })
+                .catch(error => console.warn('No elevation for ETA:', error));
         }
     }
 
-    // ─── Camping Helpers ──────────────────────────────────────────────────────
+    stopFollowingTrail() {
+        if (!this.activeRouteId) return;
+        this.activeRouteId = null;
+        this.offRoute = false;
+        this.offRouteFixes = 0;
+        this.routeMeasure = null;
+        this.routeAlong = null;
+        this.map.off('click', this._onRouteWaypointClick);
+        this.clearRouteWaypoint();
+        if (!this.recording) this.releaseWakeLock();
+        document.getElementById('routeBanner').classList.add('hidden');
+        this.updateTrailsUI();
+    }
 
-    getCampingPoiType(tags) {
-        if (tags.tourism === 'camp_site') return 'camp_site';
-        if (tags.tourism === 'caravan_site') return 'caravan_site';
-        if (tags.tourism === 'cabin') return 'cabin';
-        if (tags.tourism === 'picnic_site') return 'picnic_site';
-        if (tags.amenity === 'drinking_water') return 'drinking_water';
-        if (tags.amenity === 'toilets') return 'toilets';
-        if (tags.amenity === 'shower') return 'shower';
-        if (tags.amenity === 'shelter') return 'shelter';
-        return null;
+    // Shortest distance in metres from a point to any line of the trail, branches included
+    getDistanceToTrail(point, trail) {
+        let minDistance = Infinity;
+        [...this.getRouteLines(trail), ...(trail.routeBranches || [])].forEach(line => {
+            for (let i = 0; i < line.length - 1; i++) {
+                const start = L.latLng(line[i][0], line[i][1]);
+                const end = L.latLng(line[i + 1][0], line[i + 1][1]);
+                minDistance = Math.min(minDistance, this.distanceToSegment(point, start, end));
+            }
+        });
+        return minDistance;
     }
 
-    getCampingDescription(tags) {
-        const poiType = this.getCampingPoiType(tags);
-        const typeName = CAMPING_POI_TYPES[poiType]?.label || 'Amenity';
-        const parts = [typeName];
-        if (tags.fee && tags.fee !== 'no') parts.push(`Fee: ${tags.fee}`);
-        if (tags.opening_hours) parts.push(tags.opening_hours);
-        if (tags.capacity) parts.push(`Capacity: ${tags.capacity}`);
-        return parts.join(' • ');
+    checkOffRoute(point, accuracy) {
+        const trail = this.trailsById.get(this.activeRouteId);
+        if (!trail) {
+            this.stopFollowingTrail();
+            return;
+        }
+
+        const threshold = this.settings.offRouteDistanceMeters;
+        // A fix that can't tell us which side of the threshold we're on changes nothing
+        if (accuracy > threshold) return;
+
+        const distance = this.getDistanceToTrail(point, trail);
+        if (!this.offRoute) {
+            this.offRouteFixes = distance > threshold ? this.offRouteFixes + 1 : 0;
+            if (this.offRouteFixes >= OFF_ROUTE_CONFIRM_FIXES) {
+                this.offRoute = true;
+                this.showRouteBanner(`Off route: ${this.formatDistance(distance)} from ${trail.name}`, 'off-route');
+                if (navigator.vibrate) navigator.vibrate(OFF_ROUTE_VIBRATION);
+            }
+        } else if (distance <= threshold * OFF_ROUTE_RETURN_RATIO) {
+            this.offRoute = false;
+            this.offRouteFixes = 0;
+            this.showRouteBanner(`Back on route: ${trail.name}`, 'on-route');
+            this.showToast('Back on route');
+        } else {
+            this.showRouteBanner(`Off route: ${this.formatDistance(distance)} from ${trail.name}`, 'off-route');
+        }
     }
 
-    createCampingIcon(campingType, isSaved, isHighlighted = false) {
-        const cfg = CAMPING_POI_TYPES[campingType] || { icon: 'fa-location-dot', label: 'Amenity' };
-        const color = isHighlighted ? '#2196F3' : (isSaved ? '#2c7a3f' : '#c0392b');
-        const bgColor = isHighlighted ? '#bbdefb' : (isSaved ? '#e8f5e9' : '#fff');
-        return L.divIcon({
-            className: '',
-            html: `<div class="camping-marker-icon" style="background:${bgColor};border-color:${color};color:${color}"><i class="fas ${cfg.icon}"></i></div>`,
-            iconSize: [32, 32],
-            iconAnchor: [16, 32],
-            popupAnchor: [0, -34]
-        });
+    showRouteBanner(text, state) {
+        const banner = document.getElementById('routeBanner');
+        document.getElementById('routeBannerText').textContent = text;
+        banner.classList.remove('hidden', 'on-route', 'off-route');
+        banner.classList.add(state);
     }
 
-    // ─── Waymarked Trails Badges ──────────────────────────────────────────────
+    // ─── Route Progress ───────────────────────────────────────────────────────
 
-    // Returns a small HTML badge element mimicking waymarked-trails style shields.
-    // Colours follow the waymarked-trails convention: int=red, nat=orange, reg=blue, loc=green
-    createTrailBadgeHtml(trail) {
-        const tags = trail.tags || {};
+    // Main path lines laid end to end with cumulative distances, on the same distance scale as
+    // getTrailLength and the elevation profile (gaps between lines and branches are not counted)
+    buildRouteMeasure(trail) {
+        return this.measureLines(this.getRouteLines(trail));
+    }
 
-        // Determine network level
-        const network = tags.network || '';
-        const networkMap = {
-            iwn: { label: 'I', title: 'International', color: '#c0392b' },
-            nwn: { label: 'N', title: 'National',      color: '#e67e22' },
-            rwn: { label: 'R', title: 'Regional',      color: '#2980b9' },
-            lwn: { label: 'L', title: 'Local',         color: '#27ae60' },
-            icn: { label: 'I', title: 'International', color: '#c0392b' },
-            ncn: { label: 'N', title: 'National',      color: '#e67e22' },
-            rcn: { label: 'R', title: 'Regional',      color: '#2980b9' },
-            lcn: { label: 'L', title: 'Local',         color: '#27ae60' }
+    measureLines(lines) {
+        const points = [];
+        const cumulative = [];
+        const lineStarts = new Set(); // Indexes where a new line starts, no segment leads there
+        let distance = 0;
+        lines.forEach(line => {
+            line.forEach((coord, i) => {
+                if (i === 0) {
+                    lineStarts.add(points.length);
+                } else {
+                    distance += this.haversineDistance(line[i - 1][0], line[i - 1][1], coord[0], coord[1]);
+                }
+                points.push(coord);
+                cumulative.push(distance);
+            });
+        });
+        return { points, cumulative, lineStarts, length: distance };
+    }
+
+    // Distance along the route of the point's projection onto it
+    projectOntoRoute(lat, lon, measure, previousAlong = null) {
+        const candidates = this.getRouteProjections(lat, lon, measure);
+        if (candidates.length === 0) return null;
+
+        // A loop rather than Math.min(...), which overflows the call stack on long relations
+        const nearest = candidates.reduce((min, c) => Math.min(min, c.distance), Infinity);
+        const close = candidates.filter(c => c.distance <= nearest + ROUTE_PROJECTION_SLACK_M);
+        if (previousAlong === null) {
+            return close.reduce((best, c) => c.distance < best.distance ? c : best).along;
+        }
+        return close.reduce((best, c) =>
+            Math.abs(c.along - previousAlong) < Math.abs(best.along - previousAlong) ? c : best).along;
+    }
+
+    // The point's projection onto every segment: [{ along, distance }]
+    getRouteProjections(lat, lon, measure) {
+        const candidates = [];
+        const cosLat = Math.cos(lat * Math.PI / 180);
+        for (let i = 1; i < measure.points.length; i++) {
+            if (measure.lineStarts.has(i)) continue;
+            const [lat1, lon1] = measure.points[i - 1];
+            const [lat2, lon2] = measure.points[i];
+            // Local equirectangular projection is accurate enough at segment scale
+            const dx = (lon2 - lon1) * cosLat;
+            const dy = lat2 - lat1;
+            const lenSq = dx * dx + dy * dy;
+            const t = lenSq === 0
+                ? 0
+                : Math.max(0, Math.min(1, (((lon - lon1) * cosLat) * dx + (lat - lat1) * dy) / lenSq));
+            const projLat = lat1 + t * dy;
+            const projLon = lon1 + t * (lon2 - lon1);
+            const segmentLength = measure.cumulative[i] - measure.cumulative[i - 1];
+            candidates.push({
+                along: measure.cumulative[i - 1] + t * segmentLength,
+                distance: this.haversineDistance(lat, lon, projLat, projLon)
+            });
+        }
+        return candidates;
+    }
+
+    // Position at a distance along the route, interpolated within its segment
+    getPointAlongRoute(measure, along) {
+        const { points, cumulative } = measure;
+        let low = 0;
+        let high = points.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (cumulative[mid] < along) low = mid + 1; else high = mid;
+        }
+        if (low === 0 || measure.lineStarts.has(low)) return points[low];
+        const segmentLength = cumulative[low] - cumulative[low - 1];
+        const t = segmentLength === 0 ? 0 : (along - cumulative[low - 1]) / segmentLength;
+        const [lat1, lon1] = points[low - 1];
+        const [lat2, lon2] = points[low];
+        return [lat1 + t * (lat2 - lat1), lon1 + t * (lon2 - lon1)];
+    }
+
+    updateRouteProgress(lat, lon) {
+        if (!this.routeMeasure) return;
+        const along = this.projectOntoRoute(lat, lon, this.routeMeasure, this.routeAlong);
+        if (along === null) return;
+        this.routeAlong = along;
+        this.renderRouteProgress();
+    }
+
+    getPaceSport(trail) {
+        const route = trail.tags?.route;
+        if (route === 'bicycle' || route === 'mtb') return 'biking';
+        if (route === 'hiking' || route === 'foot' || route === 'walking') return 'walking';
+        return this.currentSport === 'biking' ? 'biking' : 'walking';
+    }
+
+    // Ascent met when travelling from one distance along the route to another, in either direction
+    getAscentBetween(profile, fromAlong, toAlong) {
+        let points = profile.points.filter(p =>
+            p.distance >= Math.min(fromAlong, toAlong) && p.distance <= Math.max(fromAlong, toAlong));
+        if (toAlong < fromAlong) points = points.reverse();
+
+        let ascent = 0;
+        let reference = points.length > 0 ? points[0].elevation : 0;
+        points.forEach(({ elevation }) => {
+            const diff = elevation - reference;
+            if (Math.abs(diff) >= ELEVATION_NOISE_THRESHOLD_M) {
+                if (diff > 0) ascent += diff;
+                reference = elevation;
+            }
+        });
+        return ascent;
+    }
+
+    // Time in ms to cover a distance: average speed for biking, Naismith's rule for walking
+    estimateDuration(distance, ascent, sport) {
+        const pace = SPORT_CONFIG[sport].pace;
+        let hours = distance / 1000 / pace.speedKmh;
+        if (pace.ascentMetersPerHour && ascent) {
+            hours += ascent / pace.ascentMetersPerHour;
+        }
+        return hours * 3600 * 1000;
+    }
+
+    renderRouteProgress() {
+        const trail = this.trailsById.get(this.activeRouteId);
+        if (!trail || !this.routeMeasure || this.routeAlong === null) return;
+
+        const targets = {
+            end: this.routeMeasure.length,
+            start: 0,
+            waypoint: this.routeWaypoint ? this.routeWaypoint.along : null
         };
+        const targetAlong = targets[this.routeTarget];
+        const progressEl = document.getElementById('routeProgress');
+        if (targetAlong === null) {
+            progressEl.textContent = 'Click the trail to set the waypoint';
+            return;
+        }
 
-        const net = networkMap[network];
-        if (!net) return '';
+        // Heading to the start means everything behind counts as covered
+        const covered = this.routeTarget === 'start'
+            ? this.routeMeasure.length - this.routeAlong
+            : this.routeAlong;
+        const remaining = Math.abs(targetAlong - this.routeAlong);
+
+        const sport = this.getPaceSport(trail);
+        const profile = trail.elevationProfile;
+        const ascent = sport === 'walking' && profile
+            ? this.getAscentBetween(profile, this.routeAlong, targetAlong)
+            : 0;
+        const duration = this.estimateDuration(remaining, ascent, sport);
+        const arrival = new Date(Date.now() + duration)
+            .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        let text = `${this.formatDistance(covered)} done • ${this.formatDistance(remaining)} to go`;
+        if (ascent > 0) text += ` (↑ ${Math.round(ascent)} m)`;
+        text += ` • ETA ${arrival} (${this.formatDuration(duration)})`;
+        progressEl.textContent = text;
+    }
 
-        // Use the route ref if available, else network initial
-        const ref = tags.ref ? tags.ref.substring(0, GPS_MAX_BADGE_REF_LENGTH) : net.label;
-        const isCycling = tags.route === 'bicycle' || tags.route === 'mtb';
-        const title = `${net.title} ${isCycling ? 'cycling' : 'hiking'} route`;
+    setRouteTarget(target) {
+        this.routeTarget = target;
+        document.getElementById('routeTarget').value = target;
+        this.map.off('click', this._onRouteWaypointClick);
+        if (target === 'waypoint') {
+            this.clearRouteWaypoint();
+            this.showToast('Click the trail to set the waypoint');
+            this.map.on('click', this._onRouteWaypointClick);
+        }
+        this.renderRouteProgress();
+    }
 
-        return `<span class="trail-badge" style="background:${net.color}" title="${title}">${ref}</span>`;
+    setRouteWaypoint(latlng) {
+        if (!this.routeMeasure || this.routeTarget !== 'waypoint') return;
+        const along = this.projectOntoRoute(latlng.lat, latlng.lng, this.routeMeasure);
+        if (along === null) return;
+
+        this.map.off('click', this._onRouteWaypointClick);
+        this.clearRouteWaypoint();
+        const trail = this.trailsById.get(this.activeRouteId);
+        const marker = L.marker(latlng, {
+            icon: L.divIcon({
+                className: 'route-waypoint-marker',
+                html: '<i class="fas fa-flag-checkered"></i>',
+                iconSize: [24, 24],
+                iconAnchor: [12, 24]
+            }),
+            interactive: false
+        }).addTo(this.map);
+        this.routeWaypoint = { along, marker };
+        this.showToast(`Waypoint set at ${this.formatDistance(along)} along ${trail.name}`);
+        this.renderRouteProgress();
     }
 
-    getTrailDescription(tags) {
-        const parts = [];
-        
-        // Biking network labels
-        if (tags?.route === 'bicycle' || tags?.route === 'mtb') {
-            const networkNames = {
-                'icn': 'International',
-                'ncn': 'National',
-                'rcn': 'Regional',
-                'lcn': 'Local'
-            };
-            if (tags?.network) parts.push(networkNames[tags.network] || tags.network);
-            if (tags?.surface) parts.push(`Surface: ${tags.surface}`);
-            return parts.length > 0 ? parts.join(' • ') : 'Cycling route';
+    clearRouteWaypoint() {
+        if (this.routeWaypoint) {
+            this.map.removeLayer(this.routeWaypoint.marker);
+            this.routeWaypoint = null;
         }
-        
-        if (tags?.network) {
-            const networkNames = {
-                'iwn': 'International',
-                'nwn': 'National',
-                'rwn': 'Regional',
-                'lwn': 'Local',
-                'icn': 'International',
-                'ncn': 'National',
-                'rcn': 'Regional',
-                'lcn': 'Local'
+    }
+
+    // Replays positions through onGpsUpdate without a real GPS, for testing route alerts:
+    // app.simulateGpsFeed([{ lat, lon, accuracy }, ...], 1000)
+    simulateGpsFeed(positions, intervalMs = 1000) {
+        clearInterval(this.simulationTimer);
+        let index = 0;
+        return new Promise(resolve => {
+            const next = () => {
+                if (index >= positions.length) {
+                    clearInterval(this.simulationTimer);
+                    this.simulationTimer = null;
+                    resolve();
+                    return;
+                }
+                const { lat, lon, accuracy = 5, altitude = null } = positions[index++];
+                this.onGpsUpdate({
+                    coords: { latitude: lat, longitude: lon, accuracy, altitude, altitudeAccuracy: null },
+                    timestamp: Date.now()
+                });
             };
-            parts.push(networkNames[tags.network] || tags.network);
+            next();
+            this.simulationTimer = setInterval(next, intervalMs);
+        });
+    }
+
+    async searchTrails(bypassCache = false) {
+        const text = document.getElementById('searchText').value.trim();
+        if (this.searchWorldwide) {
+            if (!text) {
+                this.showToast('Enter a name or ref to search worldwide');
+                return;
+            }
+            return this.searchTrailsByName(text, bypassCache);
         }
+
+        this.showLoading(true);
         
-        if (tags?.sac_scale) {
-            parts.push(`Difficulty: ${tags.sac_scale}`);
+        try {
+            // Get map bounds for search
+            const bounds = this.map.getBounds();
+            const bbox = {
+                south: bounds.getSouth(),
+                west: bounds.getWest(),
+                north: bounds.getNorth(),
+                east: bounds.getEast()
+            };
+
+            const overpassQuery = this.buildOverpassQuery(bbox, text);
+            const cacheRequest = {
+                sport: this.currentSport,
+                filterKey: this.getBboxFilterKey(text),
+                area: { type: 'bbox', ...bbox }
+            };
+
+            const { data, cachedAt } = await this.fetchOverpassCached(overpassQuery, cacheRequest, bypassCache);
+            this.processSearchResults(data);
+            this.autoSearchAreas.push({ sport: cacheRequest.sport, filterKey: cacheRequest.filterKey, ...bbox });
+            this.showCacheNotice(cachedAt, () => this.searchTrails(true));
+        } catch (error) {
+            console.error('Search error:', error);
+            if (error.name === 'AbortError') {
+                this.showToast('Search timed out. Please try a smaller area.');
+            } else {
+                this.showToast('Error searching. Please try again.');
+            }
+        } finally {
+            this.showLoading(false);
         }
-        if (tags?.trail_visibility) {
-            parts.push(`Visibility: ${tags.trail_visibility}`);
+    }
+
+    // Cache filter key of a bbox search; buildOverpassQuery only asks for international routes when zoomed out
+    getBboxFilterKey(text) {
+        const internationalOnly = this.currentSport !== 'camping' && this.map.getZoom() < INTERNATIONAL_ONLY_ZOOM;
+        return `${internationalOnly ? 'international' : 'all'}|${text.toLowerCase()}`;
+    }
+
+    async searchTrailsByName(text, bypassCache = false) {
+        this.showLoading(true);
+
+        try {
+            const overpassQuery = this.buildNameSearchQuery(text);
+            const cacheRequest = {
+                sport: this.currentSport,
+                filterKey: `worldwide|${text.toLowerCase()}`,
+                area: { type: 'bbox', south: -90, west: -180, north: 90, east: 180 }
+            };
+
+            const { data, cachedAt } = await this.fetchOverpassCached(
+                overpassQuery, cacheRequest, bypassCache, OVERPASS_NAME_SEARCH_MIN_TIMEOUT_MS);
+            const newTrails = this.processSearchResults(data);
+            this.showCacheNotice(cachedAt, () => this.searchTrailsByName(text, true));
+
+            // Results can be anywhere in the world, so bring them into view
+            const coords = newTrails.flatMap(t => t.coordinates);
+            if (coords.length > 0) {
+                this.map.fitBounds(L.latLngBounds(coords).pad(0.1));
+            }
+        } catch (error) {
+            console.error('Name search error:', error);
+            if (error.name === 'AbortError') {
+                this.showToast('Search timed out. Please try a more specific name.');
+            } else {
+                this.showToast('Error searching. Please try again.');
+            }
+        } finally {
+            this.showLoading(false);
         }
-        if (tags?.surface) {
-            parts.push(`Surface: ${tags.surface}`);
+    }
+
+    async findNearbyTrails(bypassCache = false) {
+        if (!this.currentLocation) {
+            this.showToast('Please enable location first');
+            return;
         }
 
-        return parts.length > 0 ? parts.join(' • ') : 'Hiking trail';
+        const radiusMeters = document.getElementById('searchRadius').value * 1000;
+        const { lat, lon } = this.currentLocation;
+        return this.searchAround(lat, lon, radiusMeters, bypassCache);
     }
 
-    displayTrailsOnMap(trails) {
-        trails.forEach(trail => {
-            if (!trail.coordinates || trail.coordinates.length === 0) return;
+    // Searches a circle around a point: the user's location, or a spot clicked on a route overlay
+    async searchAround(lat, lon, radiusMeters, bypassCache = false) {
+        this.showLoading(true);
 
-            // Check if already on map
-            if (this.trailLayers.has(trail.id)) return;
+        try {
+            const text = document.getElementById('searchText').value.trim();
+            const overpassQuery = this.buildNearbyOverpassQuery(lat, lon, radiusMeters, text);
+            const cacheRequest = {
+                sport: this.currentSport,
+                // The nearby camping query only returns nodes, unlike the bbox one
+                filterKey: `${this.currentSport === 'camping' ? 'nodes' : 'all'}|${text.toLowerCase()}`,
+                area: { type: 'around', lat, lon, radius: radiusMeters }
+            };
 
-            const isSaved = this.savedTrails.some(t => t.id === trail.id);
+            const { data, cachedAt } = await this.fetchOverpassCached(overpassQuery, cacheRequest, bypassCache);
+            this.processSearchResults(data);
+            this.showCacheNotice(cachedAt, () => this.searchAround(lat, lon, radiusMeters, true));
+        } catch (error) {
+            console.error('Nearby search error:', error);
+            if (error.name === 'AbortError') {
+                this.showToast('Search timed out. Please try a smaller radius.');
+            } else {
+                this.showToast('Error finding nearby results. Please try again.');
+            }
+        } finally {
+            this.showLoading(false);
+        }
+    }
 
-            // ── Camping POI: single-point marker ────────────────────────────
-            if (trail.type === 'node') {
-                const [lat, lon] = trail.coordinates[0];
-                const markerIcon = this.createCampingIcon(trail.campingType, isSaved);
-                const marker = L.marker([lat, lon], { icon: markerIcon, title: trail.name });
+    // POSTs a query to the configured Overpass endpoints in order. Busy (429), gateway
+    // timeout (504) and network failures or per-endpoint timeouts fall through to the
+    // next endpoint; the last error is rethrown when all of them fail.
+    // Tries the endpoints in order, each for its own timeout; minTimeout lengthens that for
+    // slow queries such as the worldwide search so they aren't cut off before the server gives up
+    async fetchOverpass(query, minTimeout = 0) {
+        const endpoints = this.settings.overpassEndpoints.length > 0
+            ? this.settings.overpassEndpoints
+            : DEFAULT_SETTINGS.overpassEndpoints;
+        let lastError = null;
+
+        for (const endpoint of endpoints) {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), Math.max(endpoint.timeout, minTimeout));
 
-                const popupDiv = document.createElement('div');
-                popupDiv.style.minWidth = '160px';
-                const nameEl = document.createElement('strong');
-                nameEl.textContent = trail.name;
-                popupDiv.appendChild(nameEl);
-                popupDiv.appendChild(document.createElement('br'));
-                const descEl = document.createElement('small');
-                descEl.textContent = trail.description;
-                popupDiv.appendChild(descEl);
+            try {
+                const response = await fetch(endpoint.url, {
+                    method: 'POST',
+                    body: query,
+                    signal: controller.signal
+                });
 
-                if (!isSaved) {
-                    const btnContainer = document.createElement('div');
-                    btnContainer.style.marginTop = '8px';
-                    const saveBtn = document.createElement('button');
-                    saveBtn.className = 'popup-btn popup-btn-save';
-                    saveBtn.innerHTML = '<i class="fas fa-bookmark"></i> Save';
-                    saveBtn.addEventListener('click', () => this.saveTrail(trail.id));
-                    btnContainer.appendChild(saveBtn);
-                    popupDiv.appendChild(btnContainer);
+                if (!response.ok) {
+                    lastError = new Error(`HTTP error! status: ${response.status}`);
+                    if (OVERPASS_RETRY_STATUSES.includes(response.status)) {
+                        console.warn(`Overpass endpoint ${endpoint.url} returned ${response.status}, trying next`);
+                        continue;
+                    }
+                    throw lastError;
                 }
 
-                marker.bindPopup(popupDiv);
-                // On click: toggle selection without calling focusTrail/setView so the
-                // popup opened by bindPopup is not disrupted (fixes single-tap on touchscreens).
-                marker.on('click', () => {
-                    if (this.highlightedTrailIds.has(trail.id)) {
-                        this.deselectTrail(trail.id);
-                    } else {
-                        this.selectTrail(trail.id, false); // select without focus/setView
-                    }
-                });
-                marker.on('mouseover', () => this.highlightTrail(trail.id, true));
-                marker.on('mouseout', () => this.highlightTrail(trail.id, false));
+                return await response.json();
+            } catch (error) {
+                if (error === lastError) throw error;
+                // AbortError (timeout) or TypeError (network failure)
+                console.warn(`Overpass endpoint ${endpoint.url} failed, trying next:`, error);
+                lastError = error;
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }
 
-                const markerGroup = L.layerGroup([marker]).addTo(this.map);
-                markerGroup.allPolylines = [];
-                markerGroup.allHitPolylines = [];
-                markerGroup.mainPolyline = null;
-                markerGroup._marker = marker;
-                markerGroup._campingType = trail.campingType;
+        throw lastError;
+    }
 
-                this.trailLayers.set(trail.id, markerGroup);
-                return;
+    // ─── Auto Search ──────────────────────────────────────────────────────────
+
+    toggleAutoSearch() {
+        this.settings.autoSearch = !this.settings.autoSearch;
+        this.saveSettings();
+        this.updateAutoSearchButton();
+        if (this.settings.autoSearch) {
+            this.showToast('Auto-search on: results load as you move the map');
+            this.scheduleAutoSearch();
+        } else {
+            clearTimeout(this.autoSearchTimer);
+        }
+    }
+
+    updateAutoSearchButton() {
+        const btn = document.getElementById('autoSearchBtn');
+        if (!btn) return;
+        btn.classList.toggle('active', this.settings.autoSearch);
+        btn.setAttribute('aria-pressed', String(this.settings.autoSearch));
+        btn.querySelector('i').classList.toggle('fa-spin', this.autoSearchRunning);
+    }
+
+    scheduleAutoSearch() {
+        if (!this.settings.autoSearch || this.searchWorldwide) return;
+        clearTimeout(this.autoSearchTimer);
+        this.autoSearchTimer = setTimeout(() => this.runAutoSearch(), AUTO_SEARCH_DEBOUNCE_MS);
+    }
+
+    getViewBbox() {
+        const bounds = this.map.getBounds();
+        return { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+    }
+
+    intersectBbox(a, b) {
+        const box = {
+            south: Math.max(a.south, b.south),
+            west: Math.max(a.west, b.west),
+            north: Math.min(a.north, b.north),
+            east: Math.min(a.east, b.east)
+        };
+        return box.south < box.north && box.west < box.east ? box : null;
+    }
+
+    // Unlike intersectBbox, touching boxes and zero-size boxes (single points) count as overlapping
+    bboxesOverlap(a, b) {
+        return a.south <= b.north && a.north >= b.south && a.west <= b.east && a.east >= b.west;
+    }
+
+    // Parts of box outside hole: up to four boxes (south and north strips, then west and east of the hole)
+    subtractBbox(box, hole) {
+        const overlap = this.intersectBbox(box, hole);
+        if (!overlap) return [box];
+        return [
+            { south: box.south, west: box.west, north: overlap.south, east: box.east },
+            { south: overlap.north, west: box.west, north: box.north, east: box.east },
+            { south: overlap.south, west: box.west, north: overlap.north, east: overlap.west },
+            { south: overlap.south, west: overlap.east, north: overlap.north, east: box.east }
+        ].filter(piece => piece.south < piece.north && piece.west < piece.east);
+    }
+
+    getUncoveredBboxes(view, covered) {
+        return covered.reduce(
+            (pieces, area) => pieces.flatMap(piece => this.subtractBbox(piece, area)),
+            [view]
+        );
+    }
+
+    // Searches the parts of the view not searched yet and merges the results into allTrails
+    async runAutoSearch() {
+        if (!this.settings.autoSearch || this.searchWorldwide) return;
+        if (this.autoSearchRunning) {
+            this.autoSearchPending = true;
+            return;
+        }
+        if (this.map.getZoom() < AUTO_SEARCH_MIN_ZOOM) return;
+
+        const sport = this.currentSport;
+        const text = document.getElementById('searchText').value.trim();
+        const filterKey = this.getBboxFilterKey(text);
+        const covered = this.autoSearchAreas.filter(area => area.sport === sport && area.filterKey === filterKey);
+        let missing = this.getUncoveredBboxes(this.getViewBbox(), covered);
+        if (missing.length > AUTO_SEARCH_MAX_PIECES) {
+            missing = [{
+                south: Math.min(...missing.map(box => box.south)),
+                west: Math.min(...missing.map(box => box.west)),
+                north: Math.max(...missing.map(box => box.north)),
+                east: Math.max(...missing.map(box => box.east))
+            }];
+        }
+
+        this.autoSearchRunning = true;
+        this.updateAutoSearchButton();
+        try {
+            let added = 0;
+            for (const bbox of missing) {
+                const overpassQuery = this.buildOverpassQuery(bbox, text);
+                const request = { sport, filterKey, area: { type: 'bbox', ...bbox } };
+                const { data } = await this.fetchOverpassCached(overpassQuery, request);
+                // Results for a sport the user has since left would mix into the wrong list
+                if (sport !== this.currentSport) return;
+                added += this.processSearchResults(data, { merge: true }).length;
+                this.autoSearchAreas.push({ sport, filterKey, ...bbox });
             }
-                const trailPane = this.getTrailPane(trail.id);
-                
-                // Use wayGroups if available to draw separate polylines per way, otherwise use coordinates
-                let polylineGroup;
-                if (trail.wayGroups && trail.wayGroups.length > 0) {
-                    // Create a layer group with multiple polylines, one per way
-                    const polylines = trail.wayGroups.map(wayCoords => {
-                        // Create visible polyline (non-interactive to prevent event capture)
-                        const visibleLine = L.polyline(wayCoords, {
-                            color: isSaved ? '#2c7a3f' : '#e74c3c',
-                            weight: 4,
-                            opacity: 0.7,
-                            trailId: trail.id,
-                            interactive: false,
-                            pane: trailPane
-                        });
-                        
-                        // Create transparent wider polyline for fat finger support (~20px)
-                        const hitLine = L.polyline(wayCoords, {
-                            color: 'transparent',
-                            weight: 20,
-                            opacity: 0,
-                            trailId: trail.id,
-                            interactive: true,
-                            pane: 'hitPane'
+
+            this.evictDistantTrails();
+            if (added > 0 && sport !== 'camping') {
+                const loaded = this.allTrails.filter(trail =>
+                    trail.type === 'relation' && !trail.isParentOnly && !this.savedTrailIds.has(trail.id));
+                this.organizeTrailHierarchy(loaded, false);
+            }
+        } catch (error) {
+            console.error('Auto-search error:', error);
+            this.showToast('Auto-search failed. Move the map to try again.');
+        } finally {
+            this.autoSearchRunning = false;
+            this.updateAutoSearchButton();
+            if (this.autoSearchPending) {
+                this.autoSearchPending = false;
+                this.scheduleAutoSearch();
+            }
+        }
+    }
+
+    getTrailBounds(trail) {
+        return this.getCoordsBounds(trail.coordinates);
+    }
+
+    getCoordsBounds(coords) {
+        let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+        coords.forEach(([lat, lon]) => {
+            if (lat < south) south = lat;
+            if (lat > north) north = lat;
+            if (lon < west) west = lon;
+            if (lon > east) east = lon;
+        });
+        return { south, west, north, east };
+    }
+
+    // Drops search results far outside the view to keep memory bounded. Saved, selected and
+    // followed trails stay, as does the trail shown in the details panel (with its child routes,
+    // which stage planning needs); searched areas are clipped to what is kept so they are
+    // searched again when the map comes back.
+    evictDistantTrails() {
+        const bounds = this.map.getBounds().pad(AUTO_SEARCH_KEEP_MARGIN);
+        const keep = { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+        const detailsIds = new Set();
+        const detailsTrail = this.trailsById.get(this.detailsTrailId);
+        if (detailsTrail && !document.getElementById('detailsPanel').classList.contains('hidden')) {
+            detailsIds.add(detailsTrail.id);
+            (detailsTrail.childRelations || []).forEach(child => detailsIds.add(child.id));
+        }
+        const isPinned = id => this.savedTrailIds.has(id) || this.highlightedTrailIds.has(id) ||
+            id === this.activeRouteId || detailsIds.has(id);
+
+        const evicted = new Set();
+        this.allTrails.forEach(trail => {
+            if (isPinned(trail.id) || trail.isParentOnly || trail.coordinates.length === 0) return;
+            if (!this.bboxesOverlap(this.getTrailBounds(trail), keep)) evicted.add(trail.id);
+        });
+        if (evicted.size === 0) return;
+
+        // Parent groups lose evicted children, and go once they have none left
+        this.allTrails.forEach(trail => {
+            if (!trail.isParentOnly || !trail.childRelations || isPinned(trail.id)) return;
+            trail.childRelations = trail.childRelations.filter(child => !evicted.has(child.id));
+            if (trail.childRelations.length === 0) evicted.add(trail.id);
+        });
+        this.parentGroupsByName.forEach((group, name) => {
+            group.children = group.children.filter(child => !evicted.has(child.id));
+            if (group.children.length === 0) this.parentGroupsByName.delete(name);
+        });
+
+        evicted.forEach(id => this.removeTrailLayer(id));
+        this.allTrails = this.allTrails.filter(trail => !evicted.has(trail.id));
+        this.autoSearchAreas = this.autoSearchAreas
+            .map(area => {
+                const clipped = this.intersectBbox(area, keep);
+                return clipped && { sport: area.sport, filterKey: area.filterKey, ...clipped };
+            })
+            .filter(Boolean);
+        this.updateTrailIndexes();
+        this.updateTrailsUI();
+    }
+
+    // ─── Overpass Response Cache ──────────────────────────────────────────────
+
+    // Bounding box of a search area; circles ("around" queries) use their enclosing box
+    getAreaBbox(area) {
+        if (area.type === 'bbox') return area;
+        const dLat = area.radius / METERS_PER_DEGREE;
+        const dLon = area.radius / (METERS_PER_DEGREE * Math.cos(area.lat * Math.PI / 180));
+        return { south: area.lat - dLat, west: area.lon - dLon, north: area.lat + dLat, east: area.lon + dLon };
+    }
+
+    areaContains(outer, inner) {
+        const box = this.getAreaBbox(inner);
+        if (outer.type === 'bbox') {
+            return box.south >= outer.south && box.north <= outer.north &&
+                box.west >= outer.west && box.east <= outer.east;
+        }
+        // Circle: every corner of the inner box must lie within the radius
+        return [[box.south, box.west], [box.south, box.east], [box.north, box.west], [box.north, box.east]]
+            .every(([lat, lon]) => this.haversineDistance(outer.lat, outer.lon, lat, lon) <= outer.radius);
+    }
+
+    // Keeps the tagged elements of an Overpass response that have geometry in the area: nodes
+    // in it, ways with a segment in it and relations with such a member. Untagged nodes and
+    // ways are kept since they are only geometry, looked up by the elements that use them.
+    clipOverpassData(data, area) {
+        const nodes = new Map();
+        const ways = new Map();
+        data.elements.forEach(element => {
+            if (element.type === 'node') nodes.set(element.id, element);
+            if (element.type === 'way') ways.set(element.id, element);
+        });
+
+        const box = this.getAreaBbox(area);
+        const toLatLng = ({ lat, lon }) => ({ lat, lng: lon });
+        const isPointIn = point => area.type === 'bbox'
+            ? point.lat >= box.south && point.lat <= box.north && point.lon >= box.west && point.lon <= box.east
+            : this.haversineDistance(area.lat, area.lon, point.lat, point.lon) <= area.radius;
+        const isSegmentIn = (a, b) => area.type === 'bbox'
+            ? this.bboxesOverlap({
+                south: Math.min(a.lat, b.lat),
+                west: Math.min(a.lon, b.lon),
+                north: Math.max(a.lat, b.lat),
+                east: Math.max(a.lon, b.lon)
+            }, box)
+            : this.distanceToSegment({ lat: area.lat, lng: area.lon }, toLatLng(a), toLatLng(b)) <= area.radius;
+        const isWayIn = way => {
+            const points = (way.nodes || []).map(id => nodes.get(id)).filter(Boolean);
+            if (points.length === 0) return Boolean(way.center) && isPointIn(way.center);
+            if (points.length === 1) return isPointIn(points[0]);
+            return points.some((point, i) => i > 0 && isSegmentIn(points[i - 1], point));
+        };
+        const isMemberIn = member => {
+            if (member.type === 'node') return nodes.has(member.ref) && isPointIn(nodes.get(member.ref));
+            return member.type === 'way' && ways.has(member.ref) && isWayIn(ways.get(member.ref));
+        };
+
+        const elements = data.elements.filter(element => {
+            if (!element.tags) return true;
+            if (element.type === 'node') return isPointIn(element);
+            if (element.type === 'way') return isWayIn(element);
+            return (element.members || []).some(isMemberIn);
+        });
+        return { ...data, elements };
+    }
+
+    // Normalized key so repeated searches of the same area replace each other
+    getOverpassCacheKey({ sport, filterKey, area }) {
+        const round = value => value.toFixed(4);
+        const areaKey = area.type === 'bbox'
+            ? `bbox:${round(area.south)},${round(area.west)},${round(area.north)},${round(area.east)}`
+            : `around:${Math.round(area.radius)},${round(area.lat)},${round(area.lon)}`;
+        return `${sport}|${filterKey}|${areaKey}`;
+    }
+
+    // Returns { data, cachedAt } where cachedAt is the fetch time of a cached response
+    // covering the requested area, or null when the data was fetched just now.
+    async fetchOverpassCached(query, request, bypassCache = false, minTimeout = 0) {
+        const ttlMs = this.settings.overpassCacheTtlMinutes * 60 * 1000;
+        const now = Date.now();
+        this.overpassCache = this.overpassCache.filter(entry => now - entry.fetchedAt < ttlMs);
+
+        if (!bypassCache && ttlMs > 0) {
+            const hit = this.overpassCache
+                .filter(entry => entry.sport === request.sport && entry.filterKey === request.filterKey)
+                .filter(entry => this.areaContains(entry.area, request.area))
+                .sort((a, b) => b.fetchedAt - a.fetchedAt)[0];
+            if (hit) {
+                // A response for a larger area is cut down to what this search would have found
+                const data = hit.key === this.getOverpassCacheKey(request)
+                    ? hit.data
+                    : this.clipOverpassData(hit.data, request.area);
+                return { data, cachedAt: hit.fetchedAt };
+            }
+        }
+
+        const data = await this.fetchOverpass(query, minTimeout);
+        if (ttlMs > 0) {
+            const key = this.getOverpassCacheKey(request);
+            // Drop entries the new area makes redundant, then keep the cache bounded
+            this.overpassCache = this.overpassCache.filter(entry => entry.key !== key &&
+                !(entry.sport === request.sport && entry.filterKey === request.filterKey &&
+                  this.areaContains(request.area, entry.area)));
+            this.overpassCache.push({ key, ...request, data, fetchedAt: Date.now() });
+            if (this.overpassCache.length > OVERPASS_CACHE_MAX_ENTRIES) {
+                this.overpassCache.sort((a, b) => a.fetchedAt - b.fetchedAt).shift();
+            }
+        }
+        return { data, cachedAt: null };
+    }
+
+    showCacheNotice(cachedAt, refresh) {
+        const notice = document.getElementById('cacheNotice');
+        if (!notice) return;
+        if (!cachedAt) {
+            notice.classList.add('hidden');
+            this.cacheRefresh = null;
+            return;
+        }
+        const minutes = Math.round((Date.now() - cachedAt) / 60000);
+        document.getElementById('cacheNoticeText').textContent =
+            `Cached results from ${minutes < 1 ? 'less than a minute' : `${minutes} min`} ago`;
+        this.cacheRefresh = refresh;
+        notice.classList.remove('hidden');
+    }
+
+    // merge: add the results to the trails already loaded (auto-search) instead of replacing them.
+    // Merged results skip the toast and hierarchy lookup; runAutoSearch does those once per move.
+    processSearchResults(data, { merge = false } = {}) {
+        if (!merge) {
+            // Clear previous layers
+            this.clearTrailLayers();
+            this.autoSearchAreas = [];
+        }
+
+        const ways = {};
+        const nodes = {};
+        const relations = [];
+
+        // First pass: collect all nodes
+        data.elements.forEach(element => {
+            if (element.type === 'node') {
+                nodes[element.id] = element;
+            }
+        });
+
+        // Second pass: collect ways
+        data.elements.forEach(element => {
+            if (element.type === 'way' && element.nodes) {
+                const wayNodes = element.nodes
+                    .map(nodeId => nodes[nodeId])
+                    .filter(node => node && node.lat && node.lon);
+                const coords = wayNodes.map(node => [node.lat, node.lon]);
+
+                if (coords.length > 0) {
+                    ways[element.id] = {
+                        id: element.id,
+                        type: 'way',
+                        tags: element.tags || {},
+                        coordinates: coords,
+                        nodeIds: wayNodes.map(node => node.id) // Parallel to coordinates, used for stitching
+                    };
+                }
+            }
+        });
+
+        if (this.currentSport === 'camping') {
+            // Camping mode: process nodes and ways as POI markers
+            data.elements.forEach(element => {
+                if ((element.type === 'node' || element.type === 'way') && element.tags) {
+                    const campingType = this.getCampingPoiType(element.tags);
+                    if (!campingType) return;
+
+                    // For ways, use the center point (provided by "out body center")
+                    let lat = element.lat;
+                    let lon = element.lon;
+                    if (element.type === 'way') {
+                        if (element.center) {
+                            lat = element.center.lat;
+                            lon = element.center.lon;
+                        } else if (ways[element.id] && ways[element.id].coordinates.length > 0) {
+                            // Compute centroid from coords
+                            const coords = ways[element.id].coordinates;
+                            lat = coords.reduce((s, c) => s + c[0], 0) / coords.length;
+                            lon = coords.reduce((s, c) => s + c[1], 0) / coords.length;
+                        } else {
+                            return; // Can't determine position
+                        }
+                    }
+                    if (!lat || !lon) return;
+
+                    const poi = {
+                        id: element.id,
+                        type: 'node',
+                        osmType: element.type,
+                        lat,
+                        lon,
+                        name: element.tags.name || CAMPING_POI_TYPES[campingType]?.label || campingType,
+                        description: this.getCampingDescription(element.tags),
+                        tags: element.tags,
+                        coordinates: [[lat, lon]],
+                        wayGroups: [],
+                        distance: null,
+                        campingType
+                    };
+                    relations.push(poi);
+                }
+            });
+        } else {
+            // Walking / Biking: process relations (routes)
+            data.elements.forEach(element => {
+                if (element.type === 'relation') {
+                    const trail = {
+                        id: element.id,
+                        type: 'relation',
+                        osmType: 'relation',
+                        name: element.tags?.name || element.tags?.ref || `Trail ${element.id}`,
+                        description: this.getTrailDescription(element.tags),
+                        tags: element.tags || {},
+                        members: element.members || [],
+                        coordinates: [],
+                        wayGroups: [], // Array of coordinate arrays, one per way
+                        distance: element.tags?.distance || null,
+                        isSuperRoute: element.tags?.type === 'superroute',
+                        isNetwork: element.tags?.type === 'network'
+                    };
+
+                    // Collect coordinates from member ways - keep them separated by way
+                    if (element.members) {
+                        element.members.forEach(member => {
+                            if (member.type === 'way' && ways[member.ref]) {
+                                const wayCoords = ways[member.ref].coordinates;
+                                trail.wayGroups.push(wayCoords);
+                                trail.coordinates.push(...wayCoords); // Keep flat list for bounds calculation
+                            }
                         });
-                        
-                        return { visible: visibleLine, hit: hitLine };
-                    });
-                    
-                    // Add both visible and hit polylines to map
-                    const allLayers = [];
-                    polylines.forEach(({ visible, hit }) => {
-                        allLayers.push(visible, hit);
+                    }
+
+                    // Ordered, continuous geometry for length/elevation/export
+                    const stitched = this.stitchRouteWays(element.members, ways);
+                    trail.routeLines = stitched.lines;
+                    trail.routeBranches = stitched.branches;
+                    trail.routeGaps = stitched.gaps;
+
+                    if (trail.coordinates.length > 0) {
+                        relations.push(trail);
+                    }
+                }
+            });
+        }
+
+        if (merge) {
+            // Check allTrails itself rather than the index, which may lag behind it
+            const loadedIds = new Set(this.allTrails.map(trail => trail.id));
+            const newTrails = relations.filter(trail =>
+                !loadedIds.has(trail.id) && !this.savedTrailIds.has(trail.id));
+            this.allTrails = [...this.allTrails, ...newTrails];
+            this.updateTrailIndexes();
+            this.displayTrailsOnMap(newTrails);
+            this.updateTrailsUI();
+            return newTrails;
+        }
+
+        // Update allTrails with new search results, preserving saved trails
+        const newTrails = relations.filter(trail => 
+            !this.savedTrails.some(saved => saved.id === trail.id)
+        );
+        
+        // Keep saved trails and add new search results
+        this.allTrails = [...this.savedTrails, ...newTrails];
+        
+        // Update indexes for fast lookup
+        this.updateTrailIndexes();
+
+        // Display trails on map
+        this.displayTrailsOnMap(this.allTrails);
+        this.updateTrailsUI();
+
+        const label = SPORT_CONFIG[this.currentSport]?.resultsLabel || 'results';
+        if (newTrails.length === 0 && this.savedTrails.length === 0) {
+            this.showToast(`No ${label.toLowerCase()} found. Try adjusting the search area.`);
+        } else {
+            this.showToast(`Found ${newTrails.length} new ${label.toLowerCase()}!`);
+        }
+        
+        // Automatically fetch and organize parent relations for new trails (not for camping)
+        if (newTrails.length > 0 && this.currentSport !== 'camping') {
+            this.organizeTrailHierarchy(newTrails);
+        }
+
+        return newTrails;
+    }
+
+    // ─── Camping Helpers ──────────────────────────────────────────────────────
+
+    getCampingPoiType(tags) {
+        if (tags.tourism === 'camp_site') return 'camp_site';
+        if (tags.tourism === 'caravan_site') return 'caravan_site';
+        if (tags.tourism === 'cabin') return 'cabin';
+        if (tags.tourism === 'picnic_site') return 'picnic_site';
+        if (tags.amenity === 'drinking_water') return 'drinking_water';
+        if (tags.amenity === 'toilets') return 'toilets';
+        if (tags.amenity === 'shower') return 'shower';
+        if (tags.amenity === 'shelter') return 'shelter';
+        return null;
+    }
+
+    getCampingDescription(tags) {
+        const poiType = this.getCampingPoiType(tags);
+        const typeName = CAMPING_POI_TYPES[poiType]?.label || 'Amenity';
+        const parts = [typeName];
+        if (tags.fee && tags.fee !== 'no') parts.push(`Fee: ${tags.fee}`);
+        if (tags.opening_hours) parts.push(tags.opening_hours);
+        if (tags.capacity) parts.push(`Capacity: ${tags.capacity}`);
+        return parts.join(' • ');
+    }
+
+    createCampingIcon(campingType, isSaved, isHighlighted = false) {
+        const cfg = CAMPING_POI_TYPES[campingType] || { icon: 'fa-location-dot', label: 'Amenity' };
+        const color = isHighlighted ? '#2196F3' : (isSaved ? '#2c7a3f' : '#c0392b');
+        const bgColor = isHighlighted ? '#bbdefb' : (isSaved ? '#e8f5e9' : '#fff');
+        return L.divIcon({
+            className: '',
+            html: `<div class="camping-marker-icon" style="background:${bgColor};border-color:${color};color:${color}"><i class="fas ${cfg.icon}"></i></div>`,
+            iconSize: [32, 32],
+            iconAnchor: [16, 32],
+            popupAnchor: [0, -34]
+        });
+    }
+
+    // ─── Waymarked Trails Badges ──────────────────────────────────────────────
+
+    // Returns a small HTML badge element mimicking waymarked-trails style shields.
+    // Colours follow the waymarked-trails convention: int=red, nat=orange, reg=blue, loc=green
+    createTrailBadgeHtml(trail) {
+        const tags = trail.tags || {};
+
+        // Prefer the painted waymark; fall back to the network badge when it can't be drawn.
+        // The ref goes next to a waymark that doesn't carry it as text.
+        const shield = this.createOsmcShieldHtml(tags['osmc:symbol']);
+        if (shield) {
+            const symbol = this.parseOsmcSymbol(tags['osmc:symbol']);
+            if (!tags.ref || symbol.text) return shield;
+            const shieldRef = this.escapeXml(tags.ref.substring(0, GPS_MAX_BADGE_REF_LENGTH));
+            return `${shield}<span class="trail-shield-ref">${shieldRef}</span>`;
+        }
+
+        // Determine network level
+        const network = tags.network || '';
+        const networkMap = {
+            iwn: { label: 'I', title: 'International', color: '#c0392b' },
+            nwn: { label: 'N', title: 'National',      color: '#e67e22' },
+            rwn: { label: 'R', title: 'Regional',      color: '#2980b9' },
+            lwn: { label: 'L', title: 'Local',         color: '#27ae60' },
+            icn: { label: 'I', title: 'International', color: '#c0392b' },
+            ncn: { label: 'N', title: 'National',      color: '#e67e22' },
+            rcn: { label: 'R', title: 'Regional',      color: '#2980b9' },
+            lcn: { label: 'L', title: 'Local',         color: '#27ae60' }
+        };
+
+        const net = networkMap[network];
+        if (!net) return '';
+
+        // Use the route ref if available, else network initial
+        const ref = tags.ref ? tags.ref.substring(0, GPS_MAX_BADGE_REF_LENGTH) : net.label;
+        const isCycling = tags.route === 'bicycle' || tags.route === 'mtb';
+        const title = `${net.title} ${isCycling ? 'cycling' : 'hiking'} route`;
+
+        return `<span class="trail-badge" style="background:${net.color}" title="${title}">${ref}</span>`;
+    }
+
+    // Parses osmc:symbol into { waycolor, background, backgroundShape, foregrounds, text, textcolor },
+    // or null when the colours are missing or unknown
+    parseOsmcSymbol(value) {
+        if (!value) return null;
+        const parts = value.trim().split(':');
+        if (parts.length < 2) return null;
+
+        const [waycolor, backgroundPart, ...rest] = parts;
+        const [background, backgroundShape = ''] = backgroundPart.split('_');
+        if (!OSMC_COLORS[waycolor] || !OSMC_COLORS[background]) return null;
+        if (backgroundShape && !['circle', 'frame', 'round'].includes(backgroundShape)) return null;
+
+        // Trailing "text:textcolor" pair, recognised by the colour at the end
+        let text = '';
+        let textcolor = 'black';
+        if (rest.length >= 2 && OSMC_COLORS[rest[rest.length - 1]]) {
+            textcolor = rest.pop();
+            text = rest.pop();
+        }
+
+        // Foregrounds are "<color>_<shape>"; unknown ones are skipped rather than failing the whole symbol
+        const foregrounds = rest.slice(0, 2).map(part => {
+            const separator = part.indexOf('_');
+            const color = part.slice(0, separator);
+            const shape = part.slice(separator + 1);
+            return separator > 0 && OSMC_COLORS[color] && OSMC_SHAPES[shape] ? { color, shape } : null;
+        }).filter(Boolean);
+
+        return { waycolor, background, backgroundShape, foregrounds, text, textcolor };
+    }
+
+    createOsmcShieldHtml(value) {
+        const symbol = this.parseOsmcSymbol(value);
+        if (!symbol) return '';
+
+        const backgroundColor = OSMC_COLORS[symbol.background];
+        // "_frame" backgrounds have a black border; white ones get a faint one to stand out from the page
+        let outline = 'stroke="none"';
+        if (symbol.backgroundShape === 'frame') {
+            outline = 'stroke="#000000" stroke-width="2"';
+        } else if (symbol.background === 'white') {
+            outline = 'stroke="#999999" stroke-width="1"';
+        }
+
+        let shape;
+        let clip = '';
+        let clipId = null;
+        if (symbol.backgroundShape === 'circle') {
+            shape = `<circle cx="12" cy="12" r="11.5" fill="${backgroundColor}" ${outline}/>`;
+            clipId = `osmc-clip-${++this.osmcShieldCount}`;
+            clip = `<clipPath id="${clipId}"><circle cx="12" cy="12" r="11.5"/></clipPath>`;
+        } else {
+            const radius = symbol.backgroundShape === 'round' ? 5 : 1;
+            shape = `<rect x="0.5" y="0.5" width="23" height="23" rx="${radius}" fill="${backgroundColor}" ${outline}/>`;
+        }
+
+        const foregrounds = symbol.foregrounds
+            .map(({ color, shape: name }) => OSMC_SHAPES[name].replace(/\{c\}/g, OSMC_COLORS[color]))
+            .join('');
+
+        let text = '';
+        if (symbol.text) {
+            const label = symbol.text.substring(0, OSMC_MAX_TEXT_LENGTH);
+            const fontSize = label.length <= 2 ? 11 : label.length === 3 ? 8.5 : 7;
+            text = `<text x="12" y="12" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-weight="700" ` +
+                `font-size="${fontSize}" fill="${OSMC_COLORS[symbol.textcolor]}">${this.escapeXml(label)}</text>`;
+        }
+
+        const clipAttr = clip ? ` clip-path="url(#${clipId})"` : '';
+        return `<svg class="trail-shield" viewBox="0 0 24 24" role="img" aria-label="Waymark ${this.escapeXml(value)}">` +
+            `<title>Waymark: ${this.escapeXml(value)}</title>${clip ? `<defs>${clip}</defs>` : ''}` +
+            `${shape}<g${clipAttr}>${foregrounds}</g>${text}</svg>`;
+    }
+
+    getTrailDescription(tags) {
+        const parts = [];
+        
+        // Biking network labels
+        if (tags?.route === 'bicycle' || tags?.route === 'mtb') {
+            const networkNames = {
+                'icn': 'International',
+                'ncn': 'National',
+                'rcn': 'Regional',
+                'lcn': 'Local'
+            };
+            if (tags?.network) parts.push(networkNames[tags.network] || tags.network);
+            if (tags?.surface) parts.push(`Surface: ${tags.surface}`);
+            return parts.length > 0 ? parts.join(' • ') : 'Cycling route';
+        }
+        
+        if (tags?.network) {
+            const networkNames = {
+                'iwn': 'International',
+                'nwn': 'National',
+                'rwn': 'Regional',
+                'lwn': 'Local',
+                'icn': 'International',
+                'ncn': 'National',
+                'rcn': 'Regional',
+                'lcn': 'Local'
+            };
+            parts.push(networkNames[tags.network] || tags.network);
+        }
+        
+        if (tags?.sac_scale) {
+            parts.push(`Difficulty: ${tags.sac_scale}`);
+        }
+        if (tags?.trail_visibility) {
+            parts.push(`Visibility: ${tags.trail_visibility}`);
+        }
+        if (tags?.surface) {
+            parts.push(`Surface: ${tags.surface}`);
+        }
+
+        return parts.length > 0 ? parts.join(' • ') : 'Hiking trail';
+    }
+
+    displayTrailsOnMap(trails) {
+        trails.forEach(trail => {
+            if (!trail.coordinates || trail.coordinates.length === 0) return;
+
+            // Check if already on map
+            if (this.trailLayers.has(trail.id)) return;
+
+            const isSaved = this.savedTrails.some(t => t.id === trail.id);
+
+            // ── Camping POI: single-point marker ────────────────────────────
+            if (trail.type === 'node') {
+                const [lat, lon] = trail.coordinates[0];
+                const markerIcon = this.createCampingIcon(trail.campingType, isSaved);
+                const marker = L.marker([lat, lon], { icon: markerIcon, title: trail.name });
+
+                const popupDiv = document.createElement('div');
+                popupDiv.style.minWidth = '160px';
+                const nameEl = document.createElement('strong');
+                nameEl.textContent = trail.name;
+                popupDiv.appendChild(nameEl);
+                popupDiv.appendChild(document.createElement('br'));
+                const descEl = document.createElement('small');
+                descEl.textContent = trail.description;
+                popupDiv.appendChild(descEl);
+
+                if (!isSaved) {
+                    const btnContainer = document.createElement('div');
+                    btnContainer.style.marginTop = '8px';
+                    const saveBtn = document.createElement('button');
+                    saveBtn.className = 'popup-btn popup-btn-save';
+                    saveBtn.innerHTML = '<i class="fas fa-bookmark"></i> Save';
+                    saveBtn.addEventListener('click', () => this.saveTrail(trail.id));
+                    btnContainer.appendChild(saveBtn);
+                    popupDiv.appendChild(btnContainer);
+                }
+
+                marker.bindPopup(popupDiv);
+                // On click: toggle selection without calling focusTrail/setView so the
+                // popup opened by bindPopup is not disrupted (fixes single-tap on touchscreens).
+                marker.on('click', () => {
+                    if (this.highlightedTrailIds.has(trail.id)) {
+                        this.deselectTrail(trail.id);
+                    } else {
+                        this.selectTrail(trail.id, false); // select without focus/setView
+                    }
+                });
+                marker.on('mouseover', () => this.highlightTrail(trail.id, true));
+                marker.on('mouseout', () => this.highlightTrail(trail.id, false));
+
+                // Added to the map by syncTrailLayersToMap, unless clustered or out of view
+                const markerGroup = L.layerGroup([marker]);
+                markerGroup.allPolylines = [];
+                markerGroup.allHitPolylines = [];
+                markerGroup.mainPolyline = null;
+                markerGroup._marker = marker;
+                markerGroup._campingType = trail.campingType;
+
+                this.registerTrailLayer(trail, markerGroup);
+                return;
+            }
+                const trailPane = this.getTrailPane(trail.id);
+                
+                // Use wayGroups if available to draw separate polylines per way, otherwise use coordinates
+                let polylineGroup;
+                if (trail.wayGroups && trail.wayGroups.length > 0) {
+                    // Create a layer group with multiple polylines, one per way
+                    const polylines = trail.wayGroups.map(wayCoords => {
+                        // Create visible polyline (non-interactive to prevent event capture)
+                        const visibleLine = L.polyline(wayCoords, {
+                            ...this.getTrailLineStyle(trail.id),
+                            trailId: trail.id,
+                            interactive: false,
+                            pane: trailPane
+                        });
+                        
+                        // Create transparent wider polyline for fat finger support (~20px)
+                        const hitLine = L.polyline(wayCoords, {
+                            color: 'transparent',
+                            weight: 20,
+                            opacity: 0,
+                            trailId: trail.id,
+                            interactive: true,
+                            pane: 'hitPane'
+                        });
+                        
+                        return { visible: visibleLine, hit: hitLine };
+                    });
+                    
+                    // Group visible and hit polylines; syncTrailLayersToMap adds them to the map
+                    const allLayers = [];
+                    polylines.forEach(({ visible, hit }) => {
+                        allLayers.push(visible, hit);
+                    });
+                    polylineGroup = L.layerGroup(allLayers);
+                    
+                    // Add event handlers to hit polylines for fat finger support
+                    polylines.forEach(({ visible, hit }) => {
+                        hit.on('mouseover', () => {
+                            this.highlightTrail(trail.id, true);
+                        });
+                        hit.on('mouseout', () => {
+                            this.highlightTrail(trail.id, false);
+                        });
+                        hit.on('click', (e) => {
+                            this.handleTrailClick(e, trail.id);
+                        });
+                    });
+                    // Use first polyline for popup
+                    polylineGroup.mainPolyline = polylines[0].visible;
+                    polylineGroup.allPolylines = polylines.map(p => p.visible);
+                    polylineGroup.allHitPolylines = polylines.map(p => p.hit);
+                    polylineGroup.wayCoords = trail.wayGroups;
+                } else {
+                    // Fallback to single polyline
+                    // Create visible polyline (non-interactive to prevent event capture)
+                    const visibleLine = L.polyline(trail.coordinates, {
+                        ...this.getTrailLineStyle(trail.id),
+                        trailId: trail.id,
+                        interactive: false,
+                        pane: trailPane
+                    });
+                    
+                    // Create transparent wider polyline for fat finger support (~20px)
+                    const hitLine = L.polyline(trail.coordinates, {
+                        color: 'transparent',
+                        weight: 20,
+                        opacity: 0,
+                        trailId: trail.id,
+                        interactive: true,
+                        pane: 'hitPane'
+                    });
+                    
+                    polylineGroup = L.layerGroup([visibleLine, hitLine]);
+                    
+                    hitLine.on('mouseover', () => {
+                        this.highlightTrail(trail.id, true);
+                    });
+                    hitLine.on('mouseout', () => {
+                        this.highlightTrail(trail.id, false);
+                    });
+                    hitLine.on('click', (e) => {
+                        this.handleTrailClick(e, trail.id);
+                    });
+                    polylineGroup.mainPolyline = visibleLine;
+                    polylineGroup.allPolylines = [visibleLine];
+                    polylineGroup.allHitPolylines = [hitLine];
+                    polylineGroup.wayCoords = [trail.coordinates];
+                }
+
+                // Create popup content safely
+                const popupDiv = document.createElement('div');
+                popupDiv.style.minWidth = '200px';
+                
+                const badgeHtml = this.createTrailBadgeHtml(trail);
+                if (badgeHtml) {
+                    popupDiv.insertAdjacentHTML('beforeend', `${badgeHtml} `);
+                }
+                const nameElement = document.createElement('strong');
+                nameElement.textContent = trail.name;
+                popupDiv.appendChild(nameElement);
+                popupDiv.appendChild(document.createElement('br'));
+                
+                const distanceText = this.formatTrailDistance(trail);
+                if (distanceText) {
+                    const distanceSpan = document.createElement('span');
+                    distanceSpan.style.color = '#2c7a3f';
+                    distanceSpan.style.fontWeight = '600';
+                    distanceSpan.textContent = distanceText;
+                    popupDiv.appendChild(distanceSpan);
+                    popupDiv.appendChild(document.createElement('br'));
+                }
+                
+                const descElement = document.createElement('small');
+                descElement.textContent = trail.description;
+                popupDiv.appendChild(descElement);
+                popupDiv.appendChild(document.createElement('br'));
+                
+                // Only show save button in popup, no OSM button
+                if (!isSaved) {
+                    const buttonContainer = document.createElement('div');
+                    buttonContainer.style.marginTop = '8px';
+                    buttonContainer.style.display = 'flex';
+                    buttonContainer.style.gap = '4px';
+                    
+                    const saveBtn = document.createElement('button');
+                    saveBtn.className = 'popup-btn popup-btn-save';
+                    const icon = document.createElement('i');
+                    icon.className = 'fas fa-bookmark';
+                    saveBtn.appendChild(icon);
+                    saveBtn.appendChild(document.createTextNode(' Save'));
+                    saveBtn.addEventListener('click', () => this.saveTrail(trail.id));
+                    buttonContainer.appendChild(saveBtn);
+                    
+                    popupDiv.appendChild(buttonContainer);
+                }
+                
+                // Bind popup to the main polyline
+                if (polylineGroup.mainPolyline) {
+                    polylineGroup.mainPolyline.bindPopup(popupDiv);
+                }
+
+                this.registerTrailLayer(trail, polylineGroup);
+        });
+    }
+
+    clearTrailLayers() {
+        [...this.trailLayers.keys()].forEach(trailId => this.removeTrailLayer(trailId));
+    }
+
+    // ─── Layer Culling and Clustering ─────────────────────────────────────────
+
+    registerTrailLayer(trail, layerGroup) {
+        layerGroup.bbox = this.getTrailBounds(trail);
+        layerGroup.simplifiedZoom = SIMPLIFY_FULL_DETAIL_ZOOM; // Built from the full geometry
+        this.trailLayers.set(trail.id, layerGroup);
+        if (layerGroup.wayCoords) {
+            this.addToSpatialIndex(trail.id, layerGroup.wayCoords);
+        }
+    }
+
+    removeTrailLayer(trailId) {
+        const layerGroup = this.trailLayers.get(trailId);
+        if (!layerGroup) return;
+        this.map.removeLayer(layerGroup);
+        this.trailLayers.delete(trailId);
+        this.removeFromSpatialIndex(trailId);
+    }
+
+    // Trail layers stay in trailLayers while detached, so lookups and restyling keep working
+    isTrailLayerShown(trailId, layerGroup, view) {
+        if (this.visibleTrailIds && !this.visibleTrailIds.has(trailId)) return false;
+        if (layerGroup._clustered) return false;
+        return this.bboxesOverlap(layerGroup.bbox, view);
+    }
+
+    // Attaches trail layers that pass the filters and are in (or near) the view, detaches the rest
+    syncTrailLayersToMap() {
+        if (!this.map) return;
+        const bounds = this.map.getBounds().pad(CULL_PADDING);
+        const view = { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+
+        this.updateCampingClusters(view);
+        this.trailLayers.forEach((layerGroup, trailId) => {
+            if (this.isTrailLayerShown(trailId, layerGroup, view)) {
+                this.attachTrailLayer(layerGroup);
+            } else if (this.map.hasLayer(layerGroup)) {
+                this.map.removeLayer(layerGroup);
+            }
+        });
+    }
+
+    attachTrailLayer(layerGroup) {
+        if (layerGroup.wayCoords) {
+            this.simplifyTrailLayer(layerGroup, Math.round(this.map.getZoom()));
+        }
+        if (this.map.hasLayer(layerGroup)) return;
+        layerGroup.addTo(this.map);
+        // Ensure hit polylines are always on top for consistent event capture
+        layerGroup.allHitPolylines.forEach(hit => hit.bringToFront());
+    }
+
+    simplifyTrailLayer(layerGroup, zoom) {
+        const level = Math.min(zoom, SIMPLIFY_FULL_DETAIL_ZOOM);
+        if (layerGroup.simplifiedZoom === level) return;
+        layerGroup.simplifiedZoom = level;
+        layerGroup.wayCoords.forEach((coords, i) => {
+            const latlngs = this.simplifyLine(coords, level);
+            layerGroup.allPolylines[i].setLatLngs(latlngs);
+            layerGroup.allHitPolylines[i].setLatLngs(latlngs);
+        });
+    }
+
+    // Douglas-Peucker in screen pixels at the given zoom, keeping the original coordinates
+    simplifyLine(coords, zoom) {
+        if (zoom >= SIMPLIFY_FULL_DETAIL_ZOOM || coords.length < 3) return coords;
+        const points = coords.map((coord, index) => Object.assign(this.map.project(coord, zoom), { index }));
+        return L.LineUtil.simplify(points, SIMPLIFY_TOLERANCE_PX).map(point => coords[point.index]);
+    }
+
+    // Groups camping POIs in view that fall in the same screen cell into one count marker.
+    // Saved and selected POIs are never clustered.
+    updateCampingClusters(view) {
+        if (!this.campingClusterLayer) {
+            this.campingClusterLayer = L.layerGroup().addTo(this.map);
+        }
+        this.campingClusterLayer.clearLayers();
+
+        const zoom = this.map.getZoom();
+        const cells = new Map();
+        this.trailLayers.forEach((layerGroup, trailId) => {
+            if (!layerGroup._marker) return;
+            layerGroup._clustered = false;
+            if (zoom >= CLUSTER_MAX_ZOOM) return;
+            if (this.savedTrailIds.has(trailId) || this.highlightedTrailIds.has(trailId)) return;
+            if (this.visibleTrailIds && !this.visibleTrailIds.has(trailId)) return;
+            if (!this.bboxesOverlap(layerGroup.bbox, view)) return;
+
+            const point = this.map.project(layerGroup._marker.getLatLng(), zoom);
+            const key = `${Math.floor(point.x / CLUSTER_CELL_PX)}:${Math.floor(point.y / CLUSTER_CELL_PX)}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(layerGroup);
+        });
+
+        cells.forEach(groups => {
+            if (groups.length < 2) return;
+            groups.forEach(layerGroup => {
+                layerGroup._clustered = true;
+            });
+            const bounds = L.latLngBounds(groups.map(layerGroup => layerGroup._marker.getLatLng()));
+            const cluster = L.marker(bounds.getCenter(), {
+                icon: L.divIcon({
+                    className: '',
+                    html: `<div class="camping-cluster-icon">${groups.length}</div>`,
+                    iconSize: [36, 36],
+                    iconAnchor: [18, 18]
+                }),
+                title: `${groups.length} places, click to zoom in`
+            });
+            cluster.on('click', () => this.map.fitBounds(bounds.pad(0.5), { maxZoom: CLUSTER_MAX_ZOOM }));
+            this.campingClusterLayer.addLayer(cluster);
+        });
+    }
+
+    // ─── Spatial Index ────────────────────────────────────────────────────────
+
+    getSpatialCells(bbox) {
+        const cells = [];
+        const x0 = Math.floor(bbox.west / SPATIAL_INDEX_CELL_DEG);
+        const x1 = Math.floor(bbox.east / SPATIAL_INDEX_CELL_DEG);
+        const y0 = Math.floor(bbox.south / SPATIAL_INDEX_CELL_DEG);
+        const y1 = Math.floor(bbox.north / SPATIAL_INDEX_CELL_DEG);
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                cells.push(`${x}:${y}`);
+            }
+        }
+        return cells;
+    }
+
+    // Lines are split into chunks of a few points (sharing their end points) so that long
+    // ways don't fill large parts of the grid with one entry. Each segment is also recorded in
+    // segmentOwners: routes over the same OSM ways have identical segments.
+    addToSpatialIndex(trailId, lines) {
+        this.removeFromSpatialIndex(trailId);
+        const stored = [];
+        lines.forEach(line => {
+            for (let i = 0; i < line.length - 1; i += SPATIAL_INDEX_CHUNK_POINTS) {
+                const coords = line.slice(i, i + SPATIAL_INDEX_CHUNK_POINTS + 1);
+                const entry = { trailId, coords, bbox: this.getCoordsBounds(coords) };
+                const cells = this.getSpatialCells(entry.bbox);
+                cells.forEach(cell => {
+                    if (!this.spatialIndex.has(cell)) this.spatialIndex.set(cell, new Set());
+                    this.spatialIndex.get(cell).add(entry);
+                });
+                for (let j = 0; j < coords.length - 1; j++) {
+                    const key = this.getSegmentKey(coords[j], coords[j + 1]);
+                    if (!this.segmentOwners.has(key)) this.segmentOwners.set(key, new Set());
+                    this.segmentOwners.get(key).add(trailId);
+                }
+                stored.push({ entry, cells });
+            }
+        });
+        this.spatialIndexEntries.set(trailId, stored);
+        this.sharedWithCache.clear();
+    }
+
+    removeFromSpatialIndex(trailId) {
+        const stored = this.spatialIndexEntries.get(trailId);
+        if (!stored) return;
+        stored.forEach(({ entry, cells }) => {
+            cells.forEach(cell => {
+                const entries = this.spatialIndex.get(cell);
+                entries.delete(entry);
+                if (entries.size === 0) this.spatialIndex.delete(cell);
+            });
+            for (let j = 0; j < entry.coords.length - 1; j++) {
+                const key = this.getSegmentKey(entry.coords[j], entry.coords[j + 1]);
+                const owners = this.segmentOwners.get(key);
+                if (!owners) continue;
+                owners.delete(trailId);
+                if (owners.size === 0) this.segmentOwners.delete(key);
+            }
+        });
+        this.spatialIndexEntries.delete(trailId);
+        this.sharedWithCache.clear();
+    }
+
+    // Routes over the same OSM node have identical coordinates, so this identifies the node
+    getPointKey(coord) {
+        return `${coord[0].toFixed(6)},${coord[1].toFixed(6)}`;
+    }
+
+    // Same key in both directions, so routes running a shared way either way match
+    getSegmentKey(a, b) {
+        const keyA = this.getPointKey(a);
+        const keyB = this.getPointKey(b);
+        return keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`;
+    }
+
+    getToleranceBbox(point, toleranceMeters) {
+        const dLat = toleranceMeters / METERS_PER_DEGREE;
+        const dLon = toleranceMeters / (METERS_PER_DEGREE * Math.cos(point.lat * Math.PI / 180));
+        return { south: point.lat - dLat, west: point.lng - dLon, north: point.lat + dLat, east: point.lng + dLon };
+    }
+
+    // Trails running over the segment of trailId closest to the click, the clicked trail first
+    findTrailsSharingSectionAt(point, trailId, tolerancePx = 20) {
+        const toleranceMeters = tolerancePx * (EARTH_CIRCUMFERENCE_METERS / (TILE_SIZE * Math.pow(2, this.map.getZoom())));
+        let nearest = null;
+        this.querySpatialIndex(this.getToleranceBbox(point, toleranceMeters)).forEach(entry => {
+            if (entry.trailId !== trailId) return;
+            for (let i = 0; i < entry.coords.length - 1; i++) {
+                const [a, b] = [entry.coords[i], entry.coords[i + 1]];
+                const distance = this.distanceToSegment(point, L.latLng(a[0], a[1]), L.latLng(b[0], b[1]));
+                if (!nearest || distance < nearest.distance) {
+                    nearest = { distance, key: this.getSegmentKey(a, b) };
+                }
+            }
+        });
+        if (!nearest) return [trailId];
+
+        const owners = this.segmentOwners.get(nearest.key) || new Set();
+        return [trailId, ...[...this.trailLayers.keys()].filter(id => id !== trailId && owners.has(id))];
+    }
+
+    // IDs of trails sharing at least SHARED_SECTION_MIN_M with trailId, longest overlap first
+    getSharedWithTrailIds(trailId) {
+        if (this.sharedWithCache.has(trailId)) return this.sharedWithCache.get(trailId);
+
+        const sharedMeters = new Map();
+        const seen = new Set(); // Out-and-back routes run over some segments twice
+        (this.spatialIndexEntries.get(trailId) || []).forEach(({ entry }) => {
+            for (let i = 0; i < entry.coords.length - 1; i++) {
+                const [a, b] = [entry.coords[i], entry.coords[i + 1]];
+                const key = this.getSegmentKey(a, b);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                const owners = this.segmentOwners.get(key);
+                if (!owners || owners.size < 2) continue;
+                const length = this.haversineDistance(a[0], a[1], b[0], b[1]);
+                owners.forEach(id => {
+                    if (id !== trailId) sharedMeters.set(id, (sharedMeters.get(id) || 0) + length);
+                });
+            }
+        });
+
+        const ids = [...sharedMeters]
+            .filter(([id, meters]) => meters >= SHARED_SECTION_MIN_M && this.trailsById.has(id))
+            .sort((a, b) => b[1] - a[1])
+            .map(([id]) => id);
+        this.sharedWithCache.set(trailId, ids);
+        return ids;
+    }
+
+    createSharedWithElement(sharedIds) {
+        const names = sharedIds.map(id => {
+            const trail = this.trailsById.get(id);
+            return trail.tags?.ref || trail.name;
+        });
+        const shown = names.slice(0, SHARED_WITH_MAX_NAMES).join(', ');
+        const more = names.length - SHARED_WITH_MAX_NAMES;
+
+        const sharedEl = document.createElement('div');
+        sharedEl.className = 'trail-shared';
+        sharedEl.title = `Runs over the same paths as ${names.join(', ')}`;
+        const sharedIcon = document.createElement('i');
+        sharedIcon.className = 'fas fa-code-merge';
+        sharedEl.appendChild(sharedIcon);
+        sharedEl.appendChild(document.createTextNode(` Shared with: ${shown}${more > 0 ? ` +${more}` : ''}`));
+        return sharedEl;
+    }
+
+    // Line chunks whose bounding box overlaps bbox
+    querySpatialIndex(bbox) {
+        const found = new Set();
+        this.getSpatialCells(bbox).forEach(cell => {
+            const entries = this.spatialIndex.get(cell);
+            if (!entries) return;
+            entries.forEach(entry => {
+                if (this.bboxesOverlap(entry.bbox, bbox)) found.add(entry);
+            });
+        });
+        return found;
+    }
+
+    getTrailPane(trailId) {
+        // Determine which pane a trail should be in based on its state
+        if (this.highlightedTrailIds.has(trailId)) {
+            return 'selectedTrailsPane';
+        } else if (this.savedTrailIds.has(trailId)) {
+            return 'savedTrailsPane';
+        } else {
+            return 'searchedTrailsPane';
+        }
+    }
+
+    moveTrailToPane(trailId, pane) {
+        // Move a trail's visible polylines to a different pane
+        const layerGroup = this.trailLayers.get(trailId);
+        if (!layerGroup) return;
+        
+        // Camping markers don't use panes
+        if (layerGroup._marker) return;
+        
+        if (layerGroup.allPolylines && layerGroup.allPolylines.length > 0) {
+            // Trails hidden by the filters stay off the map; they get the new pane when shown again
+            const onMap = this.map.hasLayer(layerGroup);
+            layerGroup.allPolylines.forEach(polyline => {
+                // Remove from current pane and add to new pane
+                this.map.removeLayer(polyline);
+                polyline.options.pane = pane;
+                if (onMap) polyline.addTo(this.map);
+            });
+        }
+    }
+
+    updateTrailColor(trailId) {
+        // Helper method to restyle a trail on the map after its saved/selected state changed
+        const layerGroup = this.trailLayers.get(trailId);
+        if (layerGroup) {
+            // Camping marker
+            if (layerGroup._marker) {
+                const trail = this.trailsById.get(trailId);
+                const campingType = trail?.campingType || layerGroup._campingType;
+                const isSaved = this.savedTrailIds.has(trailId);
+                layerGroup._marker.setIcon(this.createCampingIcon(campingType, isSaved, this.highlightedTrailIds.has(trailId)));
+                return;
+            }
+            const style = this.getTrailLineStyle(trailId);
+            if (layerGroup.allPolylines) {
+                layerGroup.allPolylines.forEach(polyline => {
+                    polyline.setStyle(style);
+                });
+            } else {
+                layerGroup.setStyle(style);
+            }
+        }
+    }
+
+    // Line style for a trail's visible polylines. In 'state' mode colour shows saved/selected;
+    // otherwise colour comes from the trail and state is shown through weight and opacity.
+    getTrailLineStyle(trailId, hovered = false) {
+        const isSelected = this.highlightedTrailIds.has(trailId);
+        const isSaved = this.savedTrailIds.has(trailId);
+
+        if (this.settings.trailColorMode === 'state') {
+            if (hovered || isSelected) {
+                return { color: '#2196F3', weight: 6, opacity: 1 }; // Blue for hover/selected
+            }
+            return { color: isSaved ? '#2c7a3f' : '#e74c3c', weight: 4, opacity: 0.7 }; // Green for saved, red for searched
+        }
+
+        const color = this.getTrailLineColor(this.trailsById.get(trailId));
+        if (hovered) return { color, weight: 8, opacity: 1 };
+        if (isSelected) return { color, weight: 7, opacity: 1 };
+        if (isSaved) return { color, weight: 5, opacity: 0.95 };
+        return { color, weight: 3, opacity: 0.6 };
+    }
+
+    // Colour for the 'network', 'colour' and 'waymark' modes. Trails without the chosen
+    // tag fall back to the other tag, then to their network tier.
+    getTrailLineColor(trail) {
+        const tags = trail?.tags || {};
+        const tagColor = this.parseColourTag(tags.colour);
+        const symbol = this.parseOsmcSymbol(tags['osmc:symbol']);
+        const waymarkColor = symbol ? OSMC_COLORS[symbol.waycolor] : null;
+
+        let color;
+        if (this.settings.trailColorMode === 'colour') {
+            color = tagColor || waymarkColor;
+        } else if (this.settings.trailColorMode === 'waymark') {
+            color = waymarkColor || tagColor;
+        }
+        if (!color) {
+            color = NETWORK_TIER_COLORS[trail ? this.getNetworkTier(trail) : 'other'];
+        }
+        return color.toLowerCase() === '#ffffff' || color.toLowerCase() === 'white'
+            ? LIGHT_LINE_SUBSTITUTE_COLOR
+            : color;
+    }
+
+    // colour=* is a CSS colour name or #rrggbb; anything else is ignored
+    parseColourTag(value) {
+        if (!value) return null;
+        const colour = value.trim().split(';')[0].trim();
+        if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(colour)) return colour;
+        if (OSMC_COLORS[colour.toLowerCase()]) return OSMC_COLORS[colour.toLowerCase()];
+        if (/^[a-z]+$/i.test(colour) && window.CSS && CSS.supports('color', colour)) return colour;
+        return null;
+    }
+
+    // Map legend for the current trail colour mode
+    updateMapLegend() {
+        const legend = this.mapLegend.getContainer();
+        legend.innerHTML = '';
+
+        const addEntry = (color, label, weight = 4) => {
+            const entry = document.createElement('div');
+            entry.className = 'legend-entry';
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.background = color;
+            swatch.style.height = `${weight}px`;
+            entry.appendChild(swatch);
+            entry.appendChild(document.createTextNode(label));
+            legend.appendChild(entry);
+        };
+        const addHeading = (text) => {
+            const heading = document.createElement('div');
+            heading.className = 'legend-heading';
+            heading.textContent = text;
+            legend.appendChild(heading);
+        };
+
+        const mode = this.settings.trailColorMode;
+        if (mode === 'state') {
+            addEntry('#e74c3c', 'Search result');
+            addEntry('#2c7a3f', 'Saved');
+            addEntry('#2196F3', 'Selected', 6);
+            return;
+        }
+
+        if (mode === 'colour') addHeading('OSM colour tag, else');
+        if (mode === 'waymark') addHeading('Waymark colour, else');
+        Object.entries(NETWORK_TIER_COLORS).forEach(([tier, color]) => {
+            addEntry(color, tier.charAt(0).toUpperCase() + tier.slice(1));
+        });
+        addHeading('Line width');
+        addEntry('#555555', 'Search result', 3);
+        addEntry('#555555', 'Saved', 5);
+        addEntry('#555555', 'Selected', 7);
+    }
+
+    restyleAllTrails() {
+        this.trailLayers.forEach((layerGroup, trailId) => this.updateTrailColor(trailId));
+        this.updateMapLegend();
+    }
+
+    highlightTrail(trailId, highlight) {
+        // Highlight on map
+        const layerGroup = this.trailLayers.get(trailId);
+        if (layerGroup) {
+            const isSaved = this.savedTrailIds.has(trailId);
+            const isSelected = this.highlightedTrailIds.has(trailId);
+
+            // Camping marker
+            if (layerGroup._marker) {
+                const trail = this.trailsById.get(trailId);
+                const campingType = trail?.campingType || layerGroup._campingType;
+                if (highlight || isSelected) {
+                    layerGroup._marker.setIcon(this.createCampingIcon(campingType, isSaved, highlight || isSelected));
+                } else {
+                    layerGroup._marker.setIcon(this.createCampingIcon(campingType, isSaved, false));
+                }
+            } else {
+                // Hover style, or back to the saved/selected/searched style
+                const style = this.getTrailLineStyle(trailId, highlight);
+                if (layerGroup.allPolylines && layerGroup.allPolylines.length > 0) {
+                    layerGroup.allPolylines.forEach(polyline => {
+                        polyline.setStyle(style);
+                    });
+                }
+            }
+        }
+
+        // Highlight in list
+        const listItem = document.querySelector(`[data-trail-id="${trailId}"]`);
+        if (listItem) {
+            if (highlight) {
+                listItem.classList.add('highlighted');
+            } else {
+                listItem.classList.remove('highlighted');
+            }
+        }
+    }
+
+    handleTrailClick(e, trailId) {
+        // The trip planner takes map clicks while picking its start and end
+        if (this.planner) return;
+
+        // Trails running over the clicked section first, then others crossing or passing close by
+        const clickPoint = e.latlng;
+        const sharing = this.findTrailsSharingSectionAt(clickPoint, trailId, 20); // 20px tolerance
+        const nearby = this.findTrailsAtPoint(clickPoint, 20).filter(id => !sharing.includes(id));
+        const overlappingTrails = [...sharing, ...nearby];
+        
+        if (overlappingTrails.length > 1) {
+            // Multiple overlapping trails - let the user pick which ones to select
+            this.showOverlapPicker(clickPoint, overlappingTrails, nearby.length === 0);
+        } else {
+            // Single trail - toggle selection
+            this.toggleTrailHighlight(trailId);
+        }
+    }
+
+    // Popup listing the trails at a clicked point. Clicking a name selects only that trail,
+    // the checkboxes add or remove trails from the selection and "Select all" takes them all.
+    showOverlapPicker(latlng, trailIds, allShareSection = true) {
+        const picker = document.createElement('div');
+        picker.className = 'overlap-picker';
+
+        const title = document.createElement('strong');
+        title.textContent = allShareSection
+            ? `${trailIds.length} trails share this section`
+            : `${trailIds.length} trails here`;
+        picker.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'overlap-picker-list';
+        trailIds.forEach(id => {
+            const trail = this.trailsById.get(id);
+            if (!trail) return;
+
+            const item = document.createElement('li');
+            item.className = 'overlap-picker-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.highlightedTrailIds.has(id);
+            checkbox.setAttribute('aria-label', `Select ${trail.name}`);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.selectTrail(id, false); // Focusing would replace this popup
+                } else {
+                    this.deselectTrail(id);
+                }
+            });
+            item.appendChild(checkbox);
+
+            const nameBtn = document.createElement('button');
+            nameBtn.className = 'overlap-picker-name';
+            nameBtn.title = 'Select only this trail';
+            const badgeHtml = this.createTrailBadgeHtml(trail);
+            if (badgeHtml) {
+                nameBtn.insertAdjacentHTML('beforeend', badgeHtml);
+                nameBtn.insertAdjacentHTML('beforeend', ' ');
+            }
+            nameBtn.appendChild(document.createTextNode(trail.name));
+            nameBtn.addEventListener('click', () => {
+                trailIds.forEach(other => {
+                    if (other !== id && this.highlightedTrailIds.has(other)) this.deselectTrail(other);
+                });
+                this.map.closePopup();
+                if (!this.highlightedTrailIds.has(id)) {
+                    this.selectTrail(id);
+                } else {
+                    this.focusTrail(id);
+                }
+            });
+            item.appendChild(nameBtn);
+
+            item.addEventListener('mouseenter', () => this.highlightTrail(id, true));
+            item.addEventListener('mouseleave', () => this.highlightTrail(id, false));
+            list.appendChild(item);
+        });
+        picker.appendChild(list);
+
+        const allBtn = document.createElement('button');
+        allBtn.className = 'popup-btn popup-btn-search';
+        const allIcon = document.createElement('i');
+        allIcon.className = 'fas fa-check-double';
+        allBtn.appendChild(allIcon);
+        allBtn.appendChild(document.createTextNode(' Select all'));
+        allBtn.addEventListener('click', () => {
+            this.map.closePopup();
+            trailIds.forEach(id => {
+                if (!this.highlightedTrailIds.has(id)) {
+                    this.selectTrail(id, false); // Don't focus for multi-select
+                }
+            });
+            this.focusTrail(trailIds[0]);
+        });
+        picker.appendChild(allBtn);
+
+        const popup = L.popup()
+            .setLatLng(latlng)
+            .setContent(picker);
+        // Don't leave a trail hover-highlighted when the popup closes under the pointer
+        popup.on('remove', () => trailIds.forEach(id => this.highlightTrail(id, false)));
+        popup.openOn(this.map);
+    }
+
+    findTrailsAtPoint(point, tolerancePx = 20) {
+        const toleranceMeters = tolerancePx * (EARTH_CIRCUMFERENCE_METERS / (TILE_SIZE * Math.pow(2, this.map.getZoom())));
+        const dLat = toleranceMeters / METERS_PER_DEGREE;
+        const dLon = toleranceMeters / (METERS_PER_DEGREE * Math.cos(point.lat * Math.PI / 180));
+        const candidates = this.querySpatialIndex({
+            south: point.lat - dLat, west: point.lng - dLon, north: point.lat + dLat, east: point.lng + dLon
+        });
+
+        // Tested against the full geometry, not the simplified lines on the map
+        const found = new Set();
+        candidates.forEach(entry => {
+            if (!found.has(entry.trailId) && this.isPointNearLine(point, entry.coords, toleranceMeters)) {
+                found.add(entry.trailId);
+            }
+        });
+
+        // Keep the order in which the trails were loaded
+        return [...this.trailLayers.keys()].filter(trailId => found.has(trailId));
+    }
+
+    isPointNearLine(point, coords, tolerance) {
+        for (let i = 0; i < coords.length - 1; i++) {
+            const start = L.latLng(coords[i][0], coords[i][1]);
+            const end = L.latLng(coords[i + 1][0], coords[i + 1][1]);
+            if (this.distanceToSegment(point, start, end) <= tolerance) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    distanceToSegment(point, start, end) {
+        // Calculate distance from point to line segment, in a local plane where longitude
+        // is scaled by cos(lat) so east-west offsets aren't inflated away from the equator
+        const cosLat = Math.cos(point.lat * Math.PI / 180);
+        const x = point.lng * cosLat;
+        const y = point.lat;
+        const x1 = start.lng * cosLat;
+        const y1 = start.lat;
+        const x2 = end.lng * cosLat;
+        const y2 = end.lat;
+        
+        const A = x - x1;
+        const B = y - y1;
+        const C = x2 - x1;
+        const D = y2 - y1;
+        
+        const dot = A * C + B * D;
+        const lenSq = C * C + D * D;
+        let param = -1;
+        
+        if (lenSq !== 0) {
+            param = dot / lenSq;
+        }
+        
+        let xx, yy;
+        
+        if (param < 0) {
+            xx = x1;
+            yy = y1;
+        } else if (param > 1) {
+            xx = x2;
+            yy = y2;
+        } else {
+            xx = x1 + param * C;
+            yy = y1 + param * D;
+        }
+        
+        return this.haversineDistance(y, point.lng, yy, xx / cosLat);
+    }
+
+    selectTrail(trailId, shouldFocus = true) {
+        this.highlightedTrailIds.add(trailId);
+        
+        const layerGroup = this.trailLayers.get(trailId);
+        if (layerGroup) {
+            // Camping marker
+            if (layerGroup._marker) {
+                const trail = this.trailsById.get(trailId);
+                const campingType = trail?.campingType || layerGroup._campingType;
+                const isSaved = this.savedTrailIds.has(trailId);
+                layerGroup._marker.setIcon(this.createCampingIcon(campingType, isSaved, true));
+            } else {
+                // Move trail to selected pane (top layer)
+                this.moveTrailToPane(trailId, 'selectedTrailsPane');
+                this.updateTrailColor(trailId);
+            }
+        }
+        const listItem = document.querySelector(`[data-trail-id="${trailId}"]`);
+        if (listItem) {
+            listItem.classList.add('selected');
+        }
+        
+        // Only focus if requested (to avoid multiple focus calls during multi-select).
+        // The elevation profile follows the same rule so multi-select doesn't fetch one per trail.
+        if (shouldFocus) {
+            this.focusTrail(trailId);
+            this.showElevationProfile(trailId);
+        }
+    }
+
+    deselectTrail(trailId) {
+        this.highlightedTrailIds.delete(trailId);
+
+        if (this.elevationTrailId === trailId) {
+            this.hideElevationProfile();
+        }
+        
+        const layerGroup = this.trailLayers.get(trailId);
+        if (layerGroup) {
+            const isSaved = this.savedTrailIds.has(trailId);
+
+            // Camping marker
+            if (layerGroup._marker) {
+                const trail = this.trailsById.get(trailId);
+                const campingType = trail?.campingType || layerGroup._campingType;
+                layerGroup._marker.setIcon(this.createCampingIcon(campingType, isSaved, false));
+            } else {
+                // Move trail to appropriate pane based on saved status
+                const pane = isSaved ? 'savedTrailsPane' : 'searchedTrailsPane';
+                this.moveTrailToPane(trailId, pane);
+                this.updateTrailColor(trailId);
+            }
+        }
+        const listItem = document.querySelector(`[data-trail-id="${trailId}"]`);
+        if (listItem) {
+            listItem.classList.remove('selected');
+        }
+    }
+
+    updateTrailsUI() {
+        const trailsContainer = document.getElementById('trailsList');
+        const trailsCount = document.getElementById('trailsCount');
+
+        this.visibleTrailIds = this.getVisibleTrailIds();
+        this.syncTrailLayersToMap();
+        this.updateFilterButton();
+        if (!document.getElementById('filterPanel').classList.contains('hidden')) {
+            this.renderFilterPanel();
+        }
+
+        if (trailsCount) {
+            const filtered = this.allTrails.filter(t => this.visibleTrailIds.has(t.id)).length;
+            trailsCount.textContent = filtered === this.allTrails.length
+                ? this.allTrails.length
+                : `${filtered}/${this.allTrails.length}`;
+        }
+
+        // Refresh results header with current sport label
+        this.updateResultsHeader();
+
+        // Update Save Selection button visibility
+        const saveSelectionBtn = document.getElementById('saveSelectionBtn');
+        if (saveSelectionBtn) {
+            saveSelectionBtn.style.display = this.highlightedTrailIds.size > 0 ? 'inline-flex' : 'none';
+        }
+        const exportSelectionBtn = document.getElementById('exportSelectionBtn');
+        if (exportSelectionBtn) {
+            exportSelectionBtn.style.display = this.highlightedTrailIds.size > 0 ? 'inline-flex' : 'none';
+        }
+
+        const label = SPORT_CONFIG[this.currentSport]?.resultsLabel || 'Results';
+        if (this.allTrails.length === 0) {
+            trailsContainer.innerHTML = `<div class="empty-state">No ${label.toLowerCase()} found. Use the search button to find ${label.toLowerCase()} in the current map view.</div>`;
+            return;
+        }
+
+        // Clear existing content
+        trailsContainer.innerHTML = '';
+
+        // Separate trails into those with parents (children) and standalone trails
+        // Use Set for O(1) lookups
+        const childTrails = new Set();
+        const parentTrails = [];
+        
+        this.allTrails.forEach(trail => {
+            if (trail.childRelations && trail.childRelations.length > 0) {
+                parentTrails.push(trail);
+                trail.childRelations.forEach(child => childTrails.add(child.id));
+            }
+        });
+        
+        const standaloneTrails = this.allTrails.filter(t => 
+            !childTrails.has(t.id) && (!t.childRelations || t.childRelations.length === 0) &&
+            this.visibleTrailIds.has(t.id)
+        );
+        const visibleParents = parentTrails.filter(t => this.visibleTrailIds.has(t.id));
+
+        if (standaloneTrails.length === 0 && visibleParents.length === 0) {
+            trailsContainer.innerHTML = `<div class="empty-state">No ${label.toLowerCase()} match the filters.</div>`;
+            return;
+        }
+
+        // Network priority: international (0) > national (1) > regional (2) > local (3) > none (4)
+        const NO_NETWORK_PRIORITY = 4;
+        const networkPriority = {
+            iwn: 0, icn: 0,
+            nwn: 1, ncn: 1,
+            rwn: 2, rcn: 2,
+            lwn: 3, lcn: 3
+        };
+        const getNetworkPriority = (trail) => {
+            const p = networkPriority[trail.tags?.network];
+            return p !== undefined ? p : NO_NETWORK_PRIORITY;
+        };
+
+        // Sort: saved trails first, then by network priority or computed length, then alphabetically
+        // Use cached savedTrailIds for O(1) checks
+        const sortTrails = (trails) => trails.sort((a, b) => {
+            const aIsSaved = this.savedTrailIds.has(a.id);
+            const bIsSaved = this.savedTrailIds.has(b.id);
+            if (aIsSaved && !bIsSaved) return -1;
+            if (!aIsSaved && bIsSaved) return 1;
+            if (this.sortMode === 'length-desc' || this.sortMode === 'length-asc') {
+                const lengthDiff = this.getTrailLength(a) - this.getTrailLength(b);
+                if (lengthDiff !== 0) return this.sortMode === 'length-asc' ? lengthDiff : -lengthDiff;
+            } else {
+                const aPriority = getNetworkPriority(a);
+                const bPriority = getNetworkPriority(b);
+                if (aPriority !== bPriority) return aPriority - bPriority;
+            }
+            return a.name.localeCompare(b.name);
+        });
+
+        const sortedParents = sortTrails([...visibleParents]);
+        const sortedStandalone = sortTrails([...standaloneTrails]);
+
+        // Display parent route groups first (before individual tracks)
+        sortedParents.forEach(parent => {
+            this.createParentTrailElement(parent, trailsContainer);
+        });
+
+        // Display standalone trails
+        sortedStandalone.forEach(trail => {
+            this.createTrailElement(trail, trailsContainer, false);
+        });
+    }
+
+    // ─── Result Filters ───────────────────────────────────────────────────────
+
+    getNetworkTier(trail) {
+        const match = /^([inrl])[wc]n$/.exec(trail.tags?.network || '');
+        return match ? NETWORK_TIERS[match[1]] : 'other';
+    }
+
+    hasActiveFilters() {
+        const f = this.filters;
+        return f.networks.length > 0 || f.sacScales.length > 0 || f.surfaces.length > 0 ||
+            f.roundtrip !== '' || f.operator !== '' || f.minLengthKm !== null || f.maxLengthKm !== null;
+    }
+
+    trailMatchesFilters(trail) {
+        // Filters describe routes; camping POIs are not affected
+        if (trail.type === 'node') return true;
+
+        const f = this.filters;
+        const tags = trail.tags || {};
+        if (f.networks.length > 0 && !f.networks.includes(this.getNetworkTier(trail))) return false;
+        if (f.sacScales.length > 0 && !f.sacScales.includes(tags.sac_scale)) return false;
+        if (f.surfaces.length > 0 && !f.surfaces.includes(tags.surface)) return false;
+        if (f.roundtrip && (tags.roundtrip === 'yes' ? 'yes' : 'no') !== f.roundtrip) return false;
+        if (f.operator && !(tags.operator || '').toLowerCase().includes(f.operator.toLowerCase())) return false;
+
+        if (f.minLengthKm !== null || f.maxLengthKm !== null) {
+            const lengthKm = this.getTrailLength(trail) / 1000;
+            if (f.minLengthKm !== null && lengthKm < f.minLengthKm) return false;
+            if (f.maxLengthKm !== null && lengthKm > f.maxLengthKm) return false;
+        }
+        return true;
+    }
+
+    // Saved trails are always shown. A parent is shown when it or one of its children matches;
+    // children of a matching parent are shown with it.
+    getVisibleTrailIds() {
+        const visible = new Set();
+        const filtering = this.hasActiveFilters();
+        this.allTrails.forEach(trail => {
+            if (!filtering || this.savedTrailIds.has(trail.id) || this.trailMatchesFilters(trail)) {
+                visible.add(trail.id);
+            }
+        });
+        if (!filtering) return visible;
+
+        this.allTrails.forEach(trail => {
+            const children = trail.childRelations || [];
+            if (children.length === 0) return;
+            if (visible.has(trail.id)) {
+                children.forEach(child => visible.add(child.id));
+            } else if (children.some(child => visible.has(child.id))) {
+                visible.add(trail.id);
+            }
+        });
+        return visible;
+    }
+
+    updateFilterButton() {
+        const filterBtn = document.getElementById('filterBtn');
+        if (filterBtn) filterBtn.classList.toggle('active', this.hasActiveFilters());
+    }
+
+    toggleFilterPanel() {
+        const panel = document.getElementById('filterPanel');
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            this.renderFilterPanel();
+        }
+    }
+
+    // Checkbox lists offer the values present in the results, plus any still selected
+    renderFilterPanel() {
+        const networkValues = [...Object.values(NETWORK_TIERS), 'other'];
+        const collect = (key) => [...new Set(this.allTrails.map(t => t.tags?.[key]).filter(Boolean))];
+
+        this.renderFilterOptions('filterNetworks', networkValues, this.filters.networks);
+        this.renderFilterOptions('filterSacScales',
+            [...new Set([...collect('sac_scale'), ...this.filters.sacScales])].sort(), this.filters.sacScales);
+        this.renderFilterOptions('filterSurfaces',
+            [...new Set([...collect('surface'), ...this.filters.surfaces])].sort(), this.filters.surfaces);
+
+        document.getElementById('filterRoundtrip').value = this.filters.roundtrip;
+        const operatorInput = document.getElementById('filterOperator');
+        if (document.activeElement !== operatorInput) operatorInput.value = this.filters.operator;
+        document.getElementById('filterMinLength').value = this.filters.minLengthKm ?? '';
+        document.getElementById('filterMaxLength').value = this.filters.maxLengthKm ?? '';
+    }
+
+    renderFilterOptions(containerId, values, selected) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+        if (values.length === 0) {
+            container.textContent = 'None in results';
+            return;
+        }
+        values.forEach(value => {
+            const label = document.createElement('label');
+            label.className = 'filter-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = value;
+            checkbox.checked = selected.includes(value);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${value.replace(/_/g, ' ')}`));
+            container.appendChild(label);
+        });
+    }
+
+    readFiltersFromPanel() {
+        const checked = (containerId) => [...document.querySelectorAll(`#${containerId} input:checked`)]
+            .map(input => input.value);
+        const lengthValue = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return isNaN(value) || value < 0 ? null : value;
+        };
+
+        this.filters = {
+            networks: checked('filterNetworks'),
+            sacScales: checked('filterSacScales'),
+            surfaces: checked('filterSurfaces'),
+            roundtrip: document.getElementById('filterRoundtrip').value,
+            operator: document.getElementById('filterOperator').value.trim(),
+            minLengthKm: lengthValue('filterMinLength'),
+            maxLengthKm: lengthValue('filterMaxLength')
+        };
+        this.updateTrailsUI();
+        this.updateUrl();
+    }
+
+    clearFilters() {
+        this.filters = { ...DEFAULT_FILTERS };
+        this.updateTrailsUI();
+        this.updateUrl();
+    }
+
+    getFilterUrlParams() {
+        const f = this.filters;
+        const params = [];
+        const add = (key, value) => params.push(`&${key}=${encodeURIComponent(value)}`);
+        if (f.networks.length > 0) add('network', f.networks.join(','));
+        if (f.sacScales.length > 0) add('sac_scale', f.sacScales.join(','));
+        if (f.surfaces.length > 0) add('surface', f.surfaces.join(','));
+        if (f.roundtrip) add('roundtrip', f.roundtrip);
+        if (f.operator) add('operator', f.operator);
+        if (f.minLengthKm !== null || f.maxLengthKm !== null) {
+            add('length', `${f.minLengthKm ?? ''}-${f.maxLengthKm ?? ''}`);
+        }
+        return params.join('');
+    }
+
+    initFiltersFromUrl() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const list = (key) => (urlParams.get(key) || '').split(',').map(v => v.trim()).filter(Boolean);
+        const [minText, maxText] = (urlParams.get('length') || '').split('-');
+        const toKm = (text) => {
+            const value = parseFloat(text);
+            return isNaN(value) ? null : value;
+        };
+        const roundtrip = urlParams.get('roundtrip');
+
+        this.filters = {
+            networks: list('network'),
+            sacScales: list('sac_scale'),
+            surfaces: list('surface'),
+            roundtrip: roundtrip === 'yes' || roundtrip === 'no' ? roundtrip : '',
+            operator: urlParams.get('operator') || '',
+            minLengthKm: toKm(minText),
+            maxLengthKm: toKm(maxText)
+        };
+        this.updateFilterButton();
+    }
+
+    createParentTrailElement(parent, container) {
+        const isSaved = this.savedTrailIds.has(parent.id);
+        
+        // Parent container
+        const parentContainer = document.createElement('div');
+        parentContainer.className = 'parent-trail-container';
+        parentContainer.style.marginBottom = '0.5rem';
+        
+        // Parent trail item
+        const parentItem = document.createElement('div');
+        parentItem.className = 'trail-item parent-trail';
+        parentItem.setAttribute('data-trail-id', parent.id);
+        if (parent.isSuperRoute || parent.isNetwork) {
+            parentItem.style.backgroundColor = '#f0f8ff';
+        }
+        
+        // Trail info section
+        const trailInfo = document.createElement('div');
+        trailInfo.className = 'trail-info';
+        
+        const trailName = document.createElement('div');
+        trailName.className = 'trail-name';
+        
+        // Add collapse/expand icon (collapsed by default)
+        const expandIcon = document.createElement('i');
+        expandIcon.className = 'fas fa-chevron-right';
+        expandIcon.style.marginRight = '0.5rem';
+        expandIcon.style.cursor = 'pointer';
+        trailName.appendChild(expandIcon);
+
+        // Waymarked-trails style badge
+        const parentBadgeHtml = this.createTrailBadgeHtml(parent);
+        if (parentBadgeHtml) {
+            trailName.insertAdjacentHTML('beforeend', parentBadgeHtml);
+            trailName.insertAdjacentHTML('beforeend', ' ');
+        }
+        
+        const nameText = document.createTextNode(parent.name);
+        trailName.appendChild(nameText);
+        
+        if (isSaved) {
+            const bookmarkIcon = document.createElement('i');
+            bookmarkIcon.className = 'fas fa-bookmark';
+            bookmarkIcon.style.fontSize = '0.8em';
+            bookmarkIcon.style.marginLeft = '0.3rem';
+            trailName.appendChild(bookmarkIcon);
+        }
+        
+        if (parent.isSuperRoute) {
+            const superIcon = document.createElement('i');
+            superIcon.className = 'fas fa-layer-group';
+            superIcon.style.fontSize = '0.8em';
+            superIcon.style.marginLeft = '0.3rem';
+            superIcon.style.color = '#9c27b0';
+            trailName.appendChild(superIcon);
+        }
+        
+        if (parent.isNetwork) {
+            const networkIcon = document.createElement('i');
+            networkIcon.className = 'fas fa-project-diagram';
+            networkIcon.style.fontSize = '0.8em';
+            networkIcon.style.marginLeft = '0.3rem';
+            networkIcon.style.color = '#2196F3';
+            trailName.appendChild(networkIcon);
+        }
+        
+        const trailDetails = document.createElement('div');
+        trailDetails.className = 'trail-details';
+        const parentDistanceText = this.formatTrailDistance(parent);
+        if (parentDistanceText) {
+            const distanceSpan = document.createElement('span');
+            distanceSpan.className = 'trail-distance';
+            distanceSpan.textContent = parentDistanceText;
+            trailDetails.appendChild(distanceSpan);
+            trailDetails.appendChild(document.createTextNode(' • '));
+        }
+        const description = parent.description || 'Route';
+        trailDetails.appendChild(document.createTextNode(`${parent.childRelations.length} routes • ${description}`));
+        
+        trailInfo.appendChild(trailName);
+        trailInfo.appendChild(trailDetails);
+        trailInfo.addEventListener('click', () => this.toggleParentAndChildren(parent.id));
+        
+        // Trail actions section
+        const trailActions = document.createElement('div');
+        trailActions.className = 'trail-actions';
+        
+        if (!isSaved) {
+            const saveBtn = document.createElement('button');
+            saveBtn.className = 'save-btn';
+            saveBtn.title = 'Save parent and all children';
+            saveBtn.setAttribute('aria-label', 'Save parent route');
+            const saveIcon = document.createElement('i');
+            saveIcon.className = 'fas fa-bookmark';
+            saveBtn.appendChild(saveIcon);
+            saveBtn.appendChild(document.createTextNode(' All'));
+            saveBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.saveParentRoute(parent.id);
+            });
+            trailActions.appendChild(saveBtn);
+        } else {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.title = 'Remove parent route';
+            removeBtn.setAttribute('aria-label', 'Remove parent');
+            const removeIcon = document.createElement('i');
+            removeIcon.className = 'fas fa-trash';
+            removeBtn.appendChild(removeIcon);
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeTrail(parent.id);
+            });
+            trailActions.appendChild(removeBtn);
+        }
+
+        trailActions.appendChild(this.createDetailsButton(parent.id));
+        trailActions.appendChild(this.createExportButton(parent.id));
+        
+        // OSM button removed per requirements
+        
+        parentItem.appendChild(trailInfo);
+        parentItem.appendChild(trailActions);
+        parentContainer.appendChild(parentItem);
+        
+        // Children container (collapsible, collapsed by default)
+        const childrenContainer = document.createElement('div');
+        childrenContainer.className = 'children-container';
+        childrenContainer.style.marginLeft = '1.5rem';
+        childrenContainer.style.borderLeft = '2px solid #9c27b0';
+        childrenContainer.style.paddingLeft = '0.5rem';
+        childrenContainer.style.display = 'none'; // Collapsed by default
+        
+        parent.childRelations
+            .filter(child => !this.visibleTrailIds || this.visibleTrailIds.has(child.id))
+            .forEach(child => {
+                this.createTrailElement(child, childrenContainer, true);
+            });
+        
+        parentContainer.appendChild(childrenContainer);
+        
+        // Toggle collapse/expand
+        expandIcon.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (childrenContainer.style.display === 'none' || childrenContainer.style.display === '') {
+                childrenContainer.style.display = 'block';
+                expandIcon.className = 'fas fa-chevron-down';
+            } else {
+                childrenContainer.style.display = 'none';
+                expandIcon.className = 'fas fa-chevron-right';
+            }
+        });
+        
+        // Add hover listeners to parent
+        parentItem.addEventListener('mouseenter', () => {
+            this.highlightTrail(parent.id, true);
+        });
+        parentItem.addEventListener('mouseleave', () => {
+            this.highlightTrail(parent.id, false);
+        });
+        parentItem.addEventListener('touchstart', () => {
+            this.highlightTrail(parent.id, true);
+        });
+        
+        container.appendChild(parentContainer);
+    }
+
+    createTrailElement(trail, container, isChild = false) {
+        const isSaved = this.savedTrailIds.has(trail.id);
+        
+        // Create trail item
+        const trailItem = document.createElement('div');
+        trailItem.className = 'trail-item';
+        if (isChild) {
+            trailItem.className += ' child-trail';
+        }
+        trailItem.setAttribute('data-trail-id', trail.id);
+        
+        // Trail info section
+        const trailInfo = document.createElement('div');
+        trailInfo.className = 'trail-info';
+        
+        const trailName = document.createElement('div');
+        trailName.className = 'trail-name';
+        // Insert waymarked-trails style badge before the trail name text
+        const badgeHtml = this.createTrailBadgeHtml(trail);
+        if (badgeHtml) {
+            trailName.insertAdjacentHTML('beforeend', badgeHtml);
+            trailName.insertAdjacentHTML('beforeend', ' ');
+        }
+        trailName.appendChild(document.createTextNode(trail.name));
+        if (isSaved) {
+            const bookmarkIcon = document.createElement('i');
+            bookmarkIcon.className = 'fas fa-bookmark';
+            bookmarkIcon.style.fontSize = '0.8em';
+            trailName.appendChild(document.createTextNode(' '));
+            trailName.appendChild(bookmarkIcon);
+        }
+        
+        const trailDetails = document.createElement('div');
+        trailDetails.className = 'trail-details';
+        const distanceText = this.formatTrailDistance(trail);
+        if (distanceText) {
+            const distanceSpan = document.createElement('span');
+            distanceSpan.className = 'trail-distance';
+            distanceSpan.textContent = distanceText;
+            trailDetails.appendChild(distanceSpan);
+            trailDetails.appendChild(document.createTextNode(' • '));
+        }
+        trailDetails.appendChild(document.createTextNode(trail.description));
+        if (trail.routeGaps && trail.routeGaps.length > 0) {
+            trailDetails.appendChild(this.createGapsElement(trail.routeGaps));
+        }
+        
+        trailInfo.appendChild(trailName);
+        trailInfo.appendChild(trailDetails);
+        const sharedIds = this.getSharedWithTrailIds(trail.id);
+        if (sharedIds.length > 0) {
+            trailInfo.appendChild(this.createSharedWithElement(sharedIds));
+        }
+        trailInfo.addEventListener('click', () => this.toggleTrailHighlight(trail.id));
+        
+        // Trail actions section
+        const trailActions = document.createElement('div');
+        trailActions.className = 'trail-actions';
+        
+        if (!isSaved) {
+            const saveBtn = document.createElement('button');
+            saveBtn.className = 'save-btn';
+            saveBtn.title = 'Save trail';
+            saveBtn.setAttribute('aria-label', 'Save trail');
+            const saveIcon = document.createElement('i');
+            saveIcon.className = 'fas fa-bookmark';
+            saveBtn.appendChild(saveIcon);
+            saveBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.saveTrail(trail.id);
+            });
+            trailActions.appendChild(saveBtn);
+        } else {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.title = 'Remove trail';
+            removeBtn.setAttribute('aria-label', 'Remove trail');
+            const removeIcon = document.createElement('i');
+            removeIcon.className = 'fas fa-trash';
+            removeBtn.appendChild(removeIcon);
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeTrail(trail.id);
+            });
+            trailActions.appendChild(removeBtn);
+        }
+
+        trailActions.appendChild(this.createDetailsButton(trail.id));
+        trailActions.appendChild(this.createExportButton(trail.id));
+        if (isSaved && trail.type !== 'node') {
+            trailActions.appendChild(this.createFollowButton(trail.id));
+            trailActions.appendChild(this.createOfflineButton(trail.id));
+        }
+        
+        // OSM button removed per requirements
+        
+        trailItem.appendChild(trailInfo);
+        trailItem.appendChild(trailActions);
+        container.appendChild(trailItem);
+        
+        // Add hover listeners
+        trailItem.addEventListener('mouseenter', () => {
+            this.highlightTrail(trail.id, true);
+        });
+        trailItem.addEventListener('mouseleave', () => {
+            this.highlightTrail(trail.id, false);
+        });
+        // Touch support
+        trailItem.addEventListener('touchstart', () => {
+            this.highlightTrail(trail.id, true);
+        });
+    }
+
+    createGapsElement(gaps) {
+        const gapsSpan = document.createElement('span');
+        gapsSpan.className = 'trail-gaps';
+        const totalKm = gaps.reduce((sum, gap) => sum + gap.distance, 0) / 1000;
+        gapsSpan.title = `Route geometry has ${gaps.length} break(s), ${totalKm.toFixed(2)} km in total`;
+        const gapsIcon = document.createElement('i');
+        gapsIcon.className = 'fas fa-triangle-exclamation';
+        gapsSpan.appendChild(document.createTextNode(' • '));
+        gapsSpan.appendChild(gapsIcon);
+        gapsSpan.appendChild(document.createTextNode(` ${gaps.length} gap${gaps.length === 1 ? '' : 's'}`));
+        return gapsSpan;
+    }
+
+    createFollowButton(trailId) {
+        const isActive = this.activeRouteId === trailId;
+        const followBtn = document.createElement('button');
+        followBtn.className = 'follow-btn' + (isActive ? ' active' : '');
+        followBtn.title = isActive ? 'Stop following' : 'Follow this trail';
+        followBtn.setAttribute('aria-label', followBtn.title);
+        const followIcon = document.createElement('i');
+        followIcon.className = 'fas fa-location-arrow';
+        followBtn.appendChild(followIcon);
+        followBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (isActive) {
+                this.stopFollowingTrail();
+            } else {
+                this.followTrail(trailId);
+            }
+        });
+        return followBtn;
+    }
+
+    createOfflineButton(trailId) {
+        const offlineBtn = document.createElement('button');
+        offlineBtn.className = 'offline-btn';
+        offlineBtn.title = 'Download area for offline';
+        offlineBtn.setAttribute('aria-label', 'Download area for offline');
+        const offlineIcon = document.createElement('i');
+        offlineIcon.className = 'fas fa-cloud-arrow-down';
+        offlineBtn.appendChild(offlineIcon);
+        offlineBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openOfflinePanelForTrail(trailId);
+        });
+        return offlineBtn;
+    }
+
+    createDetailsButton(trailId) {
+        const detailsBtn = document.createElement('button');
+        detailsBtn.className = 'details-btn';
+        detailsBtn.title = 'Show details';
+        detailsBtn.setAttribute('aria-label', 'Show details');
+        const detailsIcon = document.createElement('i');
+        detailsIcon.className = 'fas fa-circle-info';
+        detailsBtn.appendChild(detailsIcon);
+        detailsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openTrailDetails(trailId);
+        });
+        return detailsBtn;
+    }
+
+    createExportButton(trailId) {
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'export-btn';
+        exportBtn.title = 'Export as GPX';
+        exportBtn.setAttribute('aria-label', 'Export as GPX');
+        const exportIcon = document.createElement('i');
+        exportIcon.className = 'fas fa-download';
+        exportBtn.appendChild(exportIcon);
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.exportTrailGpx(trailId);
+        });
+        return exportBtn;
+    }
+
+    toggleTrailHighlight(trailId) {
+        // Toggle highlighting
+        if (this.highlightedTrailIds.has(trailId)) {
+            // Deselect this trail
+            this.deselectTrail(trailId);
+        } else {
+            // Select this trail - focus is handled by selectTrail
+            this.selectTrail(trailId);
+        }
+    }
+
+    toggleParentAndChildren(parentId) {
+        // Toggle parent and all its children
+        const parent = this.trailsById.get(parentId);
+        
+        if (!parent) {
+            return;
+        }
+        
+        // Check if parent is currently selected
+        const isParentSelected = this.highlightedTrailIds.has(parentId);
+        
+        if (isParentSelected) {
+            // Deselect parent and all children
+            this.deselectTrail(parentId);
+            if (parent.childRelations && parent.childRelations.length > 0) {
+                parent.childRelations.forEach(child => {
+                    if (this.highlightedTrailIds.has(child.id)) {
+                        this.deselectTrail(child.id);
+                    }
+                });
+            }
+        } else {
+            // Select parent and all children
+            this.selectTrail(parentId, false); // Don't focus on parent
+            if (parent.childRelations && parent.childRelations.length > 0) {
+                parent.childRelations.forEach(child => {
+                    if (!this.highlightedTrailIds.has(child.id)) {
+                        this.selectTrail(child.id, false); // Don't focus on each child
+                    }
+                });
+            }
+            // Focus on the parent after all selections
+            this.focusTrail(parentId);
+        }
+    }
+
+    focusTrail(trailId) {
+        const trail = this.trailsById.get(trailId);
+        
+        if (!trail) {
+            return;
+        }
+
+        // Single-point feature (camping POI)
+        if (trail.type === 'node' && trail.lat && trail.lon) {
+            this.map.setView([trail.lat, trail.lon], Math.max(this.map.getZoom(), 15));
+            const layerGroup = this.trailLayers.get(trailId);
+            if (layerGroup && layerGroup._marker) {
+                layerGroup._marker.openPopup();
+            }
+            return;
+        }
+        
+        // If this is a parent-only route (no coordinates), focus on its children
+        if (trail.isParentOnly && trail.childRelations && trail.childRelations.length > 0) {
+            // Collect all children coordinates
+            const allCoords = [];
+            trail.childRelations.forEach(child => {
+                if (child.coordinates && child.coordinates.length > 0) {
+                    allCoords.push(...child.coordinates);
+                }
+            });
+            
+            if (allCoords.length > 0) {
+                const bounds = L.latLngBounds(allCoords);
+                this.map.fitBounds(bounds.pad(0.2));
+            }
+            return;
+        }
+        
+        if (trail.coordinates && trail.coordinates.length > 1) {
+            const bounds = L.latLngBounds(trail.coordinates);
+            this.map.fitBounds(bounds.pad(0.2));
+            
+            // Open popup if layer exists; it may still be detached until the map has moved
+            const layerGroup = this.trailLayers.get(trailId);
+            if (layerGroup && (!this.visibleTrailIds || this.visibleTrailIds.has(trailId))) {
+                this.attachTrailLayer(layerGroup);
+            }
+            if (layerGroup && layerGroup.mainPolyline && layerGroup.mainPolyline.openPopup) {
+                layerGroup.mainPolyline.openPopup();
+            }
+        }
+    }
+
+    saveTrail(trailId) {
+        const trail = this.trailsById.get(trailId);
+        
+        if (!trail) {
+            return;
+        }
+
+        // Check if already saved using cached Set
+        if (this.savedTrailIds.has(trail.id)) {
+            this.showToast('Trail already saved!');
+            return;
+        }
+
+        this.savedTrails.push(trail);
+        this.saveSavedTrails();
+        
+        // Update trail color on map and move to saved pane
+        // Move to saved pane unless it's selected
+        if (!this.highlightedTrailIds.has(trailId)) {
+            this.moveTrailToPane(trailId, 'savedTrailsPane');
+        }
+        
+        // Update style for saved trails
+        this.updateTrailColor(trailId);
+        
+        this.updateTrailsUI();
+        this.showToast(`Saved: ${trail.name}`);
+        this.updateUrl();
+    }
+
+    saveSelectedTrails() {
+        if (this.highlightedTrailIds.size === 0) {
+            this.showToast('No trails selected');
+            return;
+        }
+
+        let savedCount = 0;
+        let alreadySavedCount = 0;
+
+        // Save all selected trails
+        this.highlightedTrailIds.forEach(trailId => {
+            const trail = this.trailsById.get(trailId);
+            
+            if (!trail) {
+                return;
+            }
+
+            // Check if already saved
+            if (this.savedTrailIds.has(trail.id)) {
+                alreadySavedCount++;
+                return;
+            }
+
+            this.savedTrails.push(trail);
+            savedCount++;
+        });
+
+        // Persist saved trails (deselecting below restyles them as saved)
+        if (savedCount > 0) {
+            this.saveSavedTrails();
+        }
+
+        // Clear selection after saving
+        const selectedIds = Array.from(this.highlightedTrailIds);
+        selectedIds.forEach(trailId => {
+            this.deselectTrail(trailId);
+        });
+
+        this.updateTrailsUI();
+
+        // Show appropriate toast message
+        if (savedCount > 0 && alreadySavedCount > 0) {
+            this.showToast(`Saved ${savedCount} trail(s). ${alreadySavedCount} already saved.`);
+        } else if (savedCount > 0) {
+            this.showToast(`Saved ${savedCount} trail(s)`);
+        } else {
+            this.showToast('All selected trails were already saved');
+        }
+        if (savedCount > 0) this.updateUrl();
+    }
+
+    removeTrail(trailId) {
+        if (this.activeRouteId === trailId) this.stopFollowingTrail();
+        this.savedTrails = this.savedTrails.filter(t => t.id != trailId);
+        this.saveSavedTrails();
+        
+        // Remove from allTrails if it was only saved (not from search)
+        this.allTrails = this.allTrails.filter(t => t.id != trailId);
+        this.updateTrailIndexes();
+        
+        // Remove from map
+        this.removeTrailLayer(trailId);
+        
+        this.updateTrailsUI();
+        this.showToast('Trail removed');
+        this.updateUrl();
+    }
+
+    clearSavedTrails() {
+        if (this.savedTrails.length === 0) {
+            this.showToast('No saved trails to clear');
+            return;
+        }
+
+        if (confirm('Are you sure you want to clear all saved trails?')) {
+            this.stopFollowingTrail();
+
+            // Remove saved trails from map and allTrails
+            this.savedTrails.forEach(trail => this.removeTrailLayer(trail.id));
+            
+            // Use cached Set for faster filtering
+            this.allTrails = this.allTrails.filter(t => !this.savedTrailIds.has(t.id));
+            this.updateTrailIndexes();
+            
+            this.savedTrails = [];
+            this.saveSavedTrails();
+            this.updateTrailsUI();
+            this.showToast('All trails cleared');
+            this.updateUrl();
+        }
+    }
+
+    // ─── Trail Details ────────────────────────────────────────────────────────
+
+    async openTrailDetails(trailId) {
+        const trail = this.trailsById.get(trailId);
+        if (!trail) return;
+
+        const detailsId = ++this.detailsRequestId;
+        this.detailsTrailId = trailId;
+        document.getElementById('detailsTitle').textContent = trail.name;
+        this.renderTrailDetails(trail);
+        document.getElementById('detailsPanel').classList.remove('hidden');
+
+        // Edit metadata isn't part of search results; fetch it once per trail
+        if (trail.osmType === 'local' || trail.osmMeta) return;
+        try {
+            trail.osmMeta = await this.fetchOsmMeta(trail);
+        } catch (error) {
+            console.warn('Could not load last edit info:', error);
+            return;
+        }
+        if (detailsId === this.detailsRequestId && trail.osmMeta) {
+            this.renderTrailDetails(trail);
+        }
+    }
+
+    async fetchOsmMeta(trail) {
+        const osmType = trail.osmType || (trail.type === 'node' ? 'node' : 'relation');
+        const data = await this.fetchOverpass(`[out:json][timeout:25];${osmType}(${trail.id});out meta;`);
+        const element = data.elements && data.elements[0];
+        if (!element) return null;
+        return {
+            timestamp: element.timestamp,
+            version: element.version,
+            user: element.user
+        };
+    }
+
+    renderTrailDetails(trail) {
+        const content = document.getElementById('detailsContent');
+        content.innerHTML = '';
+        const tags = trail.tags || {};
+
+        const description = document.createElement('p');
+        description.className = 'details-description';
+        description.textContent = trail.description;
+        content.appendChild(description);
+
+        const list = document.createElement('dl');
+        list.className = 'details-list';
+        const addRow = (label, value) => {
+            if (value === null || value === undefined || value === '') return;
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const definition = document.createElement('dd');
+            if (value instanceof Node) {
+                definition.appendChild(value);
+            } else {
+                definition.textContent = value;
+            }
+            list.appendChild(term);
+            list.appendChild(definition);
+        };
+
+        addRow('From', tags.from);
+        addRow('Via', tags.via);
+        addRow('To', tags.to);
+        addRow('Length', this.formatTrailDistance(trail));
+        addRow('Ascent', this.formatTagMeters(tags.ascent));
+        addRow('Descent', this.formatTagMeters(tags.descent));
+        if (tags.roundtrip) addRow('Roundtrip', tags.roundtrip === 'yes' ? 'Yes' : 'No');
+        if (tags.network) addRow('Network', `${this.getNetworkTier(trail)} (${tags.network})`);
+        addRow('Operator', tags.operator);
+        if (tags['osmc:symbol']) {
+            const symbol = document.createElement('span');
+            symbol.className = 'details-symbol';
+            symbol.innerHTML = this.createOsmcShieldHtml(tags['osmc:symbol']);
+            symbol.appendChild(document.createTextNode(` ${tags['osmc:symbol']}`));
+            addRow('Symbol', symbol);
+        }
+        addRow('Difficulty', tags.sac_scale && tags.sac_scale.replace(/_/g, ' '));
+        addRow('Surface', tags.surface);
+        addRow('Website', this.createExternalLink(tags.website || tags.url));
+        addRow('Wikipedia', this.createWikipediaLink(tags.wikipedia));
+        if (/^Q\d+$/.test(tags.wikidata || '')) {
+            addRow('Wikidata', this.createExternalLink(`https://www.wikidata.org/wiki/${tags.wikidata}`, tags.wikidata));
+        }
+        addRow('Description', tags.description);
+        addRow('Note', tags.note);
+
+        if (trail.osmType === 'local') {
+            addRow('Source', 'Imported file');
+        } else {
+            addRow('OpenStreetMap', this.createExternalLink(this.getOsmUrl(trail), `${trail.osmType || trail.type} ${trail.id}`));
+        }
+        if (trail.osmMeta && trail.osmMeta.timestamp) {
+            const edited = new Date(trail.osmMeta.timestamp).toLocaleString();
+            addRow('Last edited', trail.osmMeta.user ? `${edited} by ${trail.osmMeta.user}` : edited);
+        }
+        content.appendChild(list);
+
+        if (trail.type !== 'node' && this.getTrailLength(trail) > 0) {
+            content.appendChild(this.createStagesElement(trail));
+        }
+
+        if (trail.members && trail.members.length > 0) {
+            content.appendChild(this.createMembersElement(trail.members));
+        }
+
+        const tagKeys = Object.keys(tags).sort();
+        if (tagKeys.length > 0) {
+            const allTags = document.createElement('details');
+            allTags.className = 'details-section';
+            const summary = document.createElement('summary');
+            summary.textContent = `All tags (${tagKeys.length})`;
+            allTags.appendChild(summary);
+            const table = document.createElement('table');
+            table.className = 'details-tags';
+            tagKeys.forEach(key => {
+                const row = table.insertRow();
+                row.insertCell().textContent = key;
+                row.insertCell().textContent = tags[key];
+            });
+            allTags.appendChild(table);
+            content.appendChild(allTags);
+        }
+    }
+
+    createMembersElement(members) {
+        const section = document.createElement('details');
+        section.className = 'details-section';
+        const summary = document.createElement('summary');
+        summary.textContent = `Members (${members.length})`;
+        section.appendChild(summary);
+
+        const list = document.createElement('ol');
+        list.className = 'details-members';
+        members.forEach(member => {
+            const item = document.createElement('li');
+            // Child routes are usually loaded, so show their names instead of bare ids
+            const child = member.type === 'relation' ? this.trailsById.get(member.ref) : null;
+            const label = child ? child.name : `${member.type} ${member.ref}`;
+            item.appendChild(this.createExternalLink(`https://www.openstreetmap.org/${member.type}/${member.ref}`, label));
+            if (member.role) {
+                const role = document.createElement('span');
+                role.className = 'details-role';
+                role.textContent = ` ${member.role}`;
+                item.appendChild(role);
+            }
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+        return section;
+    }
+
+    // Only http(s) links are rendered; anything else in a tag is shown as text
+    createExternalLink(url, text = url) {
+        if (!url) return null;
+        try {
+            const parsed = new URL(url);
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return url;
+        } catch (error) {
+            return url;
+        }
+        const link = document.createElement('a');
+        link.href = url;
+        link.textContent = text;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        return link;
+    }
+
+    // wikipedia=* is "lang:Article title"
+    createWikipediaLink(value) {
+        const match = /^([a-z-]+):(.+)$/.exec(value || '');
+        if (!match) return value;
+        const title = match[2].trim().replace(/ /g, '_');
+        return this.createExternalLink(`https://${match[1]}.wikipedia.org/wiki/${encodeURIComponent(title)}`, value);
+    }
+
+    // ascent/descent tags are metres when unitless
+    formatTagMeters(value) {
+        if (!value) return null;
+        return /^[\d.]+$/.test(value.trim()) ? `${value.trim()} m` : value;
+    }
+
+    // ─── Saved Trail Storage (IndexedDB) ──────────────────────────────────────
+
+    openTrailsDb() {
+        if (!this.trailsDbPromise) {
+            this.trailsDbPromise = new Promise((resolve, reject) => {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+                const request = indexedDB.open(TRAILS_DB_NAME, TRAILS_DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    // Schema migrations, applied in order from the version already on disk
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore('trails', { keyPath: 'id' }); // Metadata
+                        db.createObjectStore('geometry', { keyPath: 'id' }); // Coordinates per trail
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore('activities', { keyPath: 'id' }); // Recorded GPS tracks
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer version open in another tab upgrade the schema
+                    db.onversionchange = () => db.close();
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                // A tab still holding the old version delays the upgrade until it closes. Wait
+                // rather than fall back to localStorage, whose copy would later replace the stored trails.
+                request.onblocked = () => {
+                    this.showToast('Close other OpenOutdoors tabs to load your saved trails');
+                };
+            });
+        }
+        return this.trailsDbPromise;
+    }
+
+    // Splits a trail into a metadata record and a geometry record. Child relations are
+    // stored by ID and relinked to the saved child trails on load.
+    splitTrailRecord(trail, order) {
+        const meta = { storeOrder: order };
+        const geometry = { id: trail.id };
+        Object.entries(trail).forEach(([key, value]) => {
+            if (TRAIL_GEOMETRY_FIELDS.includes(key)) {
+                geometry[key] = value;
+            } else if (key === 'childRelations') {
+                meta.childRelationIds = (value || []).map(child => child.id);
+            } else {
+                meta[key] = value;
+            }
+        });
+        return { meta, geometry };
+    }
+
+    readTrailsFromDb(db) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['trails', 'geometry'], 'readonly');
+            const metaRequest = tx.objectStore('trails').getAll();
+            const geometryRequest = tx.objectStore('geometry').getAll();
+            tx.oncomplete = () => {
+                const geometryById = new Map(geometryRequest.result.map(g => [g.id, g]));
+                const trails = metaRequest.result
+                    .sort((a, b) => a.storeOrder - b.storeOrder)
+                    .map(({ storeOrder, ...meta }) => {
+                        const { id, ...geometry } = geometryById.get(meta.id) || { coordinates: [], wayGroups: [] };
+                        return { ...meta, ...geometry };
                     });
-                    polylineGroup = L.layerGroup(allLayers).addTo(this.map);
-                    
-                    // Ensure hit polylines are always on top for consistent event capture
-                    polylines.forEach(({ hit }) => {
-                        hit.bringToFront();
+
+                const trailsById = new Map(trails.map(t => [t.id, t]));
+                trails.forEach(trail => {
+                    if (trail.childRelationIds) {
+                        trail.childRelations = trail.childRelationIds.map(id => trailsById.get(id)).filter(Boolean);
+                        delete trail.childRelationIds;
+                    }
+                    this.persistedGeometryIds.add(trail.id);
+                });
+                resolve(trails);
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    writeTrailsToDb(db, trails) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['trails', 'geometry'], 'readwrite');
+            const trailStore = tx.objectStore('trails');
+            const geometryStore = tx.objectStore('geometry');
+            const ids = new Set(trails.map(t => t.id));
+            const removedIds = [];
+
+            trailStore.getAllKeys().onsuccess = (event) => {
+                event.target.result.forEach(id => {
+                    if (!ids.has(id)) {
+                        trailStore.delete(id);
+                        geometryStore.delete(id);
+                        removedIds.push(id);
+                    }
+                });
+            };
+
+            // Metadata is small and always rewritten; geometry only for newly saved trails
+            // and for trails whose geometry changed since it was stored
+            const geometryIds = [];
+            trails.forEach((trail, index) => {
+                const { meta, geometry } = this.splitTrailRecord(trail, index);
+                trailStore.put(meta);
+                if (!this.persistedGeometryIds.has(trail.id) || this.dirtyGeometryIds.has(trail.id)) {
+                    geometryStore.put(geometry);
+                    geometryIds.push(trail.id);
+                    // Cleared now so a change during this transaction marks it again
+                    this.dirtyGeometryIds.delete(trail.id);
+                }
+            });
+            const failed = () => {
+                geometryIds.forEach(id => {
+                    if (this.persistedGeometryIds.has(id)) this.dirtyGeometryIds.add(id);
+                });
+                reject(tx.error);
+            };
+
+            tx.oncomplete = () => {
+                geometryIds.forEach(id => this.persistedGeometryIds.add(id));
+                removedIds.forEach(id => this.persistedGeometryIds.delete(id));
+                resolve();
+            };
+            tx.onerror = failed;
+            tx.onabort = failed;
+        });
+    }
+
+    readLegacyTrails() {
+        const saved = localStorage.getItem(LEGACY_TRAILS_KEY);
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    // One-time move of trails saved by older versions from localStorage into IndexedDB.
+    // The localStorage copy is only removed once the write has committed.
+    async migrateLegacyTrails(db) {
+        if (localStorage.getItem(LEGACY_TRAILS_KEY) === null) return;
+
+        const legacyTrails = this.readLegacyTrails();
+        await this.writeTrailsToDb(db, legacyTrails);
+        localStorage.removeItem(LEGACY_TRAILS_KEY);
+        console.log(`Migrated ${legacyTrails.length} saved trails to IndexedDB`);
+    }
+
+    async loadSavedTrails() {
+        let trails = [];
+        try {
+            const db = await this.openTrailsDb();
+            await this.migrateLegacyTrails(db);
+            trails = await this.readTrailsFromDb(db);
+        } catch (error) {
+            console.error('Error loading saved trails from IndexedDB:', error);
+            this.trailsDbUnavailable = true;
+            try {
+                trails = this.readLegacyTrails();
+            } catch (legacyError) {
+                console.error('Error loading saved trails:', legacyError);
+            }
+        }
+        // Update cache
+        this.savedTrailIds = new Set(trails.map(t => t.id));
+        return trails;
+    }
+
+    saveSavedTrails() {
+        // Update cache right away, callers rely on it before the write completes
+        this.savedTrailIds = new Set(this.savedTrails.map(t => t.id));
+
+        const trails = [...this.savedTrails];
+        this.trailStoreQueue = this.trailStoreQueue
+            .then(async () => {
+                if (this.trailsDbUnavailable) {
+                    localStorage.setItem(LEGACY_TRAILS_KEY, JSON.stringify(trails));
+                    return;
+                }
+                const db = await this.openTrailsDb();
+                await this.writeTrailsToDb(db, trails);
+            })
+            .catch(error => this.handleTrailStorageError(error));
+        return this.trailStoreQueue;
+    }
+
+    async handleTrailStorageError(error) {
+        console.error('Error saving trails:', error);
+        if (!error || error.name !== 'QuotaExceededError') {
+            this.showToast('Error saving trails');
+            return;
+        }
+
+        let usageText = '';
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const { usage, quota } = await navigator.storage.estimate();
+                const toMb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+                usageText = ` (${toMb(usage)} MB of ${toMb(quota)} MB used)`;
+            } catch (estimateError) {
+                console.warn('Storage estimate unavailable:', estimateError);
+            }
+        }
+        this.showToast(`Storage is full${usageText}. Remove some saved trails or offline areas.`);
+    }
+    
+    // Stores a saved trail's geometry again on the next write
+    markGeometryChanged(trail) {
+        if (!this.savedTrailIds.has(trail.id)) return;
+        this.dirtyGeometryIds.add(trail.id);
+        this.saveSavedTrails();
+    }
+
+    // Helper method to update trail indexes
+    updateTrailIndexes() {
+        this.trailsById.clear();
+        this.allTrails.forEach(trail => {
+            this.trailsById.set(trail.id, trail);
+        });
+    }
+
+    // Returns the type-prefixed ID string for a saved trail (r=relation, n=node, w=way).
+    // Used by updateUrl() and shareTrails() to encode trail types in the URL.
+    // Imported (local) trails do not exist in OSM and return null.
+    getTypePrefixedRef(trail) {
+        const osmType = trail.osmType || (trail.type === 'node' ? 'node' : 'relation');
+        if (osmType === 'local') return null;
+        if (osmType === 'node') return `n${trail.id}`;
+        if (osmType === 'way') return `w${trail.id}`;
+        return `r${trail.id}`;
+    }
+
+    updateUrl() {
+        const bounds = this.map.getBounds();
+        const bbox = `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
+
+        const filterParams = this.getFilterUrlParams();
+
+        const refs = this.savedTrails.map(t => this.getTypePrefixedRef(t)).filter(Boolean);
+        if (refs.length === 0) {
+            window.history.replaceState({}, '', `${window.location.pathname}?sport=${this.currentSport}&bbox=${bbox}${filterParams}`);
+            return;
+        }
+
+        const trailRefs = refs.join(',');
+        const url = `${window.location.pathname}?refs=${trailRefs}&bbox=${bbox}&sport=${this.currentSport}${filterParams}`;
+        window.history.replaceState({}, '', url);
+    }
+
+    shareTrails() {
+        if (this.savedTrails.length === 0) {
+            this.showToast('No trails to share. Save some trails first!');
+            return;
+        }
+
+        // Imported trails only exist on this device and cannot be shared via URL
+        const refs = this.savedTrails.map(t => this.getTypePrefixedRef(t)).filter(Boolean);
+        if (refs.length === 0) {
+            this.showToast('Imported trails cannot be shared via URL. Export them as GPX instead.');
+            return;
+        }
+
+        // Build the share URL using the same logic as updateUrl(), but with full origin
+        const bounds = this.map.getBounds();
+        const bbox = `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
+        const trailRefs = refs.join(',');
+        const shareUrl = `${window.location.origin}${window.location.pathname}?refs=${trailRefs}&bbox=${bbox}&sport=${this.currentSport}`;
+
+        // Check URL length
+        if (shareUrl.length > 2000) {
+            this.showToast('Too many trails to share via URL. Try sharing fewer trails.');
+            console.warn('Share URL too long:', shareUrl.length, 'characters');
+            return;
+        }
+
+        // Copy to clipboard
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(shareUrl).then(() => {
+                this.showToast('Share link copied to clipboard!');
+            }).catch(() => {
+                this.showShareDialog(shareUrl);
+            });
+        } else {
+            this.showShareDialog(shareUrl);
+        }
+    }
+
+    showShareDialog(url) {
+        // Create a better fallback dialog using DOM methods
+        const toast = document.getElementById('toast');
+        
+        // Clear previous content
+        toast.textContent = '';
+        
+        const container = document.createElement('div');
+        container.style.textAlign = 'left';
+        
+        const title = document.createElement('strong');
+        title.textContent = 'Share Link:';
+        container.appendChild(title);
+        container.appendChild(document.createElement('br'));
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = url;
+        input.readOnly = true;
+        input.style.width = '100%';
+        input.style.margin = '8px 0';
+        input.style.padding = '8px';
+        input.style.border = '1px solid #ccc';
+        input.style.borderRadius = '4px';
+        input.addEventListener('click', () => input.select());
+        container.appendChild(input);
+        
+        const hint = document.createElement('small');
+        hint.textContent = 'Click the link to select, then copy it manually';
+        container.appendChild(hint);
+        
+        toast.appendChild(container);
+        toast.classList.add('show');
+        setTimeout(() => {
+            toast.classList.remove('show');
+            toast.textContent = ''; // Reset to text content
+        }, 10000); // Show for 10 seconds
+    }
+
+    async loadSharedTrails() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const refsParam = urlParams.get('refs');
+        const bboxParam = urlParams.get('bbox');
+        const trailsParam = urlParams.get('trails'); // Keep backward compatibility
+
+        // New format: OSM refs
+        if (refsParam) {
+            try {
+                this.showLoading(true);
+                const refs = refsParam.split(',').map(ref => ref.trim()).filter(ref => ref);
+                
+                // Set map bounds if provided
+                if (bboxParam) {
+                    const [south, west, north, east] = bboxParam.split(',').map(parseFloat);
+                    if (!isNaN(south) && !isNaN(west) && !isNaN(north) && !isNaN(east)) {
+                        this.map.fitBounds([[south, west], [north, east]]);
+                    }
+                }
+                
+                // Fetch trails from OSM (handles both relations and nodes)
+                const trails = await this.fetchTrailsByRefs(refs);
+                
+                if (trails.length > 0) {
+                    // Merge with existing saved trails
+                    trails.forEach(trail => {
+                        if (!this.savedTrails.some(t => t.id === trail.id)) {
+                            this.savedTrails.push(trail);
+                        }
                     });
+
+                    this.saveSavedTrails();
+                    this.allTrails = [...this.savedTrails];
+                    this.updateTrailIndexes();
                     
-                    // Add event handlers to hit polylines for fat finger support
-                    polylines.forEach(({ visible, hit }) => {
-                        hit.on('mouseover', () => {
-                            this.highlightTrail(trail.id, true);
-                        });
-                        hit.on('mouseout', () => {
-                            this.highlightTrail(trail.id, false);
-                        });
-                        hit.on('click', (e) => {
-                            this.handleTrailClick(e, trail.id);
-                        });
-                    });
-                    // Use first polyline for popup
-                    polylineGroup.mainPolyline = polylines[0].visible;
-                    polylineGroup.allPolylines = polylines.map(p => p.visible);
-                    polylineGroup.allHitPolylines = polylines.map(p => p.hit);
+                    // Display shared trails on map
+                    this.displayTrailsOnMap(trails);
+                    this.updateTrailsUI();
+
+                    this.showToast(`Loaded ${trails.length} shared trails!`);
+
+                    // Rebuild route hierarchy for walking/biking (not camping)
+                    const routeTrails = trails.filter(t => t.type !== 'node');
+                    if (routeTrails.length > 0 && this.currentSport !== 'camping') {
+                        this.organizeTrailHierarchy(routeTrails);
+                    }
                 } else {
-                    // Fallback to single polyline
-                    // Create visible polyline (non-interactive to prevent event capture)
-                    const visibleLine = L.polyline(trail.coordinates, {
-                        color: isSaved ? '#2c7a3f' : '#e74c3c',
-                        weight: 4,
-                        opacity: 0.7,
-                        trailId: trail.id,
-                        interactive: false,
-                        pane: trailPane
-                    });
-                    
-                    // Create transparent wider polyline for fat finger support (~20px)
-                    const hitLine = L.polyline(trail.coordinates, {
-                        color: 'transparent',
-                        weight: 20,
-                        opacity: 0,
-                        trailId: trail.id,
-                        interactive: true,
-                        pane: 'hitPane'
-                    });
-                    
-                    polylineGroup = L.layerGroup([visibleLine, hitLine]).addTo(this.map);
-                    
-                    // Ensure hit polyline is always on top for consistent event capture
-                    hitLine.bringToFront();
-                    
-                    hitLine.on('mouseover', () => {
-                        this.highlightTrail(trail.id, true);
-                    });
-                    hitLine.on('mouseout', () => {
-                        this.highlightTrail(trail.id, false);
-                    });
-                    hitLine.on('click', (e) => {
-                        this.handleTrailClick(e, trail.id);
-                    });
-                    polylineGroup.mainPolyline = visibleLine;
-                    polylineGroup.allPolylines = [visibleLine];
-                    polylineGroup.allHitPolylines = [hitLine];
+                    this.showToast('No trails could be loaded from shared link');
                 }
-
-                // Create popup content safely
-                const popupDiv = document.createElement('div');
-                popupDiv.style.minWidth = '200px';
-                
-                const nameElement = document.createElement('strong');
-                nameElement.textContent = trail.name;
-                popupDiv.appendChild(nameElement);
-                popupDiv.appendChild(document.createElement('br'));
                 
-                if (trail.distance) {
-                    const distanceSpan = document.createElement('span');
-                    distanceSpan.style.color = '#2c7a3f';
-                    distanceSpan.style.fontWeight = '600';
-                    distanceSpan.textContent = `${trail.distance} km`;
-                    popupDiv.appendChild(distanceSpan);
-                    popupDiv.appendChild(document.createElement('br'));
-                }
+                this.showLoading(false);
                 
-                const descElement = document.createElement('small');
-                descElement.textContent = trail.description;
-                popupDiv.appendChild(descElement);
-                popupDiv.appendChild(document.createElement('br'));
+                // Update URL to reflect loaded state
+                this.updateUrl();
+            } catch (error) {
+                console.error('Error loading shared trails:', error);
+                this.showToast('Error loading shared trails');
+                this.showLoading(false);
+            }
+            return;
+        }
+        
+        // Old format: full trail data (backward compatibility)
+        if (trailsParam) {
+            try {
+                const trailsData = JSON.parse(decodeURIComponent(trailsParam));
+                const trails = trailsData.map(t => ({
+                    id: t.i,
+                    type: 'relation',
+                    osmType: t.ot || 'relation',
+                    name: t.n,
+                    description: t.d,
+                    coordinates: t.c,
+                    wayGroups: t.wg || [],
+                    distance: t.di,
+                    tags: {}
+                }));
+
+                // Merge with existing saved trails
+                trails.forEach(trail => {
+                    if (!this.savedTrails.some(t => t.id === trail.id)) {
+                        this.savedTrails.push(trail);
+                    }
+                });
+
+                this.saveSavedTrails();
+                this.allTrails = [...this.savedTrails];
+                this.updateTrailIndexes();
                 
-                // Only show save button in popup, no OSM button
-                if (!isSaved) {
-                    const buttonContainer = document.createElement('div');
-                    buttonContainer.style.marginTop = '8px';
-                    buttonContainer.style.display = 'flex';
-                    buttonContainer.style.gap = '4px';
-                    
-                    const saveBtn = document.createElement('button');
-                    saveBtn.className = 'popup-btn popup-btn-save';
-                    const icon = document.createElement('i');
-                    icon.className = 'fas fa-bookmark';
-                    saveBtn.appendChild(icon);
-                    saveBtn.appendChild(document.createTextNode(' Save'));
-                    saveBtn.addEventListener('click', () => this.saveTrail(trail.id));
-                    buttonContainer.appendChild(saveBtn);
-                    
-                    popupDiv.appendChild(buttonContainer);
+                // Display shared trails on map
+                this.displayTrailsOnMap(trails);
+                this.updateTrailsUI();
+
+                this.showToast(`Loaded ${trails.length} shared trails!`);
+
+                // Update URL to reflect loaded state
+                this.updateUrl();
+            } catch (error) {
+                console.error('Error loading shared trails:', error);
+                this.showToast('Error loading shared trails');
+            }
+        }
+    }
+
+    async fetchTrailsByRefs(refs) {
+        try {
+            // Parse type-prefixed refs: r<id> = relation, n<id> = node, w<id> = way
+            // Legacy refs without prefix are treated as relations
+            const relationIds = [];
+            const nodeIds = [];
+            const wayIds = [];
+
+            refs.forEach(ref => {
+                // Only numeric OSM IDs can be fetched; anything else (e.g. a local trail ID) is skipped
+                const id = /^[nwr]/.test(ref) ? ref.substring(1) : ref;
+                if (!/^\d+$/.test(id)) return;
+
+                if (ref.startsWith('n')) {
+                    nodeIds.push(id);
+                } else if (ref.startsWith('w')) {
+                    wayIds.push(id);
+                } else {
+                    // 'r' prefix → relation; legacy refs without any prefix → also relation
+                    relationIds.push(id);
+                }
+            });
+
+            if (relationIds.length === 0 && nodeIds.length === 0 && wayIds.length === 0) {
+                return [];
+            }
+
+            // Build Overpass query covering all requested types
+            const queryParts = [];
+            if (relationIds.length > 0) {
+                queryParts.push(relationIds.map(id => `relation(${id});`).join('\n                    '));
+            }
+            if (nodeIds.length > 0) {
+                queryParts.push(nodeIds.map(id => `node(${id});`).join('\n                    '));
+            }
+            if (wayIds.length > 0) {
+                queryParts.push(wayIds.map(id => `way(${id});`).join('\n                    '));
+            }
+
+            const overpassQuery = `
+                [out:json][timeout:25];
+                (
+                    ${queryParts.join('\n                    ')}
+                );
+                out body;
+                >;
+                out skel qt;
+            `;
+
+            const data = await this.fetchOverpass(overpassQuery);
+            
+            // Process the response similar to processSearchResults
+            const ways = {};
+            const nodes = {};
+            const trails = [];
+
+            // First pass: collect all nodes
+            data.elements.forEach(element => {
+                if (element.type === 'node') {
+                    nodes[element.id] = element;
+                }
+            });
+
+            // Second pass: collect ways
+            data.elements.forEach(element => {
+                if (element.type === 'way' && element.nodes) {
+                    const wayNodes = element.nodes
+                        .map(nodeId => nodes[nodeId])
+                        .filter(node => node && node.lat && node.lon);
+                    const coords = wayNodes.map(node => [node.lat, node.lon]);
+
+                    if (coords.length > 0) {
+                        ways[element.id] = {
+                            id: element.id,
+                            type: 'way',
+                            tags: element.tags || {},
+                            coordinates: coords,
+                            nodeIds: wayNodes.map(node => node.id) // Parallel to coordinates, used for stitching
+                        };
+                    }
+                }
+            });
+
+            // Third pass: process requested nodes as camping POIs
+            const nodeIdSet = new Set(nodeIds.map(id => parseInt(id)));
+            data.elements.forEach(element => {
+                if (element.type === 'node' && nodeIdSet.has(element.id) && element.tags) {
+                    const campingType = this.getCampingPoiType(element.tags);
+                    if (element.lat && element.lon) {
+                        const poi = {
+                            id: element.id,
+                            type: 'node',
+                            osmType: 'node',
+                            lat: element.lat,
+                            lon: element.lon,
+                            name: element.tags.name || CAMPING_POI_TYPES[campingType]?.label || campingType || 'Amenity',
+                            description: this.getCampingDescription(element.tags),
+                            tags: element.tags,
+                            coordinates: [[element.lat, element.lon]],
+                            wayGroups: [],
+                            distance: null,
+                            campingType
+                        };
+                        trails.push(poi);
+                    }
                 }
-                
-                // Bind popup to the main polyline
-                if (polylineGroup.mainPolyline) {
-                    polylineGroup.mainPolyline.bindPopup(popupDiv);
+            });
+
+            // Fourth pass: process relations
+            data.elements.forEach(element => {
+                if (element.type === 'relation') {
+                    const trail = {
+                        id: element.id,
+                        type: 'relation',
+                        osmType: 'relation',
+                        name: element.tags?.name || element.tags?.ref || `Trail ${element.id}`,
+                        description: this.getTrailDescription(element.tags),
+                        tags: element.tags || {},
+                        members: element.members || [],
+                        coordinates: [],
+                        wayGroups: [],
+                        distance: element.tags?.distance || null
+                    };
+
+                    // Collect coordinates from member ways - keep them separated by way
+                    if (element.members) {
+                        element.members.forEach(member => {
+                            if (member.type === 'way' && ways[member.ref]) {
+                                const wayCoords = ways[member.ref].coordinates;
+                                trail.wayGroups.push(wayCoords);
+                                trail.coordinates.push(...wayCoords);
+                            }
+                        });
+                    }
+
+                    const stitched = this.stitchRouteWays(element.members, ways);
+                    trail.routeLines = stitched.lines;
+                    trail.routeBranches = stitched.branches;
+                    trail.routeGaps = stitched.gaps;
+
+                    if (trail.coordinates.length > 0) {
+                        trails.push(trail);
+                    }
                 }
+            });
 
-                this.trailLayers.set(trail.id, polylineGroup);
-        });
+            return trails;
+        } catch (error) {
+            console.error('Error fetching trails by refs:', error);
+            throw error;
+        }
     }
 
-    clearTrailLayers() {
-        this.trailLayers.forEach(layer => {
-            this.map.removeLayer(layer);
-        });
-        this.trailLayers.clear();
-    }
+    // ─── Trip Planner ─────────────────────────────────────────────────────────
 
-    getTrailPane(trailId) {
-        // Determine which pane a trail should be in based on its state
-        if (this.highlightedTrailIds.has(trailId)) {
-            return 'selectedTrailsPane';
-        } else if (this.savedTrailIds.has(trailId)) {
-            return 'savedTrailsPane';
-        } else {
-            return 'searchedTrailsPane';
+    togglePlanner() {
+        if (this.planner) {
+            this.cancelPlanner();
+            this.showToast('Trip planning cancelled');
+            return;
         }
-    }
 
-    moveTrailToPane(trailId, pane) {
-        // Move a trail's visible polylines to a different pane
-        const layerGroup = this.trailLayers.get(trailId);
-        if (!layerGroup) return;
-        
-        // Camping markers don't use panes
-        if (layerGroup._marker) return;
-        
-        if (layerGroup.allPolylines && layerGroup.allPolylines.length > 0) {
-            layerGroup.allPolylines.forEach(polyline => {
-                // Remove from current pane and add to new pane
-                this.map.removeLayer(polyline);
-                polyline.options.pane = pane;
-                polyline.addTo(this.map);
-            });
+        const graph = this.buildJunctionGraph();
+        if (graph.lines.length === 0) {
+            this.showToast('Search or load some trails to plan a trip over');
+            return;
         }
+        this.planner = { graph, points: [] };
+        this.map.closePopup();
+        this.map.on('click', this._onPlannerClick);
+        this.map.getContainer().classList.add('planning');
+        document.getElementById('planBtn').classList.add('active');
+        this.showToast('Click the start point on a trail');
     }
 
-    updateTrailColor(trailId, color) {
-        // Helper method to update trail color on map
-        const layerGroup = this.trailLayers.get(trailId);
-        if (layerGroup) {
-            // Camping marker
-            if (layerGroup._marker) {
-                const trail = this.trailsById.get(trailId);
-                const campingType = trail?.campingType || layerGroup._campingType;
-                const isSaved = color === '#2c7a3f';
-                layerGroup._marker.setIcon(this.createCampingIcon(campingType, isSaved));
-                return;
-            }
-            if (layerGroup.allPolylines) {
-                layerGroup.allPolylines.forEach(polyline => {
-                    polyline.setStyle({ color: color });
-                });
-            } else {
-                layerGroup.setStyle({ color: color });
-            }
-        }
+    cancelPlanner() {
+        if (!this.planner) return;
+        this.planner.points.forEach(({ marker }) => this.map.removeLayer(marker));
+        this.planner = null;
+        this.map.off('click', this._onPlannerClick);
+        this.map.getContainer().classList.remove('planning');
+        document.getElementById('planBtn').classList.remove('active');
     }
 
-    highlightTrail(trailId, highlight) {
-        // Highlight on map
-        const layerGroup = this.trailLayers.get(trailId);
-        if (layerGroup) {
-            const isSaved = this.savedTrailIds.has(trailId);
-            const isSelected = this.highlightedTrailIds.has(trailId);
+    handlePlannerClick(latlng) {
+        const { graph, points } = this.planner;
+        const snap = this.snapToGraph(graph, latlng);
+        if (!snap || snap.distance > PLANNER_SNAP_MAX_M) {
+            this.showToast('Click on or close to a loaded trail');
+            return;
+        }
 
-            // Camping marker
-            if (layerGroup._marker) {
-                const trail = this.trailsById.get(trailId);
-                const campingType = trail?.campingType || layerGroup._campingType;
-                if (highlight || isSelected) {
-                    layerGroup._marker.setIcon(this.createCampingIcon(campingType, isSaved, highlight || isSelected));
-                } else {
-                    layerGroup._marker.setIcon(this.createCampingIcon(campingType, isSaved, false));
-                }
-            } else if (highlight) {
-                if (layerGroup.allPolylines && layerGroup.allPolylines.length > 0) {
-                    layerGroup.allPolylines.forEach(polyline => {
-                        polyline.setStyle({ 
-                            color: '#2196F3', // Blue for hover
-                            weight: 6, 
-                            opacity: 1 
-                        });
-                    });
-                }
-            } else if (!isSelected) {
-                // Return to original color if not selected
-                const color = isSaved ? '#2c7a3f' : '#e74c3c'; // Green for saved, red for searched
-                if (layerGroup.allPolylines && layerGroup.allPolylines.length > 0) {
-                    layerGroup.allPolylines.forEach(polyline => {
-                        polyline.setStyle({ 
-                            color: color,
-                            weight: 4, 
-                            opacity: 0.7 
-                        });
-                    });
-                }
-            }
+        const isStart = points.length === 0;
+        const marker = L.marker(snap.point, {
+            icon: L.divIcon({
+                className: 'route-waypoint-marker',
+                html: `<i class="fas ${isStart ? 'fa-flag' : 'fa-flag-checkered'}"></i>`,
+                iconSize: [24, 24],
+                iconAnchor: [12, 24]
+            }),
+            interactive: false
+        }).addTo(this.map);
+        points.push({ snap, marker });
+
+        if (isStart) {
+            this.showToast('Now click the end point');
+            return;
         }
 
-        // Highlight in list
-        const listItem = document.querySelector(`[data-trail-id="${trailId}"]`);
-        if (listItem) {
-            if (highlight) {
-                listItem.classList.add('highlighted');
-            } else {
-                listItem.classList.remove('highlighted');
-            }
+        const path = this.findPlannerPath(graph, points[0].snap, points[1].snap);
+        this.cancelPlanner();
+        if (!path) {
+            this.showToast('The loaded trails don\'t connect these points');
+            return;
         }
+        this.addPlannedTrip(path);
     }
 
-    handleTrailClick(e, trailId) {
-        // Find all trails at the clicked location
-        const clickPoint = e.latlng;
-        const overlappingTrails = this.findTrailsAtPoint(clickPoint, 20); // 20px tolerance
-        
-        if (overlappingTrails.length > 1) {
-            // Multiple overlapping trails - select all of them
-            overlappingTrails.forEach(id => {
-                if (!this.highlightedTrailIds.has(id)) {
-                    this.selectTrail(id, false); // Don't focus for multi-select
-                }
+    // Graph over the loaded trail geometry. Nodes are junctions: way group end points and
+    // points shared by more than one way group; edges are the line pieces between them.
+    buildJunctionGraph() {
+        const lines = [];
+        this.allTrails.forEach(trail => {
+            if (trail.type === 'node' || trail.isParentOnly) return;
+            const groups = trail.wayGroups && trail.wayGroups.length > 0 ? trail.wayGroups : this.getRouteLines(trail);
+            groups.forEach(coords => {
+                if (coords.length > 1) lines.push({ trailId: trail.id, coords });
             });
-            // Focus on the first trail in the group (length > 1 is already guaranteed)
-            this.focusTrail(overlappingTrails[0]);
-        } else {
-            // Single trail - toggle selection
-            this.toggleTrailHighlight(trailId);
-        }
-    }
+        });
 
-    findTrailsAtPoint(point, tolerancePx = 20) {
-        const overlapping = [];
-        const toleranceMeters = tolerancePx * (EARTH_CIRCUMFERENCE_METERS / (TILE_SIZE * Math.pow(2, this.map.getZoom())));
-        
-        this.trailLayers.forEach((layerGroup, trailId) => {
-            if (layerGroup.allPolylines) {
-                for (const polyline of layerGroup.allPolylines) {
-                    if (this.isPointNearPolyline(point, polyline, toleranceMeters)) {
-                        overlapping.push(trailId);
-                        break;
-                    }
-                }
+        const uses = new Map();
+        lines.forEach(({ coords }) => {
+            coords.forEach(coord => {
+                const key = this.getPointKey(coord);
+                uses.set(key, (uses.get(key) || 0) + 1);
+            });
+        });
+
+        const adjacency = new Map();
+        const lineEdges = lines.map(({ trailId, coords }) => {
+            const edges = [];
+            let startIdx = 0;
+            let length = 0;
+            for (let i = 1; i < coords.length; i++) {
+                length += this.haversineDistance(coords[i - 1][0], coords[i - 1][1], coords[i][0], coords[i][1]);
+                if (i < coords.length - 1 && uses.get(this.getPointKey(coords[i])) < 2) continue;
+
+                const edge = {
+                    from: this.getPointKey(coords[startIdx]),
+                    to: this.getPointKey(coords[i]),
+                    coords: coords.slice(startIdx, i + 1),
+                    length,
+                    trailId,
+                    startIdx,
+                    endIdx: i
+                };
+                edges.push(edge);
+                [edge.from, edge.to].forEach(key => {
+                    if (!adjacency.has(key)) adjacency.set(key, []);
+                    adjacency.get(key).push(edge);
+                });
+                startIdx = i;
+                length = 0;
             }
+            return edges;
         });
-        
-        return overlapping;
+
+        return { lines, adjacency, lineEdges };
     }
 
-    isPointNearPolyline(point, polyline, tolerance) {
-        const latlngs = polyline.getLatLngs();
-        for (let i = 0; i < latlngs.length - 1; i++) {
-            const dist = this.distanceToSegment(point, latlngs[i], latlngs[i + 1]);
-            if (dist <= tolerance) {
-                return true;
+    // Nearest point on the graph's lines: { lineIndex, segIndex, t, point, distance }
+    snapToGraph(graph, latlng) {
+        let best = null;
+        const cosLat = Math.cos(latlng.lat * Math.PI / 180);
+        graph.lines.forEach(({ coords }, lineIndex) => {
+            for (let i = 0; i < coords.length - 1; i++) {
+                const [a, b] = [coords[i], coords[i + 1]];
+                // Project in a local equirectangular plane, good enough at click scale
+                const dx = (b[1] - a[1]) * cosLat;
+                const dy = b[0] - a[0];
+                const lengthSq = dx * dx + dy * dy;
+                const dot = (latlng.lng - a[1]) * cosLat * dx + (latlng.lat - a[0]) * dy;
+                const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, dot / lengthSq));
+                const point = [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+                const distance = this.haversineDistance(latlng.lat, latlng.lng, point[0], point[1]);
+                if (!best || distance < best.distance) {
+                    best = { lineIndex, segIndex: i, t, point, distance };
+                }
             }
-        }
-        return false;
+        });
+        return best;
     }
 
-    distanceToSegment(point, start, end) {
-        // Calculate distance from point to line segment
-        const x = point.lng;
-        const y = point.lat;
-        const x1 = start.lng;
-        const y1 = start.lat;
-        const x2 = end.lng;
-        const y2 = end.lat;
-        
-        const A = x - x1;
-        const B = y - y1;
-        const C = x2 - x1;
-        const D = y2 - y1;
-        
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        let param = -1;
-        
-        if (lenSq !== 0) {
-            param = dot / lenSq;
-        }
-        
-        let xx, yy;
-        
-        if (param < 0) {
-            xx = x1;
-            yy = y1;
-        } else if (param > 1) {
-            xx = x2;
-            yy = y2;
-        } else {
-            xx = x1 + param * C;
-            yy = y1 + param * D;
+    getLineLength(coords) {
+        let length = 0;
+        for (let i = 1; i < coords.length; i++) {
+            length += this.haversineDistance(coords[i - 1][0], coords[i - 1][1], coords[i][0], coords[i][1]);
         }
-        
-        const dx = x - xx;
-        const dy = y - yy;
-        
-        // Convert to meters (approximate)
-        return Math.sqrt(dx * dx + dy * dy) * METERS_PER_DEGREE;
+        return length;
     }
 
-    selectTrail(trailId, shouldFocus = true) {
-        this.highlightedTrailIds.add(trailId);
-        
-        const layerGroup = this.trailLayers.get(trailId);
-        if (layerGroup) {
-            // Camping marker
-            if (layerGroup._marker) {
-                const trail = this.trailsById.get(trailId);
-                const campingType = trail?.campingType || layerGroup._campingType;
-                const isSaved = this.savedTrailIds.has(trailId);
-                layerGroup._marker.setIcon(this.createCampingIcon(campingType, isSaved, true));
-            } else {
-                // Move trail to selected pane (top layer)
-                this.moveTrailToPane(trailId, 'selectedTrailsPane');
-                if (layerGroup.allPolylines && layerGroup.allPolylines.length > 0) {
-                    layerGroup.allPolylines.forEach(polyline => {
-                        polyline.setStyle({ 
-                            color: '#2196F3', // Blue for selected
-                            weight: 6, 
-                            opacity: 1 
-                        });
-                    });
-                }
-            }
-        }
-        const listItem = document.querySelector(`[data-trail-id="${trailId}"]`);
-        if (listItem) {
-            listItem.classList.add('selected');
-        }
-        
-        // Only focus if requested (to avoid multiple focus calls during multi-select)
-        if (shouldFocus) {
-            this.focusTrail(trailId);
-        }
+    // Temporary edges from a snapped point to the junctions at both ends of the edge it lies on
+    getSnapEdges(graph, snap, node) {
+        const { trailId, coords } = graph.lines[snap.lineIndex];
+        const edge = graph.lineEdges[snap.lineIndex]
+            .find(e => e.startIdx <= snap.segIndex && snap.segIndex < e.endIdx);
+        const toStart = [snap.point, ...coords.slice(edge.startIdx, snap.segIndex + 1).reverse()];
+        const toEnd = [snap.point, ...coords.slice(snap.segIndex + 1, edge.endIdx + 1)];
+        return {
+            edge,
+            links: [
+                { from: node, to: edge.from, coords: toStart, length: this.getLineLength(toStart), trailId },
+                { from: node, to: edge.to, coords: toEnd, length: this.getLineLength(toEnd), trailId }
+            ]
+        };
     }
 
-    deselectTrail(trailId) {
-        this.highlightedTrailIds.delete(trailId);
-        
-        const layerGroup = this.trailLayers.get(trailId);
-        if (layerGroup) {
-            const isSaved = this.savedTrailIds.has(trailId);
-            const color = isSaved ? '#2c7a3f' : '#e74c3c';
+    // Shortest path (Dijkstra) between two snapped points: { coords, length, trailIds } or null
+    findPlannerPath(graph, from, to) {
+        const start = this.getSnapEdges(graph, from, 'start');
+        const end = this.getSnapEdges(graph, to, 'end');
+        const links = new Map();
+        const addLink = edge => {
+            [edge.from, edge.to].forEach(key => {
+                if (!links.has(key)) links.set(key, []);
+                links.get(key).push(edge);
+            });
+        };
+        [...start.links, ...end.links].forEach(addLink);
+
+        // Both points on the same edge: they can also be joined directly along it
+        if (start.edge === end.edge) {
+            const { trailId, coords } = graph.lines[from.lineIndex];
+            const forward = from.segIndex < to.segIndex || (from.segIndex === to.segIndex && from.t <= to.t);
+            const [first, last] = forward ? [from, to] : [to, from];
+            const direct = [first.point, ...coords.slice(first.segIndex + 1, last.segIndex + 1), last.point];
+            addLink({
+                from: 'start',
+                to: 'end',
+                coords: forward ? direct : direct.reverse(),
+                length: this.getLineLength(direct),
+                trailId
+            });
+        }
 
-            // Camping marker
-            if (layerGroup._marker) {
-                const trail = this.trailsById.get(trailId);
-                const campingType = trail?.campingType || layerGroup._campingType;
-                layerGroup._marker.setIcon(this.createCampingIcon(campingType, isSaved, false));
-            } else {
-                // Move trail to appropriate pane based on saved status
-                const pane = isSaved ? 'savedTrailsPane' : 'searchedTrailsPane';
-                this.moveTrailToPane(trailId, pane);
-                
-                if (layerGroup.allPolylines && layerGroup.allPolylines.length > 0) {
-                    layerGroup.allPolylines.forEach(polyline => {
-                        polyline.setStyle({ 
-                            color: color,
-                            weight: 4, 
-                            opacity: 0.7 
-                        });
-                    });
+        const dist = new Map([['start', 0]]);
+        const previous = new Map(); // node -> { node, edge } it was reached from
+        const queue = [[0, 'start']]; // Binary min-heap on distance
+        const push = item => {
+            queue.push(item);
+            let i = queue.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (queue[parent][0] <= queue[i][0]) break;
+                [queue[parent], queue[i]] = [queue[i], queue[parent]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = queue[0];
+            const last = queue.pop();
+            if (queue.length > 0) {
+                queue[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < queue.length && queue[left][0] < queue[smallest][0]) smallest = left;
+                    if (right < queue.length && queue[right][0] < queue[smallest][0]) smallest = right;
+                    if (smallest === i) break;
+                    [queue[smallest], queue[i]] = [queue[i], queue[smallest]];
+                    i = smallest;
                 }
             }
+            return top;
+        };
+
+        while (queue.length > 0) {
+            const [distance, node] = pop();
+            if (node === 'end') break;
+            if (distance > dist.get(node)) continue; // Already reached by a shorter way
+            const edges = [...(graph.adjacency.get(node) || []), ...(links.get(node) || [])];
+            edges.forEach(edge => {
+                const next = edge.from === node ? edge.to : edge.from;
+                const nextDistance = distance + edge.length;
+                if (!dist.has(next) || nextDistance < dist.get(next)) {
+                    dist.set(next, nextDistance);
+                    previous.set(next, { node, edge });
+                    push([nextDistance, next]);
+                }
+            });
         }
-        const listItem = document.querySelector(`[data-trail-id="${trailId}"]`);
-        if (listItem) {
-            listItem.classList.remove('selected');
+        if (!dist.has('end')) return null;
+
+        const steps = [];
+        for (let node = 'end'; node !== 'start'; node = previous.get(node).node) {
+            steps.unshift(previous.get(node));
         }
+        const coords = [];
+        const trailIds = [];
+        steps.forEach(({ node, edge }) => {
+            const piece = edge.from === node ? edge.coords : [...edge.coords].reverse();
+            coords.push(...(coords.length > 0 ? piece.slice(1) : piece));
+            if (trailIds[trailIds.length - 1] !== edge.trailId) trailIds.push(edge.trailId);
+        });
+        return { coords, length: dist.get('end'), trailIds };
     }
 
-    updateTrailsUI() {
-        const trailsContainer = document.getElementById('trailsList');
-        const trailsCount = document.getElementById('trailsCount');
-        
-        if (trailsCount) trailsCount.textContent = this.allTrails.length;
+    // Shows the planned path as a new local trail that can be saved and exported like any other
+    addPlannedTrip(path) {
+        const names = [...new Set(path.trailIds
+            .map(id => this.trailsById.get(id))
+            .filter(Boolean)
+            .map(trail => trail.tags?.ref || trail.name))];
+        const name = `Trip via ${names.slice(0, 3).join(', ')}${names.length > 3 ? ', …' : ''}`;
+        const tags = {
+            route: this.currentSport === 'biking' ? 'bicycle' : 'hiking',
+            description: `Planned trip over ${names.join(', ')}`
+        };
+        const trail = this.createLocalTrail(name, [path.coords], tags, 'trip planner');
+        if (!trail) return;
 
-        // Refresh results header with current sport label
-        this.updateResultsHeader();
+        this.allTrails = [trail, ...this.allTrails];
+        this.updateTrailIndexes();
+        this.displayTrailsOnMap([trail]);
+        this.updateTrailsUI();
+        this.selectTrail(trail.id);
+        this.showToast(`Planned ${this.formatDistance(path.length)} over ${names.length} trail(s)`);
+    }
 
-        // Update Save Selection button visibility
-        const saveSelectionBtn = document.getElementById('saveSelectionBtn');
-        if (saveSelectionBtn) {
-            saveSelectionBtn.style.display = this.highlightedTrailIds.size > 0 ? 'inline-flex' : 'none';
+    // ─── Stage Planning ───────────────────────────────────────────────────────
+
+    // Splits a trail into day stages of about dayKm, ending each stage at a camping spot
+    // along the route where one lies close to the day distance. The plan is kept on the
+    // trail, so it is stored along with a saved trail.
+    async planStages(trailId, dayKm) {
+        const trail = this.trailsById.get(trailId);
+        if (!trail) return;
+        if (!(dayKm > 0)) {
+            this.showToast('Enter a distance per day');
+            return;
         }
 
-        const label = SPORT_CONFIG[this.currentSport]?.resultsLabel || 'Results';
-        if (this.allTrails.length === 0) {
-            trailsContainer.innerHTML = `<div class="empty-state">No ${label.toLowerCase()} found. Use the search button to find ${label.toLowerCase()} in the current map view.</div>`;
+        const lines = this.getStageLines(trail);
+        const measure = this.measureLines(lines);
+        if (measure.length === 0) {
+            this.showToast('This trail has no geometry to plan stages on');
             return;
         }
 
-        // Clear existing content
-        trailsContainer.innerHTML = '';
+        const detailsId = this.detailsRequestId;
+        let campsites;
+        try {
+            campsites = await this.findStageCampsites(measure);
+        } catch (error) {
+            console.error('Stage camping search error:', error);
+            this.showToast('Could not load camping spots along the route');
+            return;
+        }
 
-        // Separate trails into those with parents (children) and standalone trails
-        // Use Set for O(1) lookups
-        const childTrails = new Set();
-        const parentTrails = [];
-        
-        this.allTrails.forEach(trail => {
-            if (trail.childRelations && trail.childRelations.length > 0) {
-                parentTrails.push(trail);
-                trail.childRelations.forEach(child => childTrails.add(child.id));
-            }
-        });
-        
-        const standaloneTrails = this.allTrails.filter(t => 
-            !childTrails.has(t.id) && (!t.childRelations || t.childRelations.length === 0)
-        );
+        // Stages are still planned without ascent when there is no elevation data
+        let profile = null;
+        try {
+            profile = await this.getElevationProfile(trail.isParentOnly ? { routeLines: lines } : trail);
+        } catch (error) {
+            console.warn('No elevation for stage planning:', error);
+        }
 
-        // Network priority: international (0) > national (1) > regional (2) > local (3) > none (4)
-        const NO_NETWORK_PRIORITY = 4;
-        const networkPriority = {
-            iwn: 0, icn: 0,
-            nwn: 1, ncn: 1,
-            rwn: 2, rcn: 2,
-            lwn: 3, lcn: 3
-        };
-        const getNetworkPriority = (trail) => {
-            const p = networkPriority[trail.tags?.network];
-            return p !== undefined ? p : NO_NETWORK_PRIORITY;
+        const stages = this.splitIntoStages(measure, campsites, dayKm * 1000, profile);
+        trail.stagePlan = { dayKm, stages, plannedAt: Date.now() };
+        if (this.savedTrailIds.has(trail.id)) {
+            this.saveSavedTrails();
+        }
+        if (detailsId === this.detailsRequestId &&
+            !document.getElementById('detailsPanel').classList.contains('hidden')) {
+            this.renderTrailDetails(trail);
+        }
+        const atCampsite = stages.filter(stage => stage.end).length;
+        this.showToast(`Planned ${stages.length} stage(s), ${atCampsite} ending at a camping spot`);
+    }
+
+    // Route lines in travel order. Superroutes have no geometry of their own, so their
+    // child routes are chained by joining each to the nearest end of the chain so far.
+    getStageLines(trail) {
+        if (!trail.isParentOnly) return this.getRouteLines(trail);
+
+        const pieces = (trail.childRelations || [])
+            .map(child => this.getStageLines(child))
+            .filter(lines => lines.length > 0);
+        if (pieces.length === 0) return [];
+
+        const first = lines => lines[0][0];
+        const last = lines => {
+            const line = lines[lines.length - 1];
+            return line[line.length - 1];
         };
+        const reversed = lines => lines.map(line => [...line].reverse()).reverse();
+        const gap = (a, b) => this.haversineDistance(a[0], a[1], b[0], b[1]);
+
+        let chain = pieces.shift();
+        while (pieces.length > 0) {
+            let best = null;
+            pieces.forEach((lines, index) => {
+                [
+                    { append: true, reverse: false, gap: gap(last(chain), first(lines)) },
+                    { append: true, reverse: true, gap: gap(last(chain), last(lines)) },
+                    { append: false, reverse: false, gap: gap(first(chain), last(lines)) },
+                    { append: false, reverse: true, gap: gap(first(chain), first(lines)) }
+                ].forEach(option => {
+                    if (!best || option.gap < best.gap) best = { ...option, index };
+                });
+            });
+            const [lines] = pieces.splice(best.index, 1);
+            const piece = best.reverse ? reversed(lines) : lines;
+            chain = best.append ? [...chain, ...piece] : [...piece, ...chain];
+        }
+        return chain;
+    }
 
-        // Sort: saved trails first, then by network priority, then alphabetically
-        // Use cached savedTrailIds for O(1) checks
-        const sortTrails = (trails) => trails.sort((a, b) => {
-            const aIsSaved = this.savedTrailIds.has(a.id);
-            const bIsSaved = this.savedTrailIds.has(b.id);
-            if (aIsSaved && !bIsSaved) return -1;
-            if (!aIsSaved && bIsSaved) return 1;
-            const aPriority = getNetworkPriority(a);
-            const bPriority = getNetworkPriority(b);
-            if (aPriority !== bPriority) return aPriority - bPriority;
-            return a.name.localeCompare(b.name);
-        });
+    // Overnight camping spots close to the route: [{ along, name, type, lat, lon }]
+    async findStageCampsites(measure) {
+        // One request per batch of corridor lines; a spot near two batches is returned by both
+        const elements = new Map();
+        for (const lines of this.getCorridorBatches(measure)) {
+            const data = await this.fetchOverpass(this.buildCampingCorridorQuery(lines));
+            (data.elements || []).forEach(element => elements.set(`${element.type}/${element.id}`, element));
+        }
 
-        const sortedParents = sortTrails([...parentTrails]);
-        const sortedStandalone = sortTrails([...standaloneTrails]);
+        const campsites = [];
+        elements.forEach(element => {
+            const position = element.center || element;
+            const tags = element.tags || {};
+            const type = this.getCampingPoiType(tags);
+            if (typeof position.lat !== 'number' || !STAGE_OVERNIGHT_TYPES.includes(type)) return;
+
+            // The corridor follows the thinned lines, so check the distance to the real route
+            const nearest = this.getRouteProjections(position.lat, position.lon, measure)
+                .reduce((best, c) => !best || c.distance < best.distance ? c : best, null);
+            if (!nearest || nearest.distance > STAGE_CORRIDOR_M) return;
+            campsites.push({
+                along: nearest.along,
+                name: tags.name || CAMPING_POI_TYPES[type].label,
+                type,
+                lat: position.lat,
+                lon: position.lon
+            });
+        });
+        return campsites;
+    }
 
-        // Display parent route groups first (before individual tracks)
-        sortedParents.forEach(parent => {
-            this.createParentTrailElement(parent, trailsContainer);
+    // The route's lines thinned to within STAGE_CORRIDOR_SIMPLIFY_M, grouped into batches of
+    // at most STAGE_CORRIDOR_MAX_POINTS points. Lines too long for one batch are cut into
+    // pieces that share their end points.
+    getCorridorBatches(measure) {
+        const lines = [];
+        measure.points.forEach((point, i) => {
+            if (i === 0 || measure.lineStarts.has(i)) lines.push([]);
+            lines[lines.length - 1].push(point);
         });
 
-        // Display standalone trails
-        sortedStandalone.forEach(trail => {
-            this.createTrailElement(trail, trailsContainer, false);
+        const batches = [];
+        let batch = [];
+        let batchPoints = 0;
+        lines.map(line => this.simplifyCorridorLine(line)).forEach(line => {
+            for (let start = 0; start < line.length - 1 || start === 0; start += STAGE_CORRIDOR_MAX_POINTS - 1) {
+                const piece = line.slice(start, start + STAGE_CORRIDOR_MAX_POINTS);
+                if (batchPoints + piece.length > STAGE_CORRIDOR_MAX_POINTS) {
+                    batches.push(batch);
+                    batch = [];
+                    batchPoints = 0;
+                }
+                batch.push(piece);
+                batchPoints += piece.length;
+            }
         });
+        if (batch.length > 0) batches.push(batch);
+        return batches;
     }
 
-    createParentTrailElement(parent, container) {
-        const isSaved = this.savedTrailIds.has(parent.id);
-        
-        // Parent container
-        const parentContainer = document.createElement('div');
-        parentContainer.className = 'parent-trail-container';
-        parentContainer.style.marginBottom = '0.5rem';
-        
-        // Parent trail item
-        const parentItem = document.createElement('div');
-        parentItem.className = 'trail-item parent-trail';
-        parentItem.setAttribute('data-trail-id', parent.id);
-        if (parent.isSuperRoute || parent.isNetwork) {
-            parentItem.style.backgroundColor = '#f0f8ff';
+    // Douglas-Peucker: keeps the points needed for the line to stay within STAGE_CORRIDOR_SIMPLIFY_M
+    simplifyCorridorLine(line) {
+        if (line.length < 3) return line;
+        const keep = new Array(line.length).fill(false);
+        keep[0] = true;
+        keep[line.length - 1] = true;
+        const ranges = [[0, line.length - 1]];
+        while (ranges.length > 0) {
+            const [first, last] = ranges.pop();
+            const start = { lat: line[first][0], lng: line[first][1] };
+            const end = { lat: line[last][0], lng: line[last][1] };
+            let farthest = -1;
+            let maxDistance = STAGE_CORRIDOR_SIMPLIFY_M;
+            for (let i = first + 1; i < last; i++) {
+                const distance = this.distanceToSegment({ lat: line[i][0], lng: line[i][1] }, start, end);
+                if (distance > maxDistance) {
+                    farthest = i;
+                    maxDistance = distance;
+                }
+            }
+            if (farthest !== -1) {
+                keep[farthest] = true;
+                ranges.push([first, farthest], [farthest, last]);
+            }
         }
-        
-        // Trail info section
-        const trailInfo = document.createElement('div');
-        trailInfo.className = 'trail-info';
-        
-        const trailName = document.createElement('div');
-        trailName.className = 'trail-name';
-        
-        // Add collapse/expand icon (collapsed by default)
-        const expandIcon = document.createElement('i');
-        expandIcon.className = 'fas fa-chevron-right';
-        expandIcon.style.marginRight = '0.5rem';
-        expandIcon.style.cursor = 'pointer';
-        trailName.appendChild(expandIcon);
+        return line.filter((point, i) => keep[i]);
+    }
 
-        // Waymarked-trails style badge
-        const parentBadgeHtml = this.createTrailBadgeHtml(parent);
-        if (parentBadgeHtml) {
-            trailName.insertAdjacentHTML('beforeend', parentBadgeHtml);
-            trailName.insertAdjacentHTML('beforeend', ' ');
-        }
-        
-        const nameText = document.createTextNode(parent.name);
-        trailName.appendChild(nameText);
-        
-        if (isSaved) {
-            const bookmarkIcon = document.createElement('i');
-            bookmarkIcon.className = 'fas fa-bookmark';
-            bookmarkIcon.style.fontSize = '0.8em';
-            bookmarkIcon.style.marginLeft = '0.3rem';
-            trailName.appendChild(bookmarkIcon);
-        }
-        
-        if (parent.isSuperRoute) {
-            const superIcon = document.createElement('i');
-            superIcon.className = 'fas fa-layer-group';
-            superIcon.style.fontSize = '0.8em';
-            superIcon.style.marginLeft = '0.3rem';
-            superIcon.style.color = '#9c27b0';
-            trailName.appendChild(superIcon);
-        }
-        
-        if (parent.isNetwork) {
-            const networkIcon = document.createElement('i');
-            networkIcon.className = 'fas fa-project-diagram';
-            networkIcon.style.fontSize = '0.8em';
-            networkIcon.style.marginLeft = '0.3rem';
-            networkIcon.style.color = '#2196F3';
-            trailName.appendChild(networkIcon);
-        }
-        
-        const trailDetails = document.createElement('div');
-        trailDetails.className = 'trail-details';
-        if (parent.distance) {
-            const distanceSpan = document.createElement('span');
-            distanceSpan.className = 'trail-distance';
-            distanceSpan.textContent = `${parent.distance} km`;
-            trailDetails.appendChild(distanceSpan);
-            trailDetails.appendChild(document.createTextNode(' • '));
+    // Each stage ends at the camping spot closest to the day distance, if one lies within
+    // STAGE_SNAP_TOLERANCE of it, and otherwise at the day distance itself
+    splitIntoStages(measure, campsites, dayMeters, profile) {
+        const tolerance = dayMeters * STAGE_SNAP_TOLERANCE;
+        const stages = [];
+        let from = 0;
+        // A last day up to the tolerance longer beats a short extra stage
+        while (measure.length - from > dayMeters + tolerance) {
+            const target = from + dayMeters;
+            const end = campsites
+                .filter(site => Math.abs(site.along - target) <= tolerance)
+                .reduce((best, site) =>
+                    !best || Math.abs(site.along - target) < Math.abs(best.along - target) ? site : best, null);
+            const to = end ? end.along : target;
+            stages.push(this.createStage(measure, profile, from, to, end));
+            from = to;
         }
-        const description = parent.description || 'Route';
-        trailDetails.appendChild(document.createTextNode(`${parent.childRelations.length} routes • ${description}`));
-        
-        trailInfo.appendChild(trailName);
-        trailInfo.appendChild(trailDetails);
-        trailInfo.addEventListener('click', () => this.toggleParentAndChildren(parent.id));
-        
-        // Trail actions section
-        const trailActions = document.createElement('div');
-        trailActions.className = 'trail-actions';
-        
-        if (!isSaved) {
-            const saveBtn = document.createElement('button');
-            saveBtn.className = 'save-btn';
-            saveBtn.title = 'Save parent and all children';
-            saveBtn.setAttribute('aria-label', 'Save parent route');
-            const saveIcon = document.createElement('i');
-            saveIcon.className = 'fas fa-bookmark';
-            saveBtn.appendChild(saveIcon);
-            saveBtn.appendChild(document.createTextNode(' All'));
-            saveBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.saveParentRoute(parent.id);
-            });
-            trailActions.appendChild(saveBtn);
-        } else {
-            const removeBtn = document.createElement('button');
-            removeBtn.className = 'remove-btn';
-            removeBtn.title = 'Remove parent route';
-            removeBtn.setAttribute('aria-label', 'Remove parent');
-            const removeIcon = document.createElement('i');
-            removeIcon.className = 'fas fa-trash';
-            removeBtn.appendChild(removeIcon);
-            removeBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.removeTrail(parent.id);
+        stages.push(this.createStage(measure, profile, from, measure.length, null));
+        return stages;
+    }
+
+    createStage(measure, profile, from, to, end) {
+        return {
+            from,
+            to,
+            length: to - from,
+            ascent: profile ? Math.round(this.getAscentBetween(profile, from, to)) : null,
+            end: end ? { name: end.name, type: end.type, lat: end.lat, lon: end.lon } : null,
+            point: end ? [end.lat, end.lon] : this.getPointAlongRoute(measure, to)
+        };
+    }
+
+    createStagesElement(trail) {
+        const plan = trail.stagePlan;
+        const section = document.createElement('details');
+        section.className = 'details-section';
+        section.open = Boolean(plan);
+        const summary = document.createElement('summary');
+        summary.textContent = plan ? `Stages (${plan.stages.length})` : 'Stages';
+        section.appendChild(summary);
+
+        const form = document.createElement('div');
+        form.className = 'details-stages-form';
+        const label = document.createElement('label');
+        label.appendChild(document.createTextNode('Per day '));
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '1';
+        input.step = '1';
+        input.value = plan ? plan.dayKm : SPORT_CONFIG[this.getPaceSport(trail)].stageKm;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(' km'));
+        form.appendChild(label);
+
+        const planBtn = document.createElement('button');
+        planBtn.className = 'popup-btn popup-btn-save';
+        planBtn.innerHTML = '<i class="fas fa-tent"></i> Plan stages';
+        planBtn.addEventListener('click', async () => {
+            planBtn.disabled = true;
+            planBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Planning…';
+            await this.planStages(trail.id, parseFloat(input.value));
+            planBtn.disabled = false;
+            planBtn.innerHTML = '<i class="fas fa-tent"></i> Plan stages';
+        });
+        form.appendChild(planBtn);
+        section.appendChild(form);
+
+        if (plan) {
+            const list = document.createElement('ol');
+            list.className = 'details-stages';
+            plan.stages.forEach((stage, index) => {
+                const item = document.createElement('li');
+                item.title = 'Show this stage on the map';
+                const day = document.createElement('strong');
+                day.textContent = `Day ${index + 1}: `;
+                item.appendChild(day);
+                const ascent = stage.ascent !== null ? ` • ↑ ${stage.ascent} m` : '';
+                item.appendChild(document.createTextNode(`${this.formatDistance(stage.length)}${ascent}`));
+
+                const end = document.createElement('span');
+                end.className = 'details-stage-end';
+                if (stage.end) {
+                    end.textContent = `to ${stage.end.name}`;
+                } else {
+                    end.textContent = index === plan.stages.length - 1 ? 'to the end of the route' : 'no camping spot nearby';
+                }
+                item.appendChild(end);
+                item.addEventListener('click', () => this.showStage(trail.id, index));
+                list.appendChild(item);
             });
-            trailActions.appendChild(removeBtn);
+            section.appendChild(list);
         }
-        
-        // OSM button removed per requirements
-        
-        parentItem.appendChild(trailInfo);
-        parentItem.appendChild(trailActions);
-        parentContainer.appendChild(parentItem);
-        
-        // Children container (collapsible, collapsed by default)
-        const childrenContainer = document.createElement('div');
-        childrenContainer.className = 'children-container';
-        childrenContainer.style.marginLeft = '1.5rem';
-        childrenContainer.style.borderLeft = '2px solid #9c27b0';
-        childrenContainer.style.paddingLeft = '0.5rem';
-        childrenContainer.style.display = 'none'; // Collapsed by default
-        
-        parent.childRelations.forEach(child => {
-            this.createTrailElement(child, childrenContainer, true);
-        });
-        
-        parentContainer.appendChild(childrenContainer);
-        
-        // Toggle collapse/expand
-        expandIcon.addEventListener('click', (e) => {
-            e.stopPropagation();
-            if (childrenContainer.style.display === 'none' || childrenContainer.style.display === '') {
-                childrenContainer.style.display = 'block';
-                expandIcon.className = 'fas fa-chevron-down';
-            } else {
-                childrenContainer.style.display = 'none';
-                expandIcon.className = 'fas fa-chevron-right';
-            }
+        return section;
+    }
+
+    // Fits the map to one stage and marks where it ends
+    showStage(trailId, index) {
+        const trail = this.trailsById.get(trailId);
+        const stage = trail && trail.stagePlan && trail.stagePlan.stages[index];
+        if (!stage) return;
+
+        const measure = this.measureLines(this.getStageLines(trail));
+        const coords = measure.points.filter((point, i) =>
+            measure.cumulative[i] >= stage.from && measure.cumulative[i] <= stage.to);
+        coords.push(this.getPointAlongRoute(measure, stage.from), stage.point);
+
+        document.getElementById('detailsPanel').classList.add('hidden');
+        this.map.fitBounds(L.latLngBounds(coords).pad(0.1));
+
+        const content = document.createElement('div');
+        const title = document.createElement('strong');
+        title.textContent = `Day ${index + 1} ends`;
+        content.appendChild(title);
+        content.appendChild(document.createElement('br'));
+        content.appendChild(document.createTextNode(stage.end ? stage.end.name : 'No camping spot nearby'));
+        L.popup().setLatLng(stage.point).setContent(content).openOn(this.map);
+    }
+
+    // ─── Route Geometry ───────────────────────────────────────────────────────
+
+    haversineDistance(lat1, lon1, lat2, lon2) {
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+
+    // Orders and orients the member ways of a route relation into continuous lines.
+    // Returns { lines: [[lat, lon], ...][], branches: [[lat, lon], ...][], gaps: [{ from, to, distance }] }.
+    // lines is the main path in travel order and the only part that is measured; branches holds
+    // alternatives, excursions and the like plus second carriageways, which are drawn but not
+    // counted. gaps lists every break in the main path (distance in metres).
+    stitchRouteWays(members, ways) {
+        const mainWays = [];
+        const branchWays = [];
+
+        (members || []).forEach(member => {
+            if (member.type !== 'way') return;
+            const way = ways[member.ref];
+            if (!way || !way.nodeIds) return;
+            const role = member.role || '';
+            // PTv2 roles carry suffixes such as "stop_exit_only"
+            if (ROUTE_IGNORED_ROLES.includes(role.split('_')[0])) return;
+            (ROUTE_BRANCH_ROLES.includes(role) ? branchWays : mainWays).push({ way, role });
         });
-        
-        // Add hover listeners to parent
-        parentItem.addEventListener('mouseenter', () => {
-            this.highlightTrail(parent.id, true);
+
+        const main = this.chainWays(mainWays);
+        // Branches are expected to be detached from each other, so their breaks are not gaps
+        const branches = this.chainWays(branchWays);
+        return {
+            lines: main.lines,
+            branches: [...main.parallels, ...branches.lines, ...branches.parallels],
+            gaps: main.gaps
+        };
+    }
+
+    // Sorts member ways into continuous lines by their shared end nodes, whatever their order
+    // in the relation. At a junction, two-way ways are followed first, then forward/backward
+    // members running the right way, with the earliest member winning a tie. One-way members
+    // left over once the main line is chained, usually the other carriageway of a split road,
+    // become parallels instead of gaps. Items are { way, role }; returns { lines, parallels, gaps }.
+    chainWays(items) {
+        const entries = items.map(({ way, role }, index) => ({
+            way,
+            index,
+            first: way.nodeIds[0],
+            last: way.nodeIds[way.nodeIds.length - 1],
+            oneWay: role === 'forward' || role === 'backward',
+            backward: role === 'backward'
+        }));
+        const unused = new Set(entries);
+        const byNode = new Map();
+        entries.forEach(entry => {
+            [entry.first, entry.last].forEach(node => {
+                if (!byNode.has(node)) byNode.set(node, []);
+                byNode.get(node).push(entry);
+            });
         });
-        parentItem.addEventListener('mouseleave', () => {
-            this.highlightTrail(parent.id, false);
+
+        // Next unused way at a node, leaving it (after the chain end) or arriving (before the start)
+        const pickAt = (node, leaving) => {
+            let best = null;
+            let bestRank = Infinity;
+            (byNode.get(node) || []).forEach(entry => {
+                if (!unused.has(entry)) return;
+                let rank = 0;
+                if (entry.oneWay) {
+                    const travelStart = entry.backward ? entry.last : entry.first;
+                    rank = (travelStart === node) === leaving ? 1 : 2;
+                }
+                if (rank < bestRank || (rank === bestRank && entry.index < best.index)) {
+                    best = entry;
+                    bestRank = rank;
+                }
+            });
+            return best;
+        };
+        const coordsOf = (entry, reversed) => reversed ? [...entry.way.coordinates].reverse() : entry.way.coordinates;
+
+        const buildChain = start => {
+            unused.delete(start);
+            let reversed = start.backward;
+            if (!start.oneWay) {
+                // Orient the first way towards the next member if they connect
+                const next = entries[start.index + 1];
+                const nextEnds = next ? [next.first, next.last] : [];
+                reversed = nextEnds.includes(start.first) && !nextEnds.includes(start.last);
+            }
+            const nodes = new Set([start.first, start.last]);
+            const coords = [...coordsOf(start, reversed)];
+            let startNode = reversed ? start.last : start.first;
+            let endNode = reversed ? start.first : start.last;
+
+            for (let next = pickAt(endNode, true); next; next = pickAt(endNode, true)) {
+                unused.delete(next);
+                const flip = next.first !== endNode;
+                coords.push(...coordsOf(next, flip).slice(1));
+                endNode = flip ? next.first : next.last;
+                nodes.add(next.first).add(next.last);
+            }
+            const before = [];
+            for (let previous = pickAt(startNode, false); previous; previous = pickAt(startNode, false)) {
+                unused.delete(previous);
+                const flip = previous.last !== startNode;
+                before.unshift(coordsOf(previous, flip).slice(0, -1));
+                startNode = flip ? previous.last : previous.first;
+                nodes.add(previous.first).add(previous.last);
+            }
+            return { coords: [...before.flat(), ...coords], nodes };
+        };
+
+        const lines = [];
+        const parallels = [];
+        const gaps = [];
+        const mainNodes = new Set();
+        const addToMain = chain => {
+            let coords = chain.coords;
+            const previous = lines[lines.length - 1];
+            if (previous) {
+                // Continue from the end of the previous line with whichever end of this one is closer
+                const from = previous[previous.length - 1];
+                const gapTo = ([lat, lon]) => this.haversineDistance(from[0], from[1], lat, lon);
+                if (gapTo(coords[coords.length - 1]) < gapTo(coords[0])) coords = [...coords].reverse();
+                gaps.push({ from, to: coords[0], distance: gapTo(coords[0]) });
+            }
+            lines.push(coords);
+            chain.nodes.forEach(node => mainNodes.add(node));
+        };
+
+        // The main line grows from two-way ways; one-way ways join it where they connect
+        entries.forEach(entry => {
+            if (unused.has(entry) && !entry.oneWay) addToMain(buildChain(entry));
         });
-        parentItem.addEventListener('touchstart', () => {
-            this.highlightTrail(parent.id, true);
+        // Leftover one-way ways: parallel where they meet the main line, main line otherwise
+        entries.forEach(entry => {
+            if (!unused.has(entry)) return;
+            const chain = buildChain(entry);
+            if ([...chain.nodes].some(node => mainNodes.has(node))) {
+                parallels.push(chain.coords);
+            } else {
+                addToMain(chain);
+            }
         });
-        
-        container.appendChild(parentContainer);
+
+        return { lines, parallels, gaps };
     }
 
-    createTrailElement(trail, container, isChild = false) {
-        const isSaved = this.savedTrailIds.has(trail.id);
-        
-        // Create trail item
-        const trailItem = document.createElement('div');
-        trailItem.className = 'trail-item';
-        if (isChild) {
-            trailItem.className += ' child-trail';
-        }
-        trailItem.setAttribute('data-trail-id', trail.id);
-        
-        // Trail info section
-        const trailInfo = document.createElement('div');
-        trailInfo.className = 'trail-info';
-        
-        const trailName = document.createElement('div');
-        trailName.className = 'trail-name';
-        // Insert waymarked-trails style badge before the trail name text
-        const badgeHtml = this.createTrailBadgeHtml(trail);
-        if (badgeHtml) {
-            trailName.insertAdjacentHTML('beforeend', badgeHtml);
-            trailName.insertAdjacentHTML('beforeend', ' ');
+    // Geodesic length in metres of the route's main path (gaps are not bridged, branches not
+    // counted). Parent-only routes sum their children. Cached per session in trailLengths only,
+    // since computedLength values stored by earlier versions included the branches.
+    getTrailLength(trail) {
+        if (!trail || trail.type === 'node') return 0;
+        if (trail.isParentOnly) {
+            return (trail.childRelations || []).reduce((sum, child) => sum + this.getTrailLength(child), 0);
         }
-        trailName.appendChild(document.createTextNode(trail.name));
-        if (isSaved) {
-            const bookmarkIcon = document.createElement('i');
-            bookmarkIcon.className = 'fas fa-bookmark';
-            bookmarkIcon.style.fontSize = '0.8em';
-            trailName.appendChild(document.createTextNode(' '));
-            trailName.appendChild(bookmarkIcon);
+        if (!this.trailLengths.has(trail)) {
+            this.trailLengths.set(trail, this.measureLines(this.getRouteLines(trail)).length);
         }
-        
-        const trailDetails = document.createElement('div');
-        trailDetails.className = 'trail-details';
-        if (trail.distance) {
-            const distanceSpan = document.createElement('span');
-            distanceSpan.className = 'trail-distance';
-            distanceSpan.textContent = `${trail.distance} km`;
-            trailDetails.appendChild(distanceSpan);
-            trailDetails.appendChild(document.createTextNode(' • '));
+        return this.trailLengths.get(trail);
+    }
+
+    formatDistance(meters) {
+        if (meters < 1000) return `${Math.round(meters)} m`;
+        return `${(meters / 1000).toFixed(meters < 10000 ? 2 : 1)} km`;
+    }
+
+    // Computed length, plus the OSM distance tag when present (assumed km when unitless)
+    formatTrailDistance(trail) {
+        const computed = this.getTrailLength(trail);
+        const tagged = trail.distance ? String(trail.distance).trim() : '';
+        const taggedText = tagged && /^[\d.]+$/.test(tagged) ? `${tagged} km` : tagged;
+
+        if (computed > 0 && taggedText) return `${this.formatDistance(computed)} (tagged ${taggedText})`;
+        if (computed > 0) return this.formatDistance(computed);
+        return taggedText;
+    }
+
+    // Main path of the route as stitched lines, falling back to raw way groups for trails saved before stitching existed
+    getRouteLines(trail) {
+        if (trail.routeLines && trail.routeLines.length > 0) return trail.routeLines;
+        if (trail.wayGroups && trail.wayGroups.length > 0) return trail.wayGroups;
+        return trail.coordinates && trail.coordinates.length > 0 ? [trail.coordinates] : [];
+    }
+
+    // ─── Elevation Profile ────────────────────────────────────────────────────
+
+    loadElevationConfig() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('openoutdoors_elevation') || '{}');
+            return { ...ELEVATION_DEFAULT_CONFIG, ...stored };
+        } catch (error) {
+            console.error('Error loading elevation config:', error);
+            return { ...ELEVATION_DEFAULT_CONFIG };
         }
-        trailDetails.appendChild(document.createTextNode(trail.description));
-        
-        trailInfo.appendChild(trailName);
-        trailInfo.appendChild(trailDetails);
-        trailInfo.addEventListener('click', () => this.toggleTrailHighlight(trail.id));
-        
-        // Trail actions section
-        const trailActions = document.createElement('div');
-        trailActions.className = 'trail-actions';
-        
-        if (!isSaved) {
-            const saveBtn = document.createElement('button');
-            saveBtn.className = 'save-btn';
-            saveBtn.title = 'Save trail';
-            saveBtn.setAttribute('aria-label', 'Save trail');
-            const saveIcon = document.createElement('i');
-            saveIcon.className = 'fas fa-bookmark';
-            saveBtn.appendChild(saveIcon);
-            saveBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.saveTrail(trail.id);
+    }
+
+    // Providers take ([{ lat, lon }], config) and resolve to an array of elevations
+    // in metres (null where unknown), in the same order as the points.
+    registerElevationProvider(name, provider) {
+        this.elevationProviders[name] = provider;
+    }
+
+    // Fractional slippy-map tile coordinates for a point
+    latLonToTile(lat, lon, zoom) {
+        const n = Math.pow(2, zoom);
+        const latRad = lat * Math.PI / 180;
+        return {
+            x: (lon + 180) / 360 * n,
+            y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n
+        };
+    }
+
+    // Picks points along the route lines roughly every `spacing` metres, keeping line ends.
+    // Distance accumulates across lines without bridging gaps.
+    sampleRouteLines(lines) {
+        const totalLength = lines.reduce((sum, line) => {
+            for (let i = 1; i < line.length; i++) {
+                sum += this.haversineDistance(line[i - 1][0], line[i - 1][1], line[i][0], line[i][1]);
+            }
+            return sum;
+        }, 0);
+        const spacing = Math.max(totalLength / ELEVATION_MAX_SAMPLES, ELEVATION_MIN_SAMPLE_SPACING_M);
+
+        const samples = [];
+        let distance = 0;
+        lines.forEach(line => {
+            let sinceLast = 0;
+            line.forEach(([lat, lon], i) => {
+                if (i > 0) {
+                    const step = this.haversineDistance(line[i - 1][0], line[i - 1][1], lat, lon);
+                    distance += step;
+                    sinceLast += step;
+                }
+                if (i === 0 || i === line.length - 1 || sinceLast >= spacing) {
+                    samples.push({ lat, lon, distance });
+                    sinceLast = 0;
+                }
             });
-            trailActions.appendChild(saveBtn);
+        });
+        return samples;
+    }
+
+    // Fetches and decodes an elevation tile, or reuses it from elevationTileCache. Once the
+    // cache holds more than ELEVATION_TILE_CACHE_SIZE tiles the least recently used are dropped.
+    loadElevationTile(url, decode) {
+        let promise = this.elevationTileCache.get(url);
+        if (promise) {
+            this.elevationTileCache.delete(url); // Re-inserted below as the most recently used
         } else {
-            const removeBtn = document.createElement('button');
-            removeBtn.className = 'remove-btn';
-            removeBtn.title = 'Remove trail';
-            removeBtn.setAttribute('aria-label', 'Remove trail');
-            const removeIcon = document.createElement('i');
-            removeIcon.className = 'fas fa-trash';
-            removeBtn.appendChild(removeIcon);
-            removeBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.removeTrail(trail.id);
+            promise = (async () => {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return decode(response);
+            })();
+            // Don't keep failed tiles so they can be retried
+            promise.catch(() => {
+                if (this.elevationTileCache.get(url) === promise) this.elevationTileCache.delete(url);
             });
-            trailActions.appendChild(removeBtn);
         }
-        
-        // OSM button removed per requirements
-        
-        trailItem.appendChild(trailInfo);
-        trailItem.appendChild(trailActions);
-        container.appendChild(trailItem);
-        
-        // Add hover listeners
-        trailItem.addEventListener('mouseenter', () => {
-            this.highlightTrail(trail.id, true);
-        });
-        trailItem.addEventListener('mouseleave', () => {
-            this.highlightTrail(trail.id, false);
+        this.elevationTileCache.set(url, promise);
+        while (this.elevationTileCache.size > ELEVATION_TILE_CACHE_SIZE) {
+            this.elevationTileCache.delete(this.elevationTileCache.keys().next().value);
+        }
+        return promise;
+    }
+
+    loadTerrariumTile(url) {
+        return this.loadElevationTile(url, async (response) => {
+            const bitmap = await createImageBitmap(await response.blob());
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(bitmap, 0, 0);
+            return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
         });
-        // Touch support
-        trailItem.addEventListener('touchstart', () => {
-            this.highlightTrail(trail.id, true);
+    }
+
+    async fetchTerrariumElevations(points, config) {
+        const zoom = config.zoom;
+        return Promise.all(points.map(async ({ lat, lon }) => {
+            const tile = this.latLonToTile(lat, lon, zoom);
+            const tileX = Math.floor(tile.x);
+            const tileY = Math.floor(tile.y);
+            const url = config.url.replace('{z}', zoom).replace('{x}', tileX).replace('{y}', tileY);
+            try {
+                const image = await this.loadTerrariumTile(url);
+                const px = Math.min(image.width - 1, Math.floor((tile.x - tileX) * image.width));
+                const py = Math.min(image.height - 1, Math.floor((tile.y - tileY) * image.height));
+                const i = (py * image.width + px) * 4;
+                const [r, g, b] = [image.data[i], image.data[i + 1], image.data[i + 2]];
+                return (r * 256 + g + b / 256) - 32768;
+            } catch (error) {
+                console.warn('Elevation tile unavailable:', url, error);
+                return null;
+            }
+        }));
+    }
+
+    loadHgtFile(url) {
+        return this.loadElevationTile(url, async (response) => {
+            const buffer = await response.arrayBuffer();
+            // 1201x1201 (SRTM3) or 3601x3601 (SRTM1) big-endian int16 samples
+            return { view: new DataView(buffer), size: Math.round(Math.sqrt(buffer.byteLength / 2)) };
         });
     }
 
-    toggleTrailHighlight(trailId) {
-        // Toggle highlighting
-        if (this.highlightedTrailIds.has(trailId)) {
-            // Deselect this trail
-            this.deselectTrail(trailId);
-        } else {
-            // Select this trail - focus is handled by selectTrail
-            this.selectTrail(trailId);
-        }
+    async fetchHgtElevations(points, config) {
+        return Promise.all(points.map(async ({ lat, lon }) => {
+            const latBase = Math.floor(lat);
+            const lonBase = Math.floor(lon);
+            const name = `${latBase >= 0 ? 'N' : 'S'}${String(Math.abs(latBase)).padStart(2, '0')}` +
+                `${lonBase >= 0 ? 'E' : 'W'}${String(Math.abs(lonBase)).padStart(3, '0')}`;
+            const url = config.url.replace('{name}', name);
+            try {
+                const { view, size } = await this.loadHgtFile(url);
+                // Rows run north to south, columns west to east
+                const row = Math.round((latBase + 1 - lat) * (size - 1));
+                const col = Math.round((lon - lonBase) * (size - 1));
+                const value = view.getInt16((row * size + col) * 2, false);
+                return value === -32768 ? null : value;
+            } catch (error) {
+                console.warn('HGT file unavailable:', url, error);
+                return null;
+            }
+        }));
     }
 
-    toggleParentAndChildren(parentId) {
-        // Toggle parent and all its children
-        const parent = this.trailsById.get(parentId);
-        
-        if (!parent) {
-            return;
+    // Resolves to { points: [{ lat, lon, distance, elevation }], ascent, descent, min, max }
+    // or null when no elevation data is available. Cached on the trail.
+    async getElevationProfile(trail) {
+        if (trail.elevationProfile) return trail.elevationProfile;
+
+        const lines = this.getRouteLines(trail);
+        if (lines.length === 0) return null;
+
+        const config = this.loadElevationConfig();
+        const provider = this.elevationProviders[config.provider];
+        if (!provider) {
+            throw new Error(`Unknown elevation provider: ${config.provider}`);
         }
-        
-        // Check if parent is currently selected
-        const isParentSelected = this.highlightedTrailIds.has(parentId);
-        
-        if (isParentSelected) {
-            // Deselect parent and all children
-            this.deselectTrail(parentId);
-            if (parent.childRelations && parent.childRelations.length > 0) {
-                parent.childRelations.forEach(child => {
-                    if (this.highlightedTrailIds.has(child.id)) {
-                        this.deselectTrail(child.id);
-                    }
-                });
-            }
-        } else {
-            // Select parent and all children
-            this.selectTrail(parentId, false); // Don't focus on parent
-            if (parent.childRelations && parent.childRelations.length > 0) {
-                parent.childRelations.forEach(child => {
-                    if (!this.highlightedTrailIds.has(child.id)) {
-                        this.selectTrail(child.id, false); // Don't focus on each child
-                    }
-                });
+
+        const samples = this.sampleRouteLines(lines);
+        const elevations = await provider(samples, config);
+        const points = samples
+            .map((sample, i) => ({ ...sample, elevation: elevations[i] }))
+            .filter(point => typeof point.elevation === 'number' && !isNaN(point.elevation));
+        if (points.length === 0) return null;
+
+        let ascent = 0;
+        let descent = 0;
+        let reference = points[0].elevation;
+        points.forEach(({ elevation }) => {
+            const diff = elevation - reference;
+            if (diff >= ELEVATION_NOISE_THRESHOLD_M) {
+                ascent += diff;
+                reference = elevation;
+            } else if (-diff >= ELEVATION_NOISE_THRESHOLD_M) {
+                descent -= diff;
+                reference = elevation;
             }
-            // Focus on the parent after all selections
-            this.focusTrail(parentId);
-        }
+        });
+
+        const elevationValues = points.map(p => p.elevation);
+        trail.elevationProfile = {
+            points,
+            ascent,
+            descent,
+            min: Math.min(...elevationValues),
+            max: Math.max(...elevationValues)
+        };
+        this.markGeometryChanged(trail);
+        return trail.elevationProfile;
     }
 
-    focusTrail(trailId) {
+    async showElevationProfile(trailId) {
         const trail = this.trailsById.get(trailId);
-        
-        if (!trail) {
-            return;
-        }
+        const panel = document.getElementById('elevationPanel');
+        if (!trail || !panel || trail.type === 'node' || trail.isParentOnly) return;
 
-        // Single-point feature (camping POI)
-        if (trail.type === 'node' && trail.lat && trail.lon) {
-            this.map.setView([trail.lat, trail.lon], Math.max(this.map.getZoom(), 15));
-            const layerGroup = this.trailLayers.get(trailId);
-            if (layerGroup && layerGroup._marker) {
-                layerGroup._marker.openPopup();
+        // Only the most recent request may render, earlier ones are dropped when they resolve
+        const requestId = ++this.elevationRequestId;
+        this.elevationTrailId = trailId;
+
+        panel.classList.remove('hidden');
+        document.getElementById('elevationTitle').textContent = trail.name;
+        document.getElementById('elevationStats').textContent = 'Loading elevation…';
+        document.getElementById('elevationChart').innerHTML = '';
+
+        try {
+            const profile = await this.getElevationProfile(trail);
+            if (requestId !== this.elevationRequestId) return;
+            if (!profile) {
+                document.getElementById('elevationStats').textContent = 'No elevation data available';
+                return;
             }
-            return;
+            this.renderElevationProfile(profile);
+        } catch (error) {
+            console.error('Elevation profile error:', error);
+            if (requestId !== this.elevationRequestId) return;
+            document.getElementById('elevationStats').textContent = 'Error loading elevation data';
         }
-        
-        // If this is a parent-only route (no coordinates), focus on its children
-        if (trail.isParentOnly && trail.childRelations && trail.childRelations.length > 0) {
-            // Collect all children coordinates
-            const allCoords = [];
-            trail.childRelations.forEach(child => {
-                if (child.coordinates && child.coordinates.length > 0) {
-                    allCoords.push(...child.coordinates);
+    }
+
+    hideElevationProfile() {
+        this.elevationRequestId++;
+        this.elevationTrailId = null;
+        const panel = document.getElementById('elevationPanel');
+        if (panel) panel.classList.add('hidden');
+        this.setElevationHoverPoint(null);
+    }
+
+    renderElevationProfile(profile) {
+        const { points, ascent, descent, min, max } = profile;
+        const totalDistance = points[points.length - 1].distance || 1;
+        const range = Math.max(max - min, 1);
+        const width = 1000;
+        const height = 100;
+        const toX = distance => (distance / totalDistance) * width;
+        const toY = elevation => height - ((elevation - min) / range) * height;
+
+        document.getElementById('elevationStats').textContent =
+            `↑ ${Math.round(ascent)} m • ↓ ${Math.round(descent)} m • ` +
+            `min ${Math.round(min)} m • max ${Math.round(max)} m • ${this.formatDistance(totalDistance)}`;
+
+        const linePoints = points.map(p => `${toX(p.distance).toFixed(1)},${toY(p.elevation).toFixed(1)}`).join(' ');
+        const chart = document.getElementById('elevationChart');
+        chart.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polygon class="elevation-area" points="0,${height} ${linePoints} ${width},${height}"></polygon>
+                <polyline class="elevation-line" points="${linePoints}" vector-effect="non-scaling-stroke"></polyline>
+                <line class="elevation-cursor" x1="0" x2="0" y1="0" y2="${height}" vector-effect="non-scaling-stroke" visibility="hidden"></line>
+            </svg>
+            <div class="elevation-tooltip hidden"></div>
+        `;
+
+        const svg = chart.querySelector('svg');
+        const cursor = chart.querySelector('.elevation-cursor');
+        const tooltip = chart.querySelector('.elevation-tooltip');
+
+        const onMove = (clientX) => {
+            const rect = svg.getBoundingClientRect();
+            const ratio = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+            const targetDistance = ratio * totalDistance;
+            // Nearest sample by distance along the route
+            let nearest = points[0];
+            for (const point of points) {
+                if (Math.abs(point.distance - targetDistance) < Math.abs(nearest.distance - targetDistance)) {
+                    nearest = point;
                 }
-            });
-            
-            if (allCoords.length > 0) {
-                const bounds = L.latLngBounds(allCoords);
-                this.map.fitBounds(bounds.pad(0.2));
+            }
+            const x = toX(nearest.distance);
+            cursor.setAttribute('x1', x);
+            cursor.setAttribute('x2', x);
+            cursor.setAttribute('visibility', 'visible');
+            tooltip.textContent = `${Math.round(nearest.elevation)} m • ${this.formatDistance(nearest.distance)}`;
+            tooltip.style.left = `${(x / width) * 100}%`;
+            tooltip.classList.remove('hidden');
+            this.setElevationHoverPoint(nearest);
+        };
+        const onLeave = () => {
+            cursor.setAttribute('visibility', 'hidden');
+            tooltip.classList.add('hidden');
+            this.setElevationHoverPoint(null);
+        };
+
+        svg.addEventListener('mousemove', (e) => onMove(e.clientX));
+        svg.addEventListener('mouseleave', onLeave);
+        svg.addEventListener('touchmove', (e) => {
+            if (e.touches.length > 0) onMove(e.touches[0].clientX);
+        }, { passive: true });
+        svg.addEventListener('touchend', onLeave);
+    }
+
+    // Moves the hover marker on the trail polyline to match the chart cursor
+    setElevationHoverPoint(point) {
+        if (!point) {
+            if (this.elevationHoverMarker) {
+                this.map.removeLayer(this.elevationHoverMarker);
+                this.elevationHoverMarker = null;
             }
             return;
         }
-        
-        if (trail.coordinates && trail.coordinates.length > 1) {
-            const bounds = L.latLngBounds(trail.coordinates);
-            this.map.fitBounds(bounds.pad(0.2));
-            
-            // Open popup if layer exists
-            const layerGroup = this.trailLayers.get(trailId);
-            if (layerGroup && layerGroup.mainPolyline && layerGroup.mainPolyline.openPopup) {
-                layerGroup.mainPolyline.openPopup();
-            }
+        if (this.elevationHoverMarker) {
+            this.elevationHoverMarker.setLatLng([point.lat, point.lon]);
+        } else {
+            this.elevationHoverMarker = L.circleMarker([point.lat, point.lon], {
+                radius: 7,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: '#2196F3',
+                fillOpacity: 1,
+                interactive: false,
+                pane: 'hitPane'
+            }).addTo(this.map);
         }
     }
 
-    saveTrail(trailId) {
-        const trail = this.trailsById.get(trailId);
-        
-        if (!trail) {
-            return;
-        }
+    // ─── Offline Tile Packs ───────────────────────────────────────────────────
 
-        // Check if already saved using cached Set
-        if (this.savedTrailIds.has(trail.id)) {
-            this.showToast('Trail already saved!');
-            return;
+    loadOfflineAreas() {
+        try {
+            const saved = localStorage.getItem('openoutdoors_offline_areas');
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Error loading offline areas:', error);
+            return [];
         }
+    }
 
-        this.savedTrails.push(trail);
-        this.saveSavedTrails();
-        
-        // Update trail color on map and move to saved pane
-        // Move to saved pane unless it's selected
-        if (!this.highlightedTrailIds.has(trailId)) {
-            this.moveTrailToPane(trailId, 'savedTrailsPane');
+    saveOfflineAreas() {
+        try {
+            localStorage.setItem('openoutdoors_offline_areas', JSON.stringify(this.offlineAreas));
+        } catch (error) {
+            console.error('Error saving offline areas:', error);
+            this.showToast('Error saving offline areas');
         }
-        
-        // Update color to green for saved trails
-        this.updateTrailColor(trailId, '#2c7a3f');
-        
-        this.updateTrailsUI();
-        this.showToast(`Saved: ${trail.name}`);
-        this.updateUrl();
     }
 
-    saveSelectedTrails() {
-        if (this.highlightedTrailIds.size === 0) {
-            this.showToast('No trails selected');
-            return;
+    // Tile index ranges covering the bounds, one { z, xMin, xMax, yMin, yMax } per zoom level
+    getTileRanges(bounds, minZoom, maxZoom) {
+        const ranges = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const topLeft = this.latLonToTile(bounds.north, bounds.west, z);
+            const bottomRight = this.latLonToTile(bounds.south, bounds.east, z);
+            const maxIndex = Math.pow(2, z) - 1;
+            ranges.push({
+                z,
+                xMin: Math.max(0, Math.floor(topLeft.x)),
+                xMax: Math.min(maxIndex, Math.floor(bottomRight.x)),
+                yMin: Math.max(0, Math.floor(topLeft.y)),
+                yMax: Math.min(maxIndex, Math.floor(bottomRight.y))
+            });
         }
+        return ranges;
+    }
 
-        let savedCount = 0;
-        let alreadySavedCount = 0;
-
-        // Save all selected trails
-        this.highlightedTrailIds.forEach(trailId => {
-            const trail = this.trailsById.get(trailId);
-            
-            if (!trail) {
-                return;
-            }
+    // Counted without listing the tiles, which could run into millions at high zoom levels.
+    // Stops once the count exceeds limit.
+    countTilesForBounds(bounds, minZoom, maxZoom, limit = Infinity) {
+        let count = 0;
+        for (const { xMin, xMax, yMin, yMax } of this.getTileRanges(bounds, minZoom, maxZoom)) {
+            count += (xMax - xMin + 1) * (yMax - yMin + 1);
+            if (count > limit) break;
+        }
+        return count;
+    }
 
-            // Check if already saved
-            if (this.savedTrailIds.has(trail.id)) {
-                alreadySavedCount++;
-                return;
+    getTileUrlsForBounds(bounds, minZoom, maxZoom, template) {
+        const urls = [];
+        this.getTileRanges(bounds, minZoom, maxZoom).forEach(({ z, xMin, xMax, yMin, yMax }) => {
+            for (let x = xMin; x <= xMax; x++) {
+                for (let y = yMin; y <= yMax; y++) {
+                    urls.push(template.replace('{z}', z).replace('{x}', x).replace('{y}', y));
+                }
             }
-
-            this.savedTrails.push(trail);
-            savedCount++;
-            
-            // Update trail color to green for saved trails
-            this.updateTrailColor(trailId, '#2c7a3f');
         });
+        return urls;
+    }
 
-        // Save to localStorage
-        if (savedCount > 0) {
-            this.saveSavedTrails();
+    openOfflinePanel(target = null) {
+        if (!target) {
+            const bounds = this.map.getBounds();
+            target = {
+                name: 'Current map view',
+                bounds: {
+                    south: bounds.getSouth(),
+                    west: bounds.getWest(),
+                    north: bounds.getNorth(),
+                    east: bounds.getEast()
+                }
+            };
         }
+        this.offlineTarget = target;
 
-        // Clear selection after saving
-        const selectedIds = Array.from(this.highlightedTrailIds);
-        selectedIds.forEach(trailId => {
-            this.deselectTrail(trailId);
-        });
+        const minZoomInput = document.getElementById('offlineMinZoom');
+        const maxZoomInput = document.getElementById('offlineMaxZoom');
+        const zoom = this.map.getZoom();
+        const maxZoom = Math.max(1, Math.min(zoom + 3, 17));
+        minZoomInput.value = Math.max(1, Math.min(zoom, maxZoom));
+        maxZoomInput.value = maxZoom;
+
+        document.getElementById('offlineAreaName').textContent = target.name;
+        document.getElementById('offlinePanel').classList.remove('hidden');
+        this.updateOfflineEstimate();
+        this.renderOfflineAreas();
+    }
 
-        this.updateTrailsUI();
+    openOfflinePanelForTrail(trailId) {
+        const trail = this.trailsById.get(trailId);
+        if (!trail) return;
 
-        // Show appropriate toast message
-        if (savedCount > 0 && alreadySavedCount > 0) {
-            this.showToast(`Saved ${savedCount} trail(s). ${alreadySavedCount} already saved.`);
-        } else if (savedCount > 0) {
-            this.showToast(`Saved ${savedCount} trail(s)`);
-        } else {
-            this.showToast('All selected trails were already saved');
+        const coords = trail.isParentOnly
+            ? (trail.childRelations || []).flatMap(child => child.coordinates || [])
+            : trail.coordinates;
+        if (!coords || coords.length === 0) return;
+
+        const bounds = L.latLngBounds(coords).pad(0.05);
+        this.openOfflinePanel({
+            name: trail.name,
+            bounds: {
+                south: bounds.getSouth(),
+                west: bounds.getWest(),
+                north: bounds.getNorth(),
+                east: bounds.getEast()
+            }
+        });
+    }
+
+    closeOfflinePanel() {
+        if (this.offlineDownload) {
+            this.cancelOfflineDownload();
         }
-        if (savedCount > 0) this.updateUrl();
+        document.getElementById('offlinePanel').classList.add('hidden');
     }
 
-    removeTrail(trailId) {
-        this.savedTrails = this.savedTrails.filter(t => t.id != trailId);
-        this.saveSavedTrails();
-        
-        // Remove from allTrails if it was only saved (not from search)
-        this.allTrails = this.allTrails.filter(t => t.id != trailId);
-        this.updateTrailIndexes();
-        
-        // Remove from map
-        const layer = this.trailLayers.get(trailId);
-        if (layer) {
-            this.map.removeLayer(layer);
-            this.trailLayers.delete(trailId);
+    getOfflineZoomRange() {
+        const minZoom = parseInt(document.getElementById('offlineMinZoom').value, 10);
+        const maxZoom = parseInt(document.getElementById('offlineMaxZoom').value, 10);
+        if (isNaN(minZoom) || isNaN(maxZoom) || minZoom < 1 || maxZoom > 19 || minZoom > maxZoom) {
+            return null;
         }
-        
-        this.updateTrailsUI();
-        this.showToast('Trail removed');
-        this.updateUrl();
+        return { minZoom, maxZoom };
     }
 
-    clearSavedTrails() {
-        if (this.savedTrails.length === 0) {
-            this.showToast('No saved trails to clear');
+    updateOfflineEstimate() {
+        const estimate = document.getElementById('offlineEstimate');
+        const downloadBtn = document.getElementById('offlineDownloadBtn');
+        const range = this.getOfflineZoomRange();
+        if (!this.offlineTarget || !range) {
+            estimate.textContent = 'Choose a valid zoom range (1–19)';
+            downloadBtn.disabled = true;
             return;
         }
 
-        if (confirm('Are you sure you want to clear all saved trails?')) {
-            // Remove saved trails from map and allTrails
-            this.savedTrails.forEach(trail => {
-                const layer = this.trailLayers.get(trail.id);
-                if (layer) {
-                    this.map.removeLayer(layer);
-                    this.trailLayers.delete(trail.id);
-                }
-            });
-            
-            // Use cached Set for faster filtering
-            this.allTrails = this.allTrails.filter(t => !this.savedTrailIds.has(t.id));
-            this.updateTrailIndexes();
-            
-            this.savedTrails = [];
-            this.saveSavedTrails();
-            this.updateTrailsUI();
-            this.showToast('All trails cleared');
-            this.updateUrl();
+        const source = this.getActiveBaseSource();
+        if (!source) {
+            estimate.textContent = 'Pick a base map in the layer switcher first';
+            downloadBtn.disabled = true;
+            return;
+        }
+        // Downloads fetch with CORS, which a source set to crossOrigin: false doesn't allow
+        if (source.crossOrigin === false) {
+            estimate.textContent = `${source.name} can't be saved for offline use`;
+            downloadBtn.disabled = true;
+            return;
+        }
+        const count = this.countTilesForBounds(this.offlineTarget.bounds, range.minZoom, range.maxZoom, OFFLINE_MAX_TILES);
+        if (count > OFFLINE_MAX_TILES) {
+            estimate.textContent = `More than ${OFFLINE_MAX_TILES} tiles – too many. Lower the max zoom.`;
+            downloadBtn.disabled = true;
+        } else {
+            const sizeMb = (count * OFFLINE_AVG_TILE_BYTES / (1024 * 1024)).toFixed(1);
+            estimate.textContent = `${count} tiles of ${source.name}, about ${sizeMb} MB`;
+            downloadBtn.disabled = !!this.offlineDownload;
         }
     }
 
-    loadSavedTrails() {
+    async downloadOfflineArea() {
+        const range = this.getOfflineZoomRange();
+        if (!this.offlineTarget || !range || this.offlineDownload) return;
+        if (!('caches' in window)) {
+            this.showToast('Offline storage is not supported by your browser');
+            return;
+        }
+
+        const target = this.offlineTarget;
+        // Packs are for the base layer currently shown
+        const source = this.getActiveBaseSource();
+        if (!source || source.crossOrigin === false) return;
+        if (this.countTilesForBounds(target.bounds, range.minZoom, range.maxZoom, OFFLINE_MAX_TILES) > OFFLINE_MAX_TILES) return;
+        const template = this.getCanonicalTileTemplate(source);
+        const urls = this.getTileUrlsForBounds(target.bounds, range.minZoom, range.maxZoom, template);
+
+        const download = { cancelled: false, controller: new AbortController() };
+        this.offlineDownload = download;
+
+        const progress = document.getElementById('offlineProgress');
+        const progressBar = document.getElementById('offlineProgressBar');
+        const estimate = document.getElementById('offlineEstimate');
+        document.getElementById('offlineDownloadBtn').disabled = true;
+        document.getElementById('offlineCancelBtn').classList.remove('hidden');
+        progress.classList.remove('hidden');
+        progressBar.style.width = '0%';
+
+        let cache = null;
+        const written = []; // Tiles this download added to the cache, removed again on cancel
+        let done = 0;
+        let failed = 0;
+        let bytes = 0;
+        let next = 0;
+
+        // Small worker pool so the tile server isn't hit with hundreds of parallel requests
+        const worker = async () => {
+            while (!download.cancelled && next < urls.length) {
+                const url = urls[next++];
+                try {
+                    let response = await cache.match(url);
+                    if (!response) {
+                        const fetched = await fetch(url, { mode: 'cors', signal: download.controller.signal });
+                        if (!fetched.ok) {
+                            throw new Error(`HTTP error! status: ${fetched.status}`);
+                        }
+                        await cache.put(url, fetched.clone());
+                        written.push(url);
+                        response = fetched;
+                    }
+                    bytes += (await response.blob()).size;
+                } catch (error) {
+                    if (error.name !== 'AbortError') {
+                        console.warn('Failed to download tile:', url, error);
+                        failed++;
+                    }
+                }
+                done++;
+                progressBar.style.width = `${Math.round((done / urls.length) * 100)}%`;
+                estimate.textContent = `Downloading ${done}/${urls.length} tiles (${(bytes / (1024 * 1024)).toFixed(1)} MB)`;
+            }
+        };
+
         try {
-            const saved = localStorage.getItem('openoutdoors_trails');
-            const trails = saved ? JSON.parse(saved) : [];
-            // Update cache
-            this.savedTrailIds = new Set(trails.map(t => t.id));
-            return trails;
+            cache = await caches.open(TILE_CACHE_NAME);
+            await Promise.all(Array.from({ length: OFFLINE_CONCURRENCY }, worker));
+
+            if (download.cancelled) {
+                // Without an area record these tiles could never be deleted from the UI
+                const inUse = this.getOfflineTileUrlsInUse();
+                await Promise.all(written.filter(url => !inUse.has(url)).map(url => cache.delete(url)));
+                this.showToast('Download cancelled');
+            } else {
+                this.offlineAreas.push({
+                    id: `area-${Date.now().toString(36)}`,
+                    name: target.name,
+                    bounds: target.bounds,
+                    minZoom: range.minZoom,
+                    maxZoom: range.maxZoom,
+                    tileUrl: template,
+                    sourceName: source.name,
+                    tileCount: urls.length - failed,
+                    bytes,
+                    createdAt: new Date().toISOString()
+                });
+                this.saveOfflineAreas();
+                this.showToast(failed > 0
+                    ? `Downloaded ${urls.length - failed} tiles, ${failed} failed`
+                    : `Downloaded ${urls.length} tiles for offline use`);
+            }
         } catch (error) {
-            console.error('Error loading saved trails:', error);
-            return [];
+            console.error('Offline download error:', error);
+            this.showToast('Error downloading offline area');
+        } finally {
+            this.offlineDownload = null;
+            document.getElementById('offlineCancelBtn').classList.add('hidden');
+            progress.classList.add('hidden');
+            this.updateOfflineEstimate();
+            this.renderOfflineAreas();
         }
     }
 
-    saveSavedTrails() {
+    cancelOfflineDownload() {
+        if (!this.offlineDownload) return;
+        this.offlineDownload.cancelled = true;
+        this.offlineDownload.controller.abort();
+    }
+
+    async deleteOfflineArea(areaId) {
+        const area = this.offlineAreas.find(a => a.id === areaId);
+        if (!area) return;
+
+        this.offlineAreas = this.offlineAreas.filter(a => a.id !== areaId);
+        this.saveOfflineAreas();
+
+        // Only remove tiles that no other downloaded area still needs
+        const stillNeeded = this.getOfflineTileUrlsInUse();
+
         try {
-            localStorage.setItem('openoutdoors_trails', JSON.stringify(this.savedTrails));
-            // Update cache
-            this.savedTrailIds = new Set(this.savedTrails.map(t => t.id));
+            const cache = await caches.open(TILE_CACHE_NAME);
+            const urls = this.getTileUrlsForBounds(area.bounds, area.minZoom, area.maxZoom, area.tileUrl);
+            await Promise.all(urls.filter(url => !stillNeeded.has(url)).map(url => cache.delete(url)));
         } catch (error) {
-            console.error('Error saving trails:', error);
-            this.showToast('Error saving trails');
+            console.error('Error deleting offline tiles:', error);
         }
+
+        this.renderOfflineAreas();
+        this.showToast(`Deleted offline area: ${area.name}`);
     }
-    
-    // Helper method to update trail indexes
-    updateTrailIndexes() {
-        this.trailsById.clear();
-        this.allTrails.forEach(trail => {
-            this.trailsById.set(trail.id, trail);
+
+    getOfflineTileUrlsInUse() {
+        const urls = new Set();
+        this.offlineAreas.forEach(a => {
+            this.getTileUrlsForBounds(a.bounds, a.minZoom, a.maxZoom, a.tileUrl).forEach(url => urls.add(url));
         });
+        return urls;
     }
 
-    // Returns the type-prefixed ID string for a saved trail (r=relation, n=node, w=way).
-    // Used by updateUrl() and shareTrails() to encode trail types in the URL.
-    getTypePrefixedRef(trail) {
+    renderOfflineAreas() {
+        const list = document.getElementById('offlineAreasList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (this.offlineAreas.length === 0) {
+            list.innerHTML = '<div class="empty-state">No offline areas downloaded yet.</div>';
+            return;
+        }
+
+        this.offlineAreas.forEach(area => {
+            const item = document.createElement('div');
+            item.className = 'offline-area-item';
+
+            const info = document.createElement('div');
+            info.className = 'offline-area-info';
+            const name = document.createElement('strong');
+            name.textContent = area.name;
+            info.appendChild(name);
+            const details = document.createElement('small');
+            const sizeMb = (area.bytes / (1024 * 1024)).toFixed(1);
+            details.textContent = `${area.sourceName || 'OpenStreetMap'} • Zoom ${area.minZoom}–${area.maxZoom} • ` +
+                `${area.tileCount} tiles • ${sizeMb} MB • ` +
+                new Date(area.createdAt).toLocaleDateString();
+            info.appendChild(details);
+            info.addEventListener('click', () => {
+                this.map.fitBounds([[area.bounds.south, area.bounds.west], [area.bounds.north, area.bounds.east]]);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'icon-btn-small';
+            deleteBtn.title = 'Delete offline area';
+            deleteBtn.setAttribute('aria-label', 'Delete offline area');
+            const deleteIcon = document.createElement('i');
+            deleteIcon.className = 'fas fa-trash';
+            deleteBtn.appendChild(deleteIcon);
+            deleteBtn.addEventListener('click', () => this.deleteOfflineArea(area.id));
+
+            item.appendChild(info);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
+    }
+
+    // ─── GPX Export ───────────────────────────────────────────────────────────
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // Parent-only routes carry no geometry of their own, so they are replaced by
+    // their child relations. Duplicates (e.g. a child that is also selected) are dropped.
+    expandTrailsForExport(trails) {
+        const result = [];
+        const seen = new Set();
+        const add = (trail) => {
+            if (!trail || seen.has(trail.id)) return;
+            if (trail.isParentOnly && trail.childRelations) {
+                trail.childRelations.forEach(add);
+                return;
+            }
+            if (!trail.coordinates || trail.coordinates.length === 0) return;
+            seen.add(trail.id);
+            result.push(trail);
+        };
+        trails.forEach(add);
+        return result;
+    }
+
+    getOsmUrl(trail) {
         const osmType = trail.osmType || (trail.type === 'node' ? 'node' : 'relation');
-        if (osmType === 'node') return `n${trail.id}`;
-        if (osmType === 'way') return `w${trail.id}`;
-        return `r${trail.id}`;
+        return `https://www.openstreetmap.org/${osmType}/${trail.id}`;
     }
 
-    updateUrl() {
-        const bounds = this.map.getBounds();
-        const bbox = `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
+    buildGpxTagsExtension(tags, indent) {
+        const entries = Object.entries(tags || {});
+        if (entries.length === 0) return '';
+        const tagLines = entries
+            .map(([k, v]) => `${indent}    <osm:tag k="${this.escapeXml(k)}" v="${this.escapeXml(v)}"/>`)
+            .join('\n');
+        return `${indent}<extensions>\n${tagLines}\n${indent}</extensions>\n`;
+    }
 
-        if (this.savedTrails.length === 0) {
-            window.history.replaceState({}, '', `${window.location.pathname}?sport=${this.currentSport}&bbox=${bbox}`);
-            return;
+    buildGpxWaypoint(poi) {
+        const [lat, lon] = poi.coordinates[0];
+        let xml = `  <wpt lat="${lat}" lon="${lon}">\n`;
+        xml += `    <name>${this.escapeXml(poi.name)}</name>\n`;
+        if (poi.description) xml += `    <desc>${this.escapeXml(poi.description)}</desc>\n`;
+        if (poi.osmType !== 'local') {
+            xml += `    <src>OpenStreetMap</src>\n`;
+            xml += `    <link href="${this.getOsmUrl(poi)}"/>\n`;
         }
+        if (poi.campingType) xml += `    <type>${this.escapeXml(poi.campingType)}</type>\n`;
+        xml += this.buildGpxTagsExtension(poi.tags, '    ');
+        xml += `  </wpt>\n`;
+        return xml;
+    }
 
-        const trailRefs = this.savedTrails.map(t => this.getTypePrefixedRef(t)).join(',');
-        const url = `${window.location.pathname}?refs=${trailRefs}&bbox=${bbox}&sport=${this.currentSport}`;
-        window.history.replaceState({}, '', url);
+    buildGpxTrack(trail) {
+        // Each way group becomes its own segment so gaps between member ways are not bridged
+        const segments = trail.wayGroups && trail.wayGroups.length > 0
+            ? trail.wayGroups
+            : [trail.coordinates];
+
+        let xml = `  <trk>\n`;
+        xml += `    <name>${this.escapeXml(trail.name)}</name>\n`;
+        if (trail.description) xml += `    <desc>${this.escapeXml(trail.description)}</desc>\n`;
+        if (trail.osmType !== 'local') {
+            xml += `    <src>OpenStreetMap</src>\n`;
+            xml += `    <link href="${this.getOsmUrl(trail)}"/>\n`;
+        }
+        if (trail.tags?.route) xml += `    <type>${this.escapeXml(trail.tags.route)}</type>\n`;
+        xml += this.buildGpxTagsExtension(trail.tags, '    ');
+        segments.forEach(segment => {
+            if (!segment || segment.length === 0) return;
+            xml += `    <trkseg>\n`;
+            segment.forEach(([lat, lon]) => {
+                xml += `      <trkpt lat="${lat}" lon="${lon}"/>\n`;
+            });
+            xml += `    </trkseg>\n`;
+        });
+        xml += `  </trk>\n`;
+        return xml;
     }
 
-    shareTrails() {
-        if (this.savedTrails.length === 0) {
-            this.showToast('No trails to share. Save some trails first!');
+    buildGpx(trails, name) {
+        const items = this.expandTrailsForExport(trails);
+        // GPX 1.1 requires all <wpt> elements before any <trk>
+        const waypoints = items.filter(t => t.type === 'node');
+        const tracks = items.filter(t => t.type !== 'node');
+
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+        xml += `<gpx version="1.1" creator="${GPX_CREATOR}" xmlns="http://www.topografix.com/GPX/1/1"`;
+        xml += ` xmlns:osm="${GPX_OSM_NAMESPACE}">\n`;
+        xml += `  <metadata>\n`;
+        xml += `    <name>${this.escapeXml(name)}</name>\n`;
+        xml += `    <copyright author="OpenStreetMap contributors">\n`;
+        xml += `      <license>https://opendatacommons.org/licenses/odbl/</license>\n`;
+        xml += `    </copyright>\n`;
+        xml += `    <time>${new Date().toISOString()}</time>\n`;
+        xml += `  </metadata>\n`;
+        waypoints.forEach(poi => { xml += this.buildGpxWaypoint(poi); });
+        tracks.forEach(trail => { xml += this.buildGpxTrack(trail); });
+        xml += `</gpx>\n`;
+        return { xml, count: items.length };
+    }
+
+    buildActivityGpx(activity) {
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+        xml += `<gpx version="1.1" creator="${GPX_CREATOR}" xmlns="http://www.topografix.com/GPX/1/1"`;
+        xml += ` xmlns:oo="${GPX_APP_NAMESPACE}">\n`;
+        xml += `  <metadata>\n`;
+        xml += `    <name>${this.escapeXml(activity.name)}</name>\n`;
+        xml += `    <time>${new Date(activity.startedAt).toISOString()}</time>\n`;
+        xml += `  </metadata>\n`;
+        xml += `  <trk>\n`;
+        xml += `    <name>${this.escapeXml(activity.name)}</name>\n`;
+        if (activity.sport) xml += `    <type>${this.escapeXml(activity.sport)}</type>\n`;
+        xml += `    <trkseg>\n`;
+        activity.points.forEach(p => {
+            xml += `      <trkpt lat="${p.lat}" lon="${p.lon}">\n`;
+            if (typeof p.altitude === 'number') xml += `        <ele>${p.altitude.toFixed(1)}</ele>\n`;
+            xml += `        <time>${new Date(p.time).toISOString()}</time>\n`;
+            // GPX has no field for accuracy in metres
+            if (typeof p.accuracy === 'number') {
+                xml += `        <extensions><oo:accuracy>${p.accuracy.toFixed(1)}</oo:accuracy></extensions>\n`;
+            }
+            xml += `      </trkpt>\n`;
+        });
+        xml += `    </trkseg>\n`;
+        xml += `  </trk>\n`;
+        xml += `</gpx>\n`;
+        return xml;
+    }
+
+    exportActivityGpx(activity) {
+        if (activity.points.length === 0) {
+            this.showToast('Nothing to export');
             return;
         }
+        this.saveGpxFile(this.buildActivityGpx(activity), activity.name);
+        this.showToast('Exported activity to GPX');
+    }
 
-        // Build the share URL using the same logic as updateUrl(), but with full origin
-        const bounds = this.map.getBounds();
-        const bbox = `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
-        const trailRefs = this.savedTrails.map(t => this.getTypePrefixedRef(t)).join(',');
-        const shareUrl = `${window.location.origin}${window.location.pathname}?refs=${trailRefs}&bbox=${bbox}&sport=${this.currentSport}`;
+    saveGpxFile(xml, name) {
+        const filename = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'trails';
+        const blob = new Blob([xml], { type: 'application/gpx+xml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${filename}.gpx`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 
-        // Check URL length
-        if (shareUrl.length > 2000) {
-            this.showToast('Too many trails to share via URL. Try sharing fewer trails.');
-            console.warn('Share URL too long:', shareUrl.length, 'characters');
+    downloadGpx(trails, name) {
+        const { xml, count } = this.buildGpx(trails, name);
+        if (count === 0) {
+            this.showToast('Nothing to export');
             return;
         }
 
-        // Copy to clipboard
-        if (navigator.clipboard && navigator.clipboard.writeText) {
-            navigator.clipboard.writeText(shareUrl).then(() => {
-                this.showToast('Share link copied to clipboard!');
-            }).catch(() => {
-                this.showShareDialog(shareUrl);
-            });
-        } else {
-            this.showShareDialog(shareUrl);
-        }
+        this.saveGpxFile(xml, name);
+        this.showToast(`Exported ${count} item(s) to GPX`);
     }
-
-    showShareDialog(url) {
-        // Create a better fallback dialog using DOM methods
-        const toast = document.getElementById('toast');
-        
-        // Clear previous content
-        toast.textContent = '';
-        
-        const container = document.createElement('div');
-        container.style.textAlign = 'left';
-        
-        const title = document.createElement('strong');
-        title.textContent = 'Share Link:';
-        container.appendChild(title);
-        container.appendChild(document.createElement('br'));
-        
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.value = url;
-        input.readOnly = true;
-        input.style.width = '100%';
-        input.style.margin = '8px 0';
-        input.style.padding = '8px';
-        input.style.border = '1px solid #ccc';
-        input.style.borderRadius = '4px';
-        input.addEventListener('click', () => input.select());
-        container.appendChild(input);
-        
-        const hint = document.createElement('small');
-        hint.textContent = 'Click the link to select, then copy it manually';
-        container.appendChild(hint);
-        
-        toast.appendChild(container);
-        toast.classList.add('show');
-        setTimeout(() => {
-            toast.classList.remove('show');
-            toast.textContent = ''; // Reset to text content
-        }, 10000); // Show for 10 seconds
+
+    exportTrailGpx(trailId) {
+        const trail = this.trailsById.get(trailId);
+        if (!trail) return;
+        this.downloadGpx([trail], trail.name);
     }
 
-    async loadSharedTrails() {
-        const urlParams = new URLSearchParams(window.location.search);
-        const refsParam = urlParams.get('refs');
-        const bboxParam = urlParams.get('bbox');
-        const trailsParam = urlParams.get('trails'); // Keep backward compatibility
+    exportSelectedGpx() {
+        if (this.highlightedTrailIds.size === 0) {
+            this.showToast('No trails selected');
+            return;
+        }
+        const trails = Array.from(this.highlightedTrailIds)
+            .map(id => this.trailsById.get(id))
+            .filter(Boolean);
+        this.downloadGpx(trails, 'OpenOutdoors selection');
+    }
 
-        // New format: OSM refs
-        if (refsParam) {
-            try {
-                this.showLoading(true);
-                const refs = refsParam.split(',').map(ref => ref.trim()).filter(ref => ref);
-                
-                // Set map bounds if provided
-                if (bboxParam) {
-                    const [south, west, north, east] = bboxParam.split(',').map(parseFloat);
-                    if (!isNaN(south) && !isNaN(west) && !isNaN(north) && !isNaN(east)) {
-                        this.map.fitBounds([[south, west], [north, east]]);
-                    }
-                }
-                
-                // Fetch trails from OSM (handles both relations and nodes)
-                const trails = await this.fetchTrailsByRefs(refs);
-                
-                if (trails.length > 0) {
-                    // Merge with existing saved trails
-                    trails.forEach(trail => {
-                        if (!this.savedTrails.some(t => t.id === trail.id)) {
-                            this.savedTrails.push(trail);
-                        }
-                    });
+    exportSavedGpx() {
+        if (this.savedTrails.length === 0) {
+            this.showToast('No saved trails to export');
+            return;
+        }
+        this.downloadGpx(this.savedTrails, 'OpenOutdoors saved trails');
+    }
 
-                    this.saveSavedTrails();
-                    this.allTrails = [...this.savedTrails];
-                    
-                    // Display shared trails on map
-                    this.displayTrailsOnMap(trails);
-                    this.updateTrailsUI();
+    // ─── Trail Import ─────────────────────────────────────────────────────────
 
-                    this.showToast(`Loaded ${trails.length} shared trails!`);
+    async importTrailFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
 
-                    // Rebuild route hierarchy for walking/biking (not camping)
-                    const routeTrails = trails.filter(t => t.type !== 'node');
-                    if (routeTrails.length > 0 && this.currentSport !== 'camping') {
-                        this.organizeTrailHierarchy(routeTrails);
-                    }
-                } else {
-                    this.showToast('No trails could be loaded from shared link');
+        const imported = [];
+        for (const file of files) {
+            try {
+                const text = await file.text();
+                const trails = this.parseTrailFile(text, file.name);
+                if (trails.length === 0) {
+                    this.showToast(`No tracks found in ${file.name}`);
                 }
-                
-                this.showLoading(false);
-                
-                // Update URL to reflect loaded state
-                this.updateUrl();
+                imported.push(...trails);
             } catch (error) {
-                console.error('Error loading shared trails:', error);
-                this.showToast('Error loading shared trails');
-                this.showLoading(false);
+                console.error(`Error importing ${file.name}:`, error);
+                this.showToast(`Could not import ${file.name}`);
             }
-            return;
         }
-        
-        // Old format: full trail data (backward compatibility)
-        if (trailsParam) {
-            try {
-                const trailsData = JSON.parse(decodeURIComponent(trailsParam));
-                const trails = trailsData.map(t => ({
-                    id: t.i,
-                    type: 'relation',
-                    osmType: t.ot || 'relation',
-                    name: t.n,
-                    description: t.d,
-                    coordinates: t.c,
-                    wayGroups: t.wg || [],
-                    distance: t.di,
-                    tags: {}
-                }));
 
-                // Merge with existing saved trails
-                trails.forEach(trail => {
-                    if (!this.savedTrails.some(t => t.id === trail.id)) {
-                        this.savedTrails.push(trail);
-                    }
-                });
+        if (imported.length === 0) return;
 
-                this.saveSavedTrails();
-                this.allTrails = [...this.savedTrails];
-                
-                // Display shared trails on map
-                this.displayTrailsOnMap(trails);
-                this.updateTrailsUI();
+        // Imported trails only exist on this device, so they are saved straight away
+        this.savedTrails.push(...imported);
+        this.saveSavedTrails();
+        this.allTrails = [...imported, ...this.allTrails];
+        this.updateTrailIndexes();
 
-                this.showToast(`Loaded ${trails.length} shared trails!`);
+        this.displayTrailsOnMap(imported);
+        this.updateTrailsUI();
 
-                // Update URL to reflect loaded state
-                this.updateUrl();
-            } catch (error) {
-                console.error('Error loading shared trails:', error);
-                this.showToast('Error loading shared trails');
-            }
+        const allCoords = imported.flatMap(t => t.coordinates);
+        if (allCoords.length > 0) {
+            this.map.fitBounds(L.latLngBounds(allCoords).pad(0.2));
         }
+        this.showToast(`Imported ${imported.length} trail(s)`);
     }
 
-    async fetchTrailsByRefs(refs) {
-        try {
-            // Parse type-prefixed refs: r<id> = relation, n<id> = node, w<id> = way
-            // Legacy refs without prefix are treated as relations
-            const relationIds = [];
-            const nodeIds = [];
-            const wayIds = [];
+    parseTrailFile(text, filename) {
+        const ext = filename.split('.').pop().toLowerCase();
+        const trimmed = text.trim();
 
-            refs.forEach(ref => {
-                if (ref.startsWith('n')) {
-                    nodeIds.push(ref.substring(1));
-                } else if (ref.startsWith('w')) {
-                    wayIds.push(ref.substring(1));
-                } else {
-                    // 'r' prefix → relation; legacy refs without any prefix → also relation
-                    relationIds.push(ref.startsWith('r') ? ref.substring(1) : ref);
-                }
-            });
+        if (ext === 'geojson' || ext === 'json' || trimmed.startsWith('{')) {
+            return this.parseGeoJson(JSON.parse(trimmed), filename);
+        }
 
-            // Build Overpass query covering all requested types
-            const queryParts = [];
-            if (relationIds.length > 0) {
-                queryParts.push(relationIds.map(id => `relation(${id});`).join('\n                    '));
-            }
-            if (nodeIds.length > 0) {
-                queryParts.push(nodeIds.map(id => `node(${id});`).join('\n                    '));
-            }
-            if (wayIds.length > 0) {
-                queryParts.push(wayIds.map(id => `way(${id});`).join('\n                    '));
-            }
+        const xmlDoc = new DOMParser().parseFromString(trimmed, 'text/xml');
+        if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid XML');
+        }
 
-            const overpassQuery = `
-                [out:json][timeout:25];
-                (
-                    ${queryParts.join('\n                    ')}
-                );
-                out body;
-                >;
-                out skel qt;
-            `;
+        const rootName = xmlDoc.documentElement.localName;
+        if (rootName === 'gpx') return this.parseGpx(xmlDoc, filename);
+        if (rootName === 'kml') return this.parseKml(xmlDoc, filename);
+        throw new Error(`Unsupported file format: ${filename}`);
+    }
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000);
+    createLocalTrailId() {
+        return `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
 
-            const response = await fetch('https://overpass-api.de/api/interpreter', {
-                method: 'POST',
-                body: overpassQuery,
-                signal: controller.signal
-            });
+    // Builds a trail object with the same shape processSearchResults produces,
+    // marked with osmType 'local' so it is never fetched from Overpass.
+    createLocalTrail(name, wayGroups, tags, filename) {
+        const groups = wayGroups.filter(group => group.length > 1);
+        if (groups.length === 0) return null;
+
+        const allTags = { ...tags };
+        if (name) allTags.name = name;
+        return {
+            id: this.createLocalTrailId(),
+            type: 'relation',
+            osmType: 'local',
+            name: name || filename,
+            description: allTags.description || `Imported from ${filename}`,
+            tags: allTags,
+            members: [],
+            coordinates: groups.flat(),
+            wayGroups: groups,
+            routeLines: groups,
+            routeBranches: [],
+            routeGaps: [],
+            distance: null,
+            isSuperRoute: false,
+            isNetwork: false
+        };
+    }
 
-            clearTimeout(timeoutId);
+    createLocalPoi(name, lat, lon, tags, filename) {
+        if (isNaN(lat) || isNaN(lon)) return null;
+        const campingType = this.getCampingPoiType(tags);
+        return {
+            id: this.createLocalTrailId(),
+            type: 'node',
+            osmType: 'local',
+            lat,
+            lon,
+            name: name || CAMPING_POI_TYPES[campingType]?.label || 'Waypoint',
+            description: tags.description || `Imported from ${filename}`,
+            tags: { ...tags, ...(name ? { name } : {}) },
+            coordinates: [[lat, lon]],
+            wayGroups: [],
+            distance: null,
+            campingType
+        };
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    getXmlChildText(element, tagName) {
+        const child = Array.from(element.children).find(c => c.localName === tagName);
+        return child ? child.textContent.trim() : '';
+    }
 
-            const data = await response.json();
-            
-            // Process the response similar to processSearchResults
-            const ways = {};
-            const nodes = {};
-            const trails = [];
+    parseGpx(xmlDoc, filename) {
+        const results = [];
+        const toLatLon = pt => [parseFloat(pt.getAttribute('lat')), parseFloat(pt.getAttribute('lon'))];
+        const isValid = ([lat, lon]) => !isNaN(lat) && !isNaN(lon);
+
+        Array.from(xmlDoc.getElementsByTagNameNS('*', 'wpt')).forEach(wpt => {
+            const [lat, lon] = toLatLon(wpt);
+            const desc = this.getXmlChildText(wpt, 'desc');
+            const poi = this.createLocalPoi(this.getXmlChildText(wpt, 'name'), lat, lon,
+                desc ? { description: desc } : {}, filename);
+            if (poi) results.push(poi);
+        });
 
-            // First pass: collect all nodes
-            data.elements.forEach(element => {
-                if (element.type === 'node') {
-                    nodes[element.id] = element;
-                }
-            });
+        // Tracks: one way group per <trkseg>
+        Array.from(xmlDoc.getElementsByTagNameNS('*', 'trk')).forEach(trk => {
+            const groups = Array.from(trk.getElementsByTagNameNS('*', 'trkseg')).map(seg =>
+                Array.from(seg.getElementsByTagNameNS('*', 'trkpt')).map(toLatLon).filter(isValid)
+            );
+            const desc = this.getXmlChildText(trk, 'desc');
+            const trail = this.createLocalTrail(this.getXmlChildText(trk, 'name'), groups,
+                desc ? { description: desc } : {}, filename);
+            if (trail) results.push(trail);
+        });
 
-            // Second pass: collect ways
-            data.elements.forEach(element => {
-                if (element.type === 'way' && element.nodes) {
-                    const coords = element.nodes
-                        .map(nodeId => nodes[nodeId])
-                        .filter(node => node && node.lat && node.lon)
-                        .map(node => [node.lat, node.lon]);
+        // Routes: a single way group of <rtept>
+        Array.from(xmlDoc.getElementsByTagNameNS('*', 'rte')).forEach(rte => {
+            const points = Array.from(rte.getElementsByTagNameNS('*', 'rtept')).map(toLatLon).filter(isValid);
+            const desc = this.getXmlChildText(rte, 'desc');
+            const trail = this.createLocalTrail(this.getXmlChildText(rte, 'name'), [points],
+                desc ? { description: desc } : {}, filename);
+            if (trail) results.push(trail);
+        });
 
-                    if (coords.length > 0) {
-                        ways[element.id] = {
-                            id: element.id,
-                            type: 'way',
-                            tags: element.tags || {},
-                            coordinates: coords
-                        };
-                    }
-                }
+        return results;
+    }
+
+    parseKml(xmlDoc, filename) {
+        const results = [];
+        // KML coordinates are "lon,lat[,alt]" tuples separated by whitespace
+        const parseCoords = text => text.trim().split(/\s+/)
+            .map(tuple => tuple.split(',').map(parseFloat))
+            .filter(([lon, lat]) => !isNaN(lat) && !isNaN(lon))
+            .map(([lon, lat]) => [lat, lon]);
+
+        Array.from(xmlDoc.getElementsByTagNameNS('*', 'Placemark')).forEach(placemark => {
+            const name = this.getXmlChildText(placemark, 'name');
+            const desc = this.getXmlChildText(placemark, 'description');
+            const tags = desc ? { description: desc } : {};
+
+            const groups = Array.from(placemark.getElementsByTagNameNS('*', 'LineString')).map(line => {
+                const coordsEl = line.getElementsByTagNameNS('*', 'coordinates')[0];
+                return coordsEl ? parseCoords(coordsEl.textContent) : [];
             });
 
-            // Third pass: process requested nodes as camping POIs
-            const nodeIdSet = new Set(nodeIds.map(id => parseInt(id)));
-            data.elements.forEach(element => {
-                if (element.type === 'node' && nodeIdSet.has(element.id) && element.tags) {
-                    const campingType = this.getCampingPoiType(element.tags);
-                    if (element.lat && element.lon) {
-                        const poi = {
-                            id: element.id,
-                            type: 'node',
-                            osmType: 'node',
-                            lat: element.lat,
-                            lon: element.lon,
-                            name: element.tags.name || CAMPING_POI_TYPES[campingType]?.label || campingType || 'Amenity',
-                            description: this.getCampingDescription(element.tags),
-                            tags: element.tags,
-                            coordinates: [[element.lat, element.lon]],
-                            wayGroups: [],
-                            distance: null,
-                            campingType
-                        };
-                        trails.push(poi);
-                    }
-                }
+            // gx:Track stores "lon lat alt" per <gx:coord>
+            Array.from(placemark.getElementsByTagNameNS('*', 'Track')).forEach(track => {
+                groups.push(Array.from(track.getElementsByTagNameNS('*', 'coord'))
+                    .map(c => c.textContent.trim().split(/\s+/).map(parseFloat))
+                    .filter(([lon, lat]) => !isNaN(lat) && !isNaN(lon))
+                    .map(([lon, lat]) => [lat, lon]));
             });
 
-            // Fourth pass: process relations
-            data.elements.forEach(element => {
-                if (element.type === 'relation') {
-                    const trail = {
-                        id: element.id,
-                        type: 'relation',
-                        osmType: 'relation',
-                        name: element.tags?.name || element.tags?.ref || `Trail ${element.id}`,
-                        description: this.getTrailDescription(element.tags),
-                        tags: element.tags || {},
-                        members: element.members || [],
-                        coordinates: [],
-                        wayGroups: [],
-                        distance: element.tags?.distance || null
-                    };
+            if (groups.length > 0) {
+                const trail = this.createLocalTrail(name, groups, tags, filename);
+                if (trail) results.push(trail);
+                return;
+            }
 
-                    // Collect coordinates from member ways - keep them separated by way
-                    if (element.members) {
-                        element.members.forEach(member => {
-                            if (member.type === 'way' && ways[member.ref]) {
-                                const wayCoords = ways[member.ref].coordinates;
-                                trail.wayGroups.push(wayCoords);
-                                trail.coordinates.push(...wayCoords);
-                            }
-                        });
-                    }
+            const point = placemark.getElementsByTagNameNS('*', 'Point')[0];
+            const coordsEl = point && point.getElementsByTagNameNS('*', 'coordinates')[0];
+            if (coordsEl) {
+                const [latLon] = parseCoords(coordsEl.textContent);
+                const poi = latLon && this.createLocalPoi(name, latLon[0], latLon[1], tags, filename);
+                if (poi) results.push(poi);
+            }
+        });
 
-                    if (trail.coordinates.length > 0) {
-                        trails.push(trail);
-                    }
-                }
+        return results;
+    }
+
+    parseGeoJson(geojson, filename) {
+        const results = [];
+        const features = geojson.type === 'FeatureCollection' ? geojson.features || []
+            : geojson.type === 'Feature' ? [geojson]
+            : [{ type: 'Feature', properties: {}, geometry: geojson }];
+        const toLatLon = ([lon, lat]) => [lat, lon];
+
+        features.forEach(feature => {
+            const geometry = feature.geometry;
+            if (!geometry) return;
+
+            // Keep scalar properties as tags, stringified like OSM tag values
+            const tags = {};
+            Object.entries(feature.properties || {}).forEach(([k, v]) => {
+                if (v !== null && typeof v !== 'object') tags[k] = String(v);
             });
+            const name = tags.name || '';
+
+            if (geometry.type === 'LineString') {
+                const trail = this.createLocalTrail(name, [geometry.coordinates.map(toLatLon)], tags, filename);
+                if (trail) results.push(trail);
+            } else if (geometry.type === 'MultiLineString') {
+                const trail = this.createLocalTrail(name, geometry.coordinates.map(line => line.map(toLatLon)), tags, filename);
+                if (trail) results.push(trail);
+            } else if (geometry.type === 'Point') {
+                const [lat, lon] = toLatLon(geometry.coordinates);
+                const poi = this.createLocalPoi(name, lat, lon, tags, filename);
+                if (poi) results.push(poi);
+            }
+        });
 
-            return trails;
-        } catch (error) {
-            console.error('Error fetching trails by refs:', error);
-            throw error;
-        }
+        return results;
     }
 
     registerServiceWorker() {
@@ -2305,6 +7368,7 @@ class TrailsApp {
                 navigator.serviceWorker.register('/service-worker.js')
                     .then(registration => {
                         console.log('ServiceWorker registered:', registration);
+                        this.sendTileSourcesToServiceWorker();
                     })
                     .catch(error => {
                         console.log('ServiceWorker registration failed:', error);
@@ -2391,10 +7455,14 @@ class TrailsApp {
         }
     }
 
-    async organizeTrailHierarchy(trails) {
+    // Parents already looked up for a trail (trail.parentRelations) are reused, so auto-search
+    // can regroup everything loaded while only fetching parents of the new trails
+    async organizeTrailHierarchy(trails, showProgress = true) {
         try {
-            this.showLoading(true);
-            this.showToast('Fetching parent routes...');
+            if (showProgress) {
+                this.showLoading(true);
+                this.showToast('Fetching parent routes...');
+            }
             
             // Track which trails have been processed to avoid loops
             const processed = new Set();
@@ -2410,10 +7478,10 @@ class TrailsApp {
                     if (processed.has(trail.id)) return null;
                     
                     try {
-                        const parents = await this.fetchParentRelations(trail.id);
+                        const parents = trail.parentRelations || await this.fetchParentRelations(trail.id);
+                        trail.parentRelations = parents;
                         
                         if (parents.length > 0) {
-                            trail.parentRelations = parents;
                             processed.add(trail.id);
                             return { trail, parents };
                         }
@@ -2524,11 +7592,11 @@ class TrailsApp {
                 }
             }
             
-            this.showLoading(false);
+            if (showProgress) this.showLoading(false);
             this.updateTrailsUI();
         } catch (error) {
             console.error('Error organizing trail hierarchy:', error);
-            this.showLoading(false);
+            if (showProgress) this.showLoading(false);
             // Still update UI even if there were errors
             this.updateTrailsUI();
         }
@@ -2552,22 +7620,15 @@ class TrailsApp {
                 if (!this.savedTrailIds.has(child.id)) {
                     this.savedTrails.push(child);
                 }
-                
-                // Update child trail color on map
-                const layerGroup = this.trailLayers.get(child.id);
-                if (layerGroup) {
-                    if (layerGroup.allPolylines) {
-                        layerGroup.allPolylines.forEach(polyline => {
-                            polyline.setStyle({ color: '#2c7a3f' });
-                        });
-                    } else {
-                        layerGroup.setStyle({ color: '#2c7a3f' });
-                    }
-                }
             });
         }
         
         this.saveSavedTrails();
+
+        // Restyle children now that they count as saved
+        if (parent.childRelations) {
+            parent.childRelations.forEach(child => this.updateTrailColor(child.id));
+        }
         this.updateTrailsUI();
         
         const childCount = parent.childRelations ? parent.childRelations.length : 0;
@@ -1,5 +1,15 @@
 // Service Worker for OpenOutdoors PWA
-const CACHE_NAME = 'openoutdoors-v1';
+const CACHE_NAME = 'openoutdoors-v3';
+// Offline tile packs are written by the app (see TILE_CACHE_NAME in app.js)
+const TILE_CACHE_NAME = 'openoutdoors-tiles-v1';
+// Tiles viewed while browsing are cached per tile source, each capped at TILE_SOURCE_MAX_ENTRIES
+// (v2: earlier caches held opaque responses and are dropped on activate)
+const TILE_SOURCE_CACHE_PREFIX = 'openoutdoors-tiles-source-v2-';
+const TILE_SOURCE_MAX_ENTRIES = 2000;
+const TILE_TRIM_INTERVAL = 50; // Check a source cache's size every this many new tiles
+// Tile sources come from the app's settings (postMessage) and are kept here across restarts
+const CONFIG_CACHE_NAME = 'openoutdoors-config';
+const TILE_SOURCES_KEY = '/__tile-sources';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -18,6 +28,147 @@ const NO_CACHE_DOMAINS = [
   'nominatim.openstreetmap.org'
 ];
 
+// Used until the app has sent its tile sources
+const DEFAULT_TILE_SOURCES = [
+  {
+    id: 'osm',
+    template: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    canonical: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'
+  }
+];
+
+let tileSourcesPromise = null;
+// Tiles put per source cache since this worker started. Idle workers are stopped often, so
+// a cache is trimmed on its first put after each start as well as every TILE_TRIM_INTERVAL puts.
+const tilePutCounts = {};
+
+// Turns a Leaflet URL template into a regex capturing z/x/y; other placeholders match anything
+function compileTileSource(source) {
+  const names = [];
+  const pattern = source.template
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, (match, name) => {
+      if (name === 'z' || name === 'x' || name === 'y') {
+        names.push(name);
+        return '(\\d+)';
+      }
+      return '[^/?&]*';
+    });
+  return { ...source, regex: new RegExp(`^${pattern}$`), names };
+}
+
+function setTileSources(sources) {
+  tileSourcesPromise = Promise.resolve(sources.map(compileTileSource));
+}
+
+function loadTileSources() {
+  if (!tileSourcesPromise) {
+    tileSourcesPromise = caches.open(CONFIG_CACHE_NAME)
+      .then(cache => cache.match(TILE_SOURCES_KEY))
+      .then(response => response ? response.json() : DEFAULT_TILE_SOURCES)
+      .catch(() => DEFAULT_TILE_SOURCES)
+      .then(sources => sources.map(compileTileSource));
+  }
+  return tileSourcesPromise;
+}
+
+// Returns { source, key } for tile requests, where key is the tile's canonical URL
+function matchTileSource(sources, url) {
+  for (const source of sources) {
+    const match = source.regex.exec(url);
+    if (match) {
+      const values = {};
+      source.names.forEach((name, i) => { values[name] = match[i + 1]; });
+      const key = source.canonical
+        .replace('{z}', values.z)
+        .replace('{x}', values.x)
+        .replace('{y}', values.y);
+      return { source, key };
+    }
+  }
+  return null;
+}
+
+// Drops the oldest entries (caches keep insertion order) once a source cache is over its cap
+async function trimTileCache(cacheName) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  const excess = keys.length - TILE_SOURCE_MAX_ENTRIES;
+  if (excess > 0) {
+    await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+  }
+}
+
+// Tiles: downloaded offline areas first, then the source's cache, then the network
+async function serveTile(event, { source, key }) {
+  const packed = await caches.open(TILE_CACHE_NAME).then(cache => cache.match(key));
+  if (packed) {
+    return packed;
+  }
+
+  const cacheName = TILE_SOURCE_CACHE_PREFIX + source.id;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(key);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(event.request);
+  // Opaque responses are never cached: they can't be checked and browsers charge them
+  // several MB of storage quota each. Tile layers request with CORS to avoid them, except
+  // for sources set to crossOrigin: false, whose tiles are then only shown, not cached.
+  if (response.ok) {
+    event.waitUntil(cache.put(key, response.clone()).then(() => {
+      const puts = tilePutCounts[cacheName] || 0;
+      tilePutCounts[cacheName] = puts + 1;
+      if (puts % TILE_TRIM_INTERVAL === 0) {
+        return trimTileCache(cacheName);
+      }
+    }));
+  }
+  return response;
+}
+
+function serveAsset(request) {
+  return caches.match(request)
+    .then(response => {
+      // Cache hit - return response
+      if (response) {
+        return response;
+      }
+
+      // Clone the request
+      const fetchRequest = request.clone();
+
+      return fetch(fetchRequest).then(response => {
+        // Check if valid response
+        if (!response || response.status !== 200 || response.type !== 'basic') {
+          return response;
+        }
+
+        // Clone the response
+        const responseToCache = response.clone();
+
+        // Cache the fetched response for future use
+        caches.open(CACHE_NAME)
+          .then(cache => {
+            // Don't cache API requests from excluded domains
+            const shouldCache = !NO_CACHE_DOMAINS.some(domain => 
+              request.url.includes(domain)
+            );
+            if (shouldCache) {
+              cache.put(request, responseToCache);
+            }
+          });
+
+        return response;
+      }).catch(() => {
+        // Return a custom offline page if available
+        return caches.match('/index.html');
+      });
+    });
+}
+
 // Install event - cache static assets
 self.addEventListener('install', event => {
   event.waitUntil(
@@ -35,46 +186,37 @@ self.addEventListener('install', event => {
   self.skipWaiting();
 });
 
+// Tile sources from the app's map layer settings
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'tile-sources' && Array.isArray(event.data.sources)) {
+    const sources = event.data.sources;
+    setTileSources(sources);
+    const sourceCacheNames = sources.map(source => TILE_SOURCE_CACHE_PREFIX + source.id);
+    event.waitUntil(Promise.all([
+      caches.open(CONFIG_CACHE_NAME).then(cache => cache.put(
+        TILE_SOURCES_KEY,
+        new Response(JSON.stringify(sources), { headers: { 'Content-Type': 'application/json' } })
+      )),
+      // Sources removed from the settings don't need their tiles any more
+      caches.keys().then(cacheNames => Promise.all(cacheNames
+        .filter(name => name.startsWith(TILE_SOURCE_CACHE_PREFIX) && !sourceCacheNames.includes(name))
+        .map(name => caches.delete(name))))
+    ]));
+  }
+});
+
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Cache hit - return response
-        if (response) {
-          return response;
-        }
+  // Only GET requests are cacheable; Overpass queries (any configured endpoint) are POSTs
+  if (event.request.method !== 'GET') {
+    return;
+  }
 
-        // Clone the request
-        const fetchRequest = event.request.clone();
-
-        return fetch(fetchRequest).then(response => {
-          // Check if valid response
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
-          }
-
-          // Clone the response
-          const responseToCache = response.clone();
-
-          // Cache the fetched response for future use
-          caches.open(CACHE_NAME)
-            .then(cache => {
-              // Don't cache API requests from excluded domains
-              const shouldCache = !NO_CACHE_DOMAINS.some(domain => 
-                event.request.url.includes(domain)
-              );
-              if (shouldCache) {
-                cache.put(event.request, responseToCache);
-              }
-            });
-
-          return response;
-        }).catch(() => {
-          // Return a custom offline page if available
-          return caches.match('/index.html');
-        });
-      })
+  event.respondWith(
+    loadTileSources().then(sources => {
+      const tile = matchTileSource(sources, event.request.url);
+      return tile ? serveTile(event, tile) : serveAsset(event.request);
+    })
   );
 });
 
@@ -84,7 +226,11 @@ self.addEventListener('activate', event => {
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          const keep = cacheName === CACHE_NAME ||
+            cacheName === TILE_CACHE_NAME ||
+            cacheName === CONFIG_CACHE_NAME ||
+            cacheName.startsWith(TILE_SOURCE_CACHE_PREFIX);
+          if (!keep) {
             console.log('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
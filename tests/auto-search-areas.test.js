@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./load-app');
+
+const app = loadApp();
+const box = { south: 0, west: 0, north: 10, east: 10 };
+
+test('subtractBbox returns the parts of a box outside the hole', () => {
+    assert.deepEqual(plain(app.subtractBbox(box, { south: 20, west: 20, north: 30, east: 30 })), [box]);
+    assert.deepEqual(plain(app.subtractBbox(box, { south: -1, west: -1, north: 11, east: 11 })), []);
+    assert.deepEqual(plain(app.subtractBbox(box, { south: 4, west: 4, north: 6, east: 6 })), [
+        { south: 0, west: 0, north: 4, east: 10 },
+        { south: 6, west: 0, north: 10, east: 10 },
+        { south: 4, west: 0, north: 6, east: 4 },
+        { south: 4, west: 6, north: 6, east: 10 }
+    ]);
+    assert.deepEqual(plain(app.subtractBbox(box, { south: 5, west: -5, north: 15, east: 15 })), [
+        { south: 0, west: 0, north: 5, east: 10 }
+    ]);
+});
+
+test('getUncoveredBboxes leaves only the parts of the view not searched yet', () => {
+    const covered = [
+        { south: -5, west: -5, north: 5, east: 15 },
+        { south: 5, west: 5, north: 15, east: 15 }
+    ];
+    assert.deepEqual(plain(app.getUncoveredBboxes(box, covered)), [{ south: 5, west: 0, north: 10, east: 5 }]);
+    assert.deepEqual(plain(app.getUncoveredBboxes(box, [...covered, { south: 0, west: -1, north: 11, east: 6 }])), []);
+});
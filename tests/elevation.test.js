@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { loadApp } = require('./load-app');
+
+// A local DEM server: small .hgt files (HGT_SIZE x HGT_SIZE samples) where each sample is
+// row * 100 + col, with one void sample, and a 404 for every other name
+const HGT_SIZE = 11;
+const requests = [];
+
+function createHgt() {
+    const buffer = Buffer.alloc(HGT_SIZE * HGT_SIZE * 2);
+    for (let row = 0; row < HGT_SIZE; row++) {
+        for (let col = 0; col < HGT_SIZE; col++) {
+            buffer.writeInt16BE(row * 100 + col, (row * HGT_SIZE + col) * 2);
+        }
+    }
+    buffer.writeInt16BE(-32768, (5 * HGT_SIZE + 5) * 2);
+    return buffer;
+}
+
+let server;
+let baseUrl;
+test.before(async () => {
+    const hgt = createHgt();
+    server = http.createServer((req, res) => {
+        requests.push(req.url);
+        if (/^\/(N50E006|S01W001|N\d\dE010)\.hgt$/.test(req.url)) {
+            res.end(hgt);
+        } else {
+            res.statusCode = 404;
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function createApp(storedConfig = null) {
+    const app = loadApp({
+        fetch,
+        console: { ...console, warn() {} }, // Missing tiles are logged, expectedly here
+        localStorage: { getItem: key => key === 'openoutdoors_elevation' ? storedConfig : null }
+    });
+    app.elevationProviders = {
+        terrarium: (points, config) => app.fetchTerrariumElevations(points, config),
+        hgt: (points, config) => app.fetchHgtElevations(points, config)
+    };
+    app.elevationTileCache = new Map();
+    app.savedTrailIds = new Set();
+    return app;
+}
+
+test('HGT files are named by their south-west corner and read north to south', async () => {
+    const app = createApp();
+    const config = { url: `${baseUrl}/{name}.hgt` };
+    const elevations = await app.fetchHgtElevations([
+        { lat: 50.9999, lon: 6 }, // North-west corner: row 0, col 0
+        { lat: 50, lon: 6.999 }, // South-east corner: last row, last col
+        { lat: 50.7, lon: 6.3 }, // Row 3, col 3
+        { lat: 50.5, lon: 6.5 }, // Void sample
+        { lat: -0.1, lon: -0.2 }, // S01W001: row 1, col 8
+        { lat: 40.5, lon: 6.5 } // No file on the server
+    ], config);
+    assert.deepEqual(Array.from(elevations), [0, 1010, 303, null, 108, null]);
+});
+
+test('Terrarium pixels decode as (R * 256 + G + B / 256) - 32768', async () => {
+    const app = createApp();
+    // A 2x2 tile: 0 m, 100.5 m, -10 m and 8848 m
+    const pixels = [[128, 0, 0], [128, 100, 128], [127, 246, 0], [162, 144, 0]];
+    const image = { width: 2, height: 2, data: Uint8ClampedArray.from(pixels.flatMap(rgb => [...rgb, 255])) };
+    const urls = [];
+    app.loadTerrariumTile = async (url) => {
+        urls.push(url);
+        return image;
+    };
+
+    // Points at the centres of the four pixels of tile 12/2121/1370
+    const zoom = 12;
+    const n = 2 ** zoom;
+    const pointInTile = (x, y) => ({
+        lat: Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI,
+        lon: x / n * 360 - 180
+    });
+    const elevations = await app.fetchTerrariumElevations(
+        [pointInTile(2121.25, 1370.25), pointInTile(2121.75, 1370.25), pointInTile(2121.25, 1370.75), pointInTile(2121.75, 1370.75)],
+        { url: 'http://dem.local/{z}/{x}/{y}.png', zoom }
+    );
+    assert.deepEqual(Array.from(elevations), [0, 100.5, -10, 8848]);
+    assert.deepEqual([...new Set(urls)], ['http://dem.local/12/2121/1370.png']);
+});
+
+test('the elevation tile cache keeps only the most recently used tiles', async () => {
+    const app = createApp();
+    const url = lat => `${baseUrl}/N${lat}E010.hgt`;
+    requests.length = 0;
+
+    await app.loadHgtFile(url(10));
+    for (let lat = 11; lat < 60; lat++) {
+        await app.loadHgtFile(url(lat));
+        await app.loadHgtFile(url(10)); // Kept in use, so never evicted
+    }
+    assert.equal(app.elevationTileCache.size, 32);
+    assert.ok(app.elevationTileCache.has(url(10)));
+    assert.ok(!app.elevationTileCache.has(url(11)));
+    assert.equal(requests.filter(path => path === '/N10E010.hgt').length, 1);
+
+    await app.loadHgtFile(url(11));
+    assert.equal(requests.filter(path => path === '/N11E010.hgt').length, 2);
+});
+
+test('failed tiles are not cached, so they are fetched again', async () => {
+    const app = createApp();
+    requests.length = 0;
+    await assert.rejects(app.loadHgtFile(`${baseUrl}/missing.hgt`));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(app.elevationTileCache.size, 0);
+    await assert.rejects(app.loadHgtFile(`${baseUrl}/missing.hgt`));
+    assert.equal(requests.length, 2);
+});
+
+test('the profile uses the provider named in the stored config', async () => {
+    const app = createApp(JSON.stringify({ provider: 'ramp' }));
+    const seen = [];
+    app.registerElevationProvider('ramp', async (points, config) => {
+        seen.push(config);
+        return points.map((point, i) => (i % 2 === 0 ? 100 + i * 10 : null));
+    });
+
+    const trail = { id: 't', type: 'relation', routeLines: [[[50, 6], [50, 6.01], [50, 6.02]]] };
+    const profile = await app.getElevationProfile(trail);
+    assert.equal(seen.length, 1);
+    assert.equal(seen[0].provider, 'ramp');
+    assert.equal(seen[0].zoom, 12); // Defaults fill in what the stored config leaves out
+    assert.ok(profile.points.every(point => typeof point.elevation === 'number'));
+    assert.equal(profile.min, 100);
+    assert.ok(profile.ascent > 0 && profile.descent === 0);
+    assert.equal(trail.elevationProfile, profile);
+});
+
+test('the HGT provider is used against a local server when configured', async () => {
+    const app = createApp(JSON.stringify({ provider: 'hgt', url: `${baseUrl}/{name}.hgt` }));
+    const trail = { id: 't', type: 'relation', routeLines: [[[50.9, 6.1], [50.9, 6.2]]] };
+    const profile = await app.getElevationProfile(trail);
+    assert.equal(profile.points[0].elevation, 101);
+    assert.equal(profile.points[profile.points.length - 1].elevation, 102);
+});
+
+test('an unknown provider is reported', async () => {
+    const app = createApp(JSON.stringify({ provider: 'nope' }));
+    const trail = { id: 't', type: 'relation', routeLines: [[[50, 6], [50, 6.01]]] };
+    await assert.rejects(app.getElevationProfile(trail), /Unknown elevation provider: nope/);
+});
@@ -0,0 +1,28 @@
+// app.js is a browser script: run it with just enough of a page to define TrailsApp, and
+// make instances without the constructor so no map, storage or network is touched
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+
+function loadApp(globals = {}) {
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        AbortController,
+        document: { addEventListener() {} },
+        L: { latLng: (lat, lng) => ({ lat, lng }) },
+        ...globals
+    });
+    vm.runInContext(`${source}\nglobalThis.TrailsApp = TrailsApp;`, context);
+    return Object.create(context.TrailsApp.prototype);
+}
+
+// Plain copies of values made inside the app's context, whose prototypes fail deepStrictEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+module.exports = { loadApp, plain };
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+// A 1.1 km trail running due north at 60°N, where a degree of longitude is only ~55.6 km
+const LAT = 60;
+const LON = 10;
+const METERS_PER_DEGREE_LON = 111195 * Math.cos(LAT * Math.PI / 180);
+const trail = { id: 'relation/1', name: 'Test Trail', type: 'relation', routeLines: [[[LAT, LON], [LAT + 0.01, LON]]] };
+
+// A fix `metres` east of the trail, halfway along it
+const east = (metres, accuracy = 5) => ({ lat: LAT + 0.005, lon: LON + metres / METERS_PER_DEGREE_LON, accuracy });
+
+// Follows the trail with the map, DOM and progress display stubbed out, recording alerts
+function followTrail() {
+    const events = [];
+    const app = loadApp({ navigator: { vibrate: pattern => events.push({ vibrate: Array.from(pattern) }) } });
+    app.settings = { offRouteDistanceMeters: 50 };
+    app.trailsById = new Map([[trail.id, trail]]);
+    app.activeRouteId = trail.id;
+    app.offRoute = false;
+    app.offRouteFixes = 0;
+    app.gpsTrailPoints = [];
+    app.gpsAccuracyCircle = { setLatLng() {}, setRadius() {} };
+    app.userMarker = { setLatLng() {} };
+    app.gpsTrailLayer = { setLatLngs() {} };
+    app.updateRouteProgress = () => {};
+    app.showRouteBanner = (text, state) => events.push({ state, text });
+    app.showToast = text => events.push({ toast: text });
+    return { app, events };
+}
+
+const states = events => events.filter(event => event.state).map(event => event.state);
+
+test('fixes on the trail raise no alert', async () => {
+    const { app, events } = followTrail();
+    await app.simulateGpsFeed([east(0), east(10), east(-20), east(30)], 1);
+    assert.equal(app.offRoute, false);
+    assert.deepEqual(events, []);
+});
+
+test('distance east of the trail is measured in true metres at high latitude', async () => {
+    const { app, events } = followTrail();
+    // 45 m away is within the 50 m alert distance, although 0.0008° of longitude would be 89 m at the equator
+    await app.simulateGpsFeed([east(45), east(45), east(45)], 1);
+    assert.equal(app.offRoute, false);
+    assert.deepEqual(events, []);
+});
+
+test('the alert fires after consecutive fixes beyond the alert distance', async () => {
+    const { app, events } = followTrail();
+    await app.simulateGpsFeed([east(100)], 1);
+    assert.equal(app.offRoute, false); // One fix could be a GPS jump
+    await app.simulateGpsFeed([east(120)], 1);
+    assert.equal(app.offRoute, true);
+    assert.deepEqual(states(events), ['off-route']);
+    assert.match(events[0].text, /^Off route: 120 m from Test Trail$/);
+    assert.deepEqual(events[1], { vibrate: [300, 150, 300] });
+});
+
+test('a single stray fix between good ones does not alert', async () => {
+    const { app, events } = followTrail();
+    await app.simulateGpsFeed([east(100), east(5), east(100), east(5)], 1);
+    assert.equal(app.offRoute, false);
+    assert.deepEqual(events, []);
+});
+
+test('fixes less accurate than the alert distance are ignored', async () => {
+    const { app, events } = followTrail();
+    await app.simulateGpsFeed([east(200, 80), east(200, 80), east(200, 80)], 1);
+    assert.equal(app.offRoute, false);
+    assert.deepEqual(events, []);
+
+    // They don't break a run of good off-route fixes either
+    await app.simulateGpsFeed([east(100), east(5, 80), east(100)], 1);
+    assert.equal(app.offRoute, true);
+});
+
+test('the alert clears once back well within the alert distance', async () => {
+    const { app, events } = followTrail();
+    await app.simulateGpsFeed([east(100), east(100)], 1);
+    assert.equal(app.offRoute, true);
+
+    // 45 m is within the alert distance but not yet back on the trail
+    await app.simulateGpsFeed([east(45)], 1);
+    assert.equal(app.offRoute, true);
+
+    await app.simulateGpsFeed([east(10)], 1);
+    assert.equal(app.offRoute, false);
+    assert.deepEqual(states(events), ['off-route', 'off-route', 'on-route']);
+    assert.deepEqual(events[events.length - 1], { toast: 'Back on route' });
+
+    // A new alert needs another run of off-route fixes
+    await app.simulateGpsFeed([east(100)], 1);
+    assert.equal(app.offRoute, false);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const app = loadApp();
+const area = { south: 50.80, west: 5.60, north: 50.90, east: 5.80 };
+
+test('countTilesForBounds matches the tile URLs a download would fetch', () => {
+    const urls = app.getTileUrlsForBounds(area, 10, 14, 'https://tile.local/{z}/{x}/{y}.png');
+    assert.equal(app.countTilesForBounds(area, 10, 14), urls.length);
+    assert.equal(new Set(urls).size, urls.length);
+    assert.ok(urls.includes('https://tile.local/10/528/343.png'));
+});
+
+test('countTilesForBounds stops once the limit is passed', () => {
+    const world = { south: -85, west: -180, north: 85, east: 180 };
+    const started = Date.now();
+    const count = app.countTilesForBounds(world, 1, 19, 2500);
+    assert.ok(count > 2500 && count < 4 ** 8);
+    assert.ok(Date.now() - started < 100);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./load-app');
+
+const app = loadApp();
+
+test('parseOsmcSymbol reads colours, shapes and text', () => {
+    assert.deepEqual(plain(app.parseOsmcSymbol('red:white:red_bar')), {
+        waycolor: 'red',
+        background: 'white',
+        backgroundShape: '',
+        foregrounds: [{ color: 'red', shape: 'bar' }],
+        text: '',
+        textcolor: 'black'
+    });
+    const symbol = app.parseOsmcSymbol('blue:white_circle:blue_dot:7:blue');
+    assert.equal(symbol.backgroundShape, 'circle');
+    assert.equal(symbol.text, '7');
+    assert.equal(symbol.textcolor, 'blue');
+    assert.equal(app.parseOsmcSymbol('red:white:red_unknownshape').foregrounds.length, 0);
+});
+
+test('parseOsmcSymbol rejects missing or unknown colours', () => {
+    assert.equal(app.parseOsmcSymbol(''), null);
+    assert.equal(app.parseOsmcSymbol('red'), null);
+    assert.equal(app.parseOsmcSymbol('mauve:white'), null);
+    assert.equal(app.parseOsmcSymbol('red:white_square'), null);
+});
+
+test('each round shield clips to its own path', () => {
+    app.osmcShieldCount = 0;
+    const clipIds = ['red:white_circle:red_dot', 'blue:white_circle:blue_dot']
+        .map(value => /<clipPath id="([^"]+)"/.exec(app.createOsmcShieldHtml(value))[1]);
+    assert.equal(new Set(clipIds).size, 2);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const QUERY = '[out:json][timeout:25];relation["route"="hiking"](50,5,51,6);out body;';
+
+// Endpoints whose URL contains "slow" only answer by failing once aborted
+function createApp(endpoints) {
+    const calls = [];
+    const fetch = (url, { signal }) => {
+        calls.push(url);
+        if (!url.includes('slow')) {
+            return Promise.resolve({ ok: true, status: 200, json: async () => ({ elements: [], from: url }) });
+        }
+        return new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+        });
+    };
+    const app = loadApp({ fetch, console: { ...console, warn() {} } });
+    app.settings = { overpassEndpoints: endpoints };
+    return { app, calls };
+}
+
+test('a slow endpoint fails over after its own timeout, whatever the query asks the server for', async () => {
+    const { app, calls } = createApp([
+        { url: 'http://slow.local/api/interpreter', timeout: 50 },
+        { url: 'http://fast.local/api/interpreter', timeout: 50 }
+    ]);
+    const started = Date.now();
+    const data = await app.fetchOverpass(QUERY);
+    assert.equal(data.from, 'http://fast.local/api/interpreter');
+    assert.deepEqual(calls, ['http://slow.local/api/interpreter', 'http://fast.local/api/interpreter']);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('a minimum timeout lets slow queries wait longer than the endpoint timeout', async () => {
+    const { app } = createApp([
+        { url: 'http://slow.local/api/interpreter', timeout: 50 },
+        { url: 'http://fast.local/api/interpreter', timeout: 50 }
+    ]);
+    const started = Date.now();
+    await app.fetchOverpass(QUERY, 300);
+    assert.ok(Date.now() - started >= 290);
+});
+
+test('the last error is reported when every endpoint times out', async () => {
+    const { app, calls } = createApp([
+        { url: 'http://slow.local/a', timeout: 20 },
+        { url: 'http://slow.local/b', timeout: 20 }
+    ]);
+    await assert.rejects(app.fetchOverpass(QUERY), { name: 'AbortError' });
+    assert.equal(calls.length, 2);
+});
+
+// Two hiking routes, one in the west and one in the east of a 1° square, plus a route whose
+// only way crosses the west half without a node in it, a camp site in the east and a guidepost
+const RESPONSE = {
+    elements: [
+        { type: 'relation', id: 1, tags: { route: 'hiking', name: 'West' }, members: [{ type: 'way', ref: 10, role: '' }] },
+        { type: 'relation', id: 2, tags: { route: 'hiking', name: 'East' }, members: [{ type: 'way', ref: 20, role: '' }] },
+        { type: 'relation', id: 3, tags: { route: 'hiking', name: 'Across' }, members: [{ type: 'way', ref: 30, role: '' }] },
+        { type: 'relation', id: 4, tags: { route: 'hiking', name: 'Post' }, members: [{ type: 'node', ref: 400, role: 'guidepost' }] },
+        { type: 'node', id: 200, lat: 50.5, lon: 5.9, tags: { tourism: 'camp_site' } },
+        { type: 'way', id: 10, nodes: [100, 101] },
+        { type: 'way', id: 20, nodes: [102, 103] },
+        { type: 'way', id: 30, nodes: [104, 105] },
+        { type: 'node', id: 100, lat: 50.2, lon: 5.1 },
+        { type: 'node', id: 101, lat: 50.3, lon: 5.2 },
+        { type: 'node', id: 102, lat: 50.2, lon: 5.8 },
+        { type: 'node', id: 103, lat: 50.3, lon: 5.9 },
+        { type: 'node', id: 104, lat: 50.1, lon: 4.8 },
+        { type: 'node', id: 105, lat: 50.9, lon: 5.3 },
+        { type: 'node', id: 400, lat: 50.8, lon: 5.8 }
+    ]
+};
+
+function createCachingApp() {
+    let fetches = 0;
+    const fetch = async () => {
+        fetches++;
+        return { ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(RESPONSE)) };
+    };
+    const app = loadApp({ fetch });
+    app.settings = { overpassEndpoints: [{ url: 'http://mock.local/api/interpreter', timeout: 1000 }], overpassCacheTtlMinutes: 10 };
+    app.overpassCache = [];
+    return { app, fetchCount: () => fetches };
+}
+
+const names = data => data.elements.filter(element => element.tags).map(element => element.tags.name || element.tags.tourism);
+const request = area => ({ sport: 'walking', filterKey: 'all|', area });
+
+test('a cached response for a larger area is clipped to the requested area', async () => {
+    const { app, fetchCount } = createCachingApp();
+    const whole = await app.fetchOverpassCached(QUERY, request({ type: 'bbox', south: 50, west: 4.5, north: 51, east: 6 }));
+    assert.equal(whole.cachedAt, null);
+    assert.deepEqual(names(whole.data), ['West', 'East', 'Across', 'Post', 'camp_site']);
+
+    const west = await app.fetchOverpassCached(QUERY, request({ type: 'bbox', south: 50, west: 5, north: 51, east: 5.5 }));
+    assert.equal(fetchCount(), 1);
+    assert.ok(west.cachedAt);
+    assert.deepEqual(names(west.data), ['West', 'Across']);
+    // Geometry stays available for the routes that are kept
+    assert.equal(west.data.elements.filter(element => element.type === 'node' && !element.tags).length, 7);
+
+    const nearCamp = await app.fetchOverpassCached(QUERY, request({ type: 'around', lat: 50.5, lon: 5.9, radius: 5000 }));
+    assert.equal(fetchCount(), 1);
+    assert.deepEqual(names(nearCamp.data), ['camp_site']);
+});
+
+test('a cached response for the same area is returned whole', async () => {
+    const { app, fetchCount } = createCachingApp();
+    const area = { type: 'bbox', south: 50, west: 4.5, north: 51, east: 6 };
+    await app.fetchOverpassCached(QUERY, request(area));
+    const again = await app.fetchOverpassCached(QUERY, request({ ...area }));
+    assert.equal(fetchCount(), 1);
+    assert.equal(again.data.elements.length, RESPONSE.elements.length);
+});
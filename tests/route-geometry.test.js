@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const app = loadApp();
+
+// A way of two or more nodes; node ids double as coordinates along a line of latitude
+const way = (...nodeIds) => ({ nodeIds, coordinates: nodeIds.map(id => [50, id / 1000]) });
+const lons = line => Array.from(line, ([, lon]) => Math.round(lon * 1000));
+
+test('chainWays joins ways in any order and direction into one line', () => {
+    const { lines, gaps } = app.chainWays([
+        { way: way(3, 4), role: '' },
+        { way: way(2, 1), role: '' },
+        { way: way(3, 2), role: '' }
+    ]);
+    assert.equal(lines.length, 1);
+    assert.deepEqual(lons(lines[0]).sort((a, b) => a - b), [1, 2, 3, 4]);
+    assert.equal(gaps.length, 0);
+});
+
+test('chainWays reports the distance across a real gap', () => {
+    const { lines, gaps } = app.chainWays([
+        { way: way(1, 2), role: '' },
+        { way: way(5, 6), role: '' }
+    ]);
+    assert.equal(lines.length, 2);
+    assert.equal(gaps.length, 1);
+    assert.ok(Math.abs(gaps[0].distance - 3 * 71.5) < 5); // 0.003° of longitude at 50°N
+});
+
+test('chainWays keeps the other carriageway of a split road apart from the main line', () => {
+    const { lines, parallels, gaps } = app.chainWays([
+        { way: way(1, 2), role: '' },
+        { way: way(2, 3, 4), role: 'forward' },
+        { way: way(4, 5, 2), role: 'forward' },
+        { way: way(4, 6), role: '' }
+    ]);
+    assert.equal(lines.length, 1);
+    assert.deepEqual(lons(lines[0]), [1, 2, 3, 4, 6]);
+    assert.deepEqual(Array.from(parallels, lons), [[4, 5, 2]]);
+    assert.equal(gaps.length, 0);
+});
+
+test('stitchRouteWays measures only the main path of a relation with an alternative and a split carriageway', () => {
+    const ways = {
+        1: way(1, 2),
+        2: way(2, 3, 4),
+        3: way(4, 5, 2),
+        4: way(4, 6),
+        5: way(6, 7, 8, 9),
+        6: way(6, 16, 9) // Alternative for the 6-9 section
+    };
+    const members = [
+        { type: 'way', ref: 1, role: '' },
+        { type: 'way', ref: 2, role: 'forward' },
+        { type: 'way', ref: 3, role: 'forward' },
+        { type: 'way', ref: 4, role: '' },
+        { type: 'way', ref: 5, role: '' },
+        { type: 'way', ref: 6, role: 'alternative' },
+        { type: 'node', ref: 100, role: 'guidepost' }
+    ];
+    const stitched = app.stitchRouteWays(members, ways);
+    assert.deepEqual(Array.from(stitched.lines, lons), [[1, 2, 3, 4, 6, 7, 8, 9]]);
+    assert.deepEqual(Array.from(stitched.branches, lons), [[4, 5, 2], [6, 16, 9]]);
+    assert.equal(stitched.gaps.length, 0);
+
+    const trail = { type: 'relation', routeLines: stitched.lines, routeBranches: stitched.branches };
+    const mainLength = app.measureLines([way(1, 2, 3, 4, 6, 7, 8, 9).coordinates]).length;
+    assert.ok(Math.abs(app.buildRouteMeasure(trail).length - mainLength) < 1e-6);
+});
+
+test('getTrailLength counts the main path only and ignores a stored computedLength', () => {
+    app.trailLengths = new WeakMap();
+    const main = way(1, 2, 3, 4).coordinates;
+    const trail = {
+        type: 'relation',
+        routeLines: [main],
+        routeBranches: [way(2, 12, 3).coordinates],
+        computedLength: 123456 // Written by versions that also counted branches
+    };
+    const expected = app.measureLines([main]).length;
+    assert.ok(Math.abs(app.getTrailLength(trail) - expected) < 1e-6);
+    assert.ok(Math.abs(expected - 3 * 71.5) < 5);
+
+    const parent = { type: 'relation', isParentOnly: true, childRelations: [trail, { ...trail }] };
+    assert.ok(Math.abs(app.getTrailLength(parent) - 2 * expected) < 1e-6);
+    assert.equal(app.getTrailLength({ type: 'node' }), 0);
+});
+
+test('a point on an excursion projects onto the main path near where the excursion leaves it', () => {
+    const excursion = [[50, 0.005], [50.001, 0.005], [50.002, 0.005]];
+    const ways = { 1: way(1, 2, 3, 4, 5), 2: way(5, 6, 7, 8, 9, 10), 3: { nodeIds: [5, 51, 52], coordinates: excursion } };
+    const stitched = app.stitchRouteWays([
+        { type: 'way', ref: 1, role: '' },
+        { type: 'way', ref: 3, role: 'excursion' },
+        { type: 'way', ref: 2, role: '' }
+    ], ways);
+    const measure = app.buildRouteMeasure({ type: 'relation', routeLines: stitched.lines, routeBranches: stitched.branches });
+    const junction = app.measureLines([way(1, 2, 3, 4, 5).coordinates]).length;
+
+    assert.ok(Math.abs(measure.length - 9 * 71.5) < 5);
+    [null, junction - 10, junction + 10].forEach(previousAlong => {
+        const along = app.projectOntoRoute(50.0015, 0.005, measure, previousAlong);
+        assert.ok(Math.abs(along - junction) < 1, `along ${along} from ${previousAlong}`);
+    });
+});
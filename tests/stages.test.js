@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./load-app');
+
+const app = loadApp();
+
+// A straight route of about 100 km along the equator
+const measure = app.measureLines([[[0, 0], [0, 0.9]]]);
+
+test('splitIntoStages ends days at nearby camping spots, otherwise at the day distance', () => {
+    const dayMeters = 30000;
+    const campsite = { name: 'Camp', type: 'camp_site', lat: 0, lon: 0.3, along: 33000 };
+    const stages = app.splitIntoStages(measure, [campsite], dayMeters, null);
+
+    assert.deepEqual(plain(stages.map(stage => Math.round(stage.from))), [0, 33000, 63000]);
+    assert.equal(stages[0].end.name, 'Camp');
+    assert.deepEqual(plain(stages[0].point), [0, 0.3]);
+    assert.equal(stages[1].end, null);
+    assert.equal(stages[2].to, measure.length);
+    assert.ok(stages[2].length <= dayMeters * 1.25); // The short remainder is added to the last day
+    assert.equal(stages[0].ascent, null);
+});
+
+test('splitIntoStages ignores camping spots too far from the day distance', () => {
+    const stages = app.splitIntoStages(measure, [{ name: 'Far', along: 5000, lat: 0, lon: 0.05 }], 30000, null);
+    assert.equal(Math.round(stages[0].to), 30000);
+    assert.equal(stages[0].end, null);
+});
+
+test('simplifyCorridorLine stays within the corridor margin of the route', () => {
+    // A gentle zigzag of 1 km steps whose bends are at most ~50 m off a straight line
+    const line = Array.from({ length: 50 }, (value, i) => [i % 2 === 0 ? 0 : 0.00045, i * 0.009]);
+    const simplified = app.simplifyCorridorLine(line);
+    assert.deepEqual(plain(simplified), [line[0], line[line.length - 1]]);
+
+    // A bend of ~1 km is kept
+    const bent = [[0, 0], [0.009, 0.1], [0, 0.2]];
+    assert.equal(app.simplifyCorridorLine(bent).length, 3);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./load-app');
+
+const app = loadApp();
+
+test('findPlannerPath takes the shorter way round and reports the trails used', () => {
+    // A square loop: trail a along the south and east sides, trail b along the west and north
+    app.allTrails = [
+        { id: 'a', type: 'relation', wayGroups: [[[0, 0], [0, 0.01], [0.01, 0.01]]] },
+        { id: 'b', type: 'relation', wayGroups: [[[0, 0], [0.01, 0], [0.01, 0.01]]] }
+    ];
+    const graph = app.buildJunctionGraph();
+    const from = app.snapToGraph(graph, { lat: 0, lng: 0.002 });
+    const to = app.snapToGraph(graph, { lat: 0.002, lng: 0 });
+
+    const result = app.findPlannerPath(graph, from, to);
+    assert.deepEqual(plain(result.trailIds), ['a', 'b']);
+    assert.deepEqual(plain(result.coords), [[0, 0.002], [0, 0], [0.002, 0]]);
+    assert.ok(Math.abs(result.length - 4 * 111.2) < 5);
+});
+
+test('findPlannerPath joins two points on the same stretch directly', () => {
+    app.allTrails = [{ id: 'a', type: 'relation', wayGroups: [[[0, 0], [0, 0.01], [0, 0.02]]] }];
+    const graph = app.buildJunctionGraph();
+    const from = app.snapToGraph(graph, { lat: 0.0001, lng: 0.015 });
+    const to = app.snapToGraph(graph, { lat: -0.0001, lng: 0.005 });
+
+    const result = app.findPlannerPath(graph, from, to);
+    assert.deepEqual(plain(result.coords), [[0, 0.015], [0, 0.01], [0, 0.005]]);
+    assert.ok(Math.abs(result.length - 10 * 111.2) < 5);
+});
+
+test('findPlannerPath returns null when the points are not connected', () => {
+    app.allTrails = [
+        { id: 'a', type: 'relation', wayGroups: [[[0, 0], [0, 0.01]]] },
+        { id: 'b', type: 'relation', wayGroups: [[[1, 0], [1, 0.01]]] }
+    ];
+    const graph = app.buildJunctionGraph();
+    const from = app.snapToGraph(graph, { lat: 0, lng: 0.005 });
+    const to = app.snapToGraph(graph, { lat: 1, lng: 0.005 });
+    assert.equal(app.findPlannerPath(graph, from, to), null);
+});